@@ -0,0 +1,23 @@
+const SqliteAdapter = require('./sqliteAdapter');
+
+/**
+ * Create the storage adapter for a backend
+ * pg is only loaded when Postgres is selected
+ * @param {string} client - 'sqlite' or 'postgres'
+ * @param {Object} options - {dbPath, connectionString}
+ */
+function createAdapter(client, options = {}) {
+    switch (client) {
+        case 'sqlite':
+            return new SqliteAdapter(options.dbPath);
+        case 'postgres':
+        case 'postgresql': {
+            const PostgresAdapter = require('./postgresAdapter');
+            return new PostgresAdapter(options.connectionString);
+        }
+        default:
+            throw new Error(`Unknown DB_CLIENT "${client}" (use sqlite or postgres)`);
+    }
+}
+
+module.exports = { createAdapter };
@@ -0,0 +1,173 @@
+const { Pool, types } = require('pg');
+const path = require('path');
+
+// Return values in the same shape as SQLite so repositories don't need to care
+const TYPE_PARSERS = {
+    // COUNT(*) and other bigints as numbers
+    [types.builtins.INT8]: value => parseInt(value, 10),
+    // Dates as 'YYYY-MM-DD' strings
+    [types.builtins.DATE]: value => value,
+    // Timestamps as 'YYYY-MM-DD HH:mm:ss' (UTC), like SQLite's CURRENT_TIMESTAMP
+    [types.builtins.TIMESTAMP]: value => value.slice(0, 19)
+};
+
+// Advisory lock key held while migrations run
+const MIGRATION_LOCK_ID = 4242001;
+
+/**
+ * Storage adapter for a shared PostgreSQL database
+ * Several bot instances can point at the same database
+ */
+class PostgresAdapter {
+    constructor(connectionString) {
+        this.name = 'postgres';
+        this.connectionString = connectionString;
+        this.pool = null;
+        this.migrationsDir = path.join(__dirname, '..', 'migrations', 'postgres');
+        this.beginTransactionSql = 'BEGIN';
+        this.insertionOrder = 'seq';
+        this.supportsBackups = false;
+    }
+
+    /**
+     * Connect to the server
+     * One connection per instance: transactions rely on every query going through it
+     */
+    async connect() {
+        if (!this.connectionString) {
+            throw new Error('DATABASE_URL is required when DB_CLIENT=postgres');
+        }
+
+        this.pool = new Pool({
+            connectionString: this.connectionString,
+            max: 1,
+            // Store CURRENT_TIMESTAMP in UTC, like SQLite
+            options: '-c TimeZone=UTC',
+            types: {
+                getTypeParser: (oid, format) => TYPE_PARSERS[oid] || types.getTypeParser(oid, format)
+            }
+        });
+
+        // An idle connection dropped by the server is replaced on the next query
+        this.pool.on('error', (error) => {
+            console.error('PostgreSQL connection error:', error.message);
+        });
+
+        try {
+            await this.pool.query('SELECT 1');
+            console.log('Connected to PostgreSQL database');
+        } catch (error) {
+            console.error('Error connecting to PostgreSQL:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Run migrations under an advisory lock so instances starting together don't race
+     */
+    async withMigrationLock(fn) {
+        await this.pool.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        try {
+            return await fn();
+        } finally {
+            await this.pool.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+        }
+    }
+
+    /**
+     * Foreign keys are always enforced by PostgreSQL
+     */
+    async afterMigrations() {}
+
+    /**
+     * Execute one or more SQL statements without parameters
+     */
+    async exec(sql) {
+        await this.pool.query(sql);
+    }
+
+    /**
+     * Execute a query with parameters
+     * There's no last insert ID; every table uses generated UUIDs
+     */
+    async run(sql, params = []) {
+        const result = await this.pool.query(this.convertPlaceholders(sql), params);
+        return { id: null, changes: result.rowCount };
+    }
+
+    /**
+     * Get a single row
+     */
+    async get(sql, params = []) {
+        const result = await this.pool.query(this.convertPlaceholders(sql), params);
+        return result.rows[0];
+    }
+
+    /**
+     * Get all rows
+     */
+    async all(sql, params = []) {
+        const result = await this.pool.query(this.convertPlaceholders(sql), params);
+        return result.rows;
+    }
+
+    /**
+     * Rewrite SQLite-style ? placeholders as $1, $2, ... (skipping quoted strings)
+     */
+    convertPlaceholders(sql) {
+        let index = 0;
+        return sql.replace(/'(?:[^']|'')*'|\?/g, match => (match === '?' ? `$${++index}` : match));
+    }
+
+    /**
+     * Foreign keys are enforced from the start, so there are never orphans
+     */
+    async findOrphans() {
+        return [];
+    }
+
+    /**
+     * Nothing to delete (see findOrphans)
+     */
+    async deleteOrphan() {
+        return { id: null, changes: 0 };
+    }
+
+    /**
+     * File backups are SQLite-only; back up PostgreSQL with pg_dump
+     */
+    async backup() {
+        throw new Error('Backups are only supported for SQLite; use pg_dump for PostgreSQL');
+    }
+
+    async verifyBackup() {
+        throw new Error('Backups are only supported for SQLite; use pg_restore for PostgreSQL');
+    }
+
+    async restore() {
+        throw new Error('Backups are only supported for SQLite; use pg_restore for PostgreSQL');
+    }
+
+    /**
+     * SQL for a date column's month and day ("MM-DD")
+     */
+    monthDay(column) {
+        return `to_char(${column}, 'MM-DD')`;
+    }
+
+    /**
+     * SQL for a date column's month ("MM")
+     */
+    month(column) {
+        return `to_char(${column}, 'MM')`;
+    }
+
+    /**
+     * Close the connection
+     */
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = PostgresAdapter;
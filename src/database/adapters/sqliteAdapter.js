@@ -0,0 +1,262 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+// Tables a backup must contain to be restored
+const REQUIRED_TABLES = ['users', 'groups', 'group_members', 'birthdays', 'reminders'];
+
+/**
+ * Storage adapter for a local SQLite file (the default backend)
+ */
+class SqliteAdapter {
+    constructor(dbPath = 'birthday_bot.db') {
+        this.name = 'sqlite';
+        this.dbPath = dbPath;
+        this.db = null;
+        this.migrationsDir = path.join(__dirname, '..', 'migrations', 'sqlite');
+        // Take the write lock up front so concurrent writers fail fast instead of deadlocking
+        this.beginTransactionSql = 'BEGIN IMMEDIATE';
+        // Breaks ties between rows created in the same second
+        this.insertionOrder = 'rowid';
+        this.supportsBackups = true;
+    }
+
+    /**
+     * Open the database file
+     */
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    console.error('Error opening database:', err.message);
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * A SQLite file has a single bot instance, so migrations need no extra lock
+     */
+    async withMigrationLock(fn) {
+        return fn();
+    }
+
+    /**
+     * Enforce foreign keys (off by default in SQLite)
+     * Only done after migrations, so rebuilding a table doesn't cascade
+     */
+    async afterMigrations() {
+        await this.run('PRAGMA foreign_keys = ON');
+    }
+
+    /**
+     * Execute one or more SQL statements without parameters
+     */
+    async exec(sql) {
+        return new Promise((resolve, reject) => {
+            this.db.exec(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Execute a query with parameters
+     */
+    async run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ id: this.lastID, changes: this.changes });
+                }
+            });
+        });
+    }
+
+    /**
+     * Get a single row
+     */
+    async get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get all rows
+     */
+    async all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Find rows whose parent row no longer exists
+     * @returns {Array} - [{table, rowid, parent}]
+     */
+    async findOrphans() {
+        return this.all('PRAGMA foreign_key_check');
+    }
+
+    /**
+     * Delete a row reported by findOrphans
+     */
+    async deleteOrphan(orphan) {
+        return this.run(`DELETE FROM ${orphan.table} WHERE rowid = ?`, [orphan.rowid]);
+    }
+
+    /**
+     * Copy the live database to a file with SQLite's online backup API
+     */
+    async backup(destPath) {
+        return this.copyDatabase(destPath, true);
+    }
+
+    /**
+     * Replace the live database with a backup file
+     * Foreign keys are switched off so the caller can migrate the restored schema first
+     */
+    async restore(sourcePath) {
+        await this.copyDatabase(sourcePath, false);
+        await this.run('PRAGMA foreign_keys = OFF');
+    }
+
+    /**
+     * Run the backup API between the live database and a file
+     * @param {boolean} toFile - true to copy into the file, false to copy from it
+     */
+    async copyDatabase(filePath, toFile) {
+        return new Promise((resolve, reject) => {
+            const backup = this.db.backup(filePath, 'main', 'main', toFile, (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                // -1 copies every page in one step
+                backup.step(-1, (stepErr) => {
+                    backup.finish(() => {
+                        if (stepErr) {
+                            reject(stepErr);
+                        } else {
+                            resolve();
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Check a backup file before it's restored: readable, not corrupt, has the
+     * bot's tables and isn't from a newer schema than this version knows
+     * @returns {Object} - {ok, errors, schemaVersion, orphans}
+     */
+    async verifyBackup(filePath, latestVersion) {
+        const errors = [];
+        let schemaVersion = null;
+        let orphans = 0;
+
+        const file = await new Promise((resolve) => {
+            const db = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY, (err) => {
+                if (err) {
+                    errors.push(`Cannot open backup: ${err.message}`);
+                    resolve(null);
+                } else {
+                    resolve(db);
+                }
+            });
+        });
+
+        if (!file) {
+            return { ok: false, errors, schemaVersion, orphans };
+        }
+
+        const query = (sql) => new Promise((resolve, reject) => {
+            file.all(sql, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+
+        try {
+            const integrity = await query('PRAGMA integrity_check');
+            if (integrity.length !== 1 || integrity[0].integrity_check !== 'ok') {
+                errors.push(`Integrity check failed: ${integrity.map(row => row.integrity_check).join('; ')}`);
+            }
+
+            const tables = (await query("SELECT name FROM sqlite_master WHERE type = 'table'")).map(row => row.name);
+            const missing = REQUIRED_TABLES.filter(table => !tables.includes(table));
+            if (missing.length > 0) {
+                errors.push(`Missing tables: ${missing.join(', ')}`);
+            }
+
+            // Backups taken before migrations existed have no schema_migrations and are upgraded on restore
+            if (tables.includes('schema_migrations')) {
+                const [row] = await query('SELECT MAX(version) as version FROM schema_migrations');
+                schemaVersion = row.version;
+                if (schemaVersion > latestVersion) {
+                    errors.push(`Backup schema version ${schemaVersion} is newer than this version of the bot (${latestVersion})`);
+                }
+            }
+
+            orphans = (await query('PRAGMA foreign_key_check')).length;
+        } catch (error) {
+            errors.push(`Cannot read backup: ${error.message}`);
+        } finally {
+            await new Promise(resolve => file.close(() => resolve()));
+        }
+
+        return { ok: errors.length === 0, errors, schemaVersion, orphans };
+    }
+
+    /**
+     * SQL for a date column's month and day ("MM-DD")
+     */
+    monthDay(column) {
+        return `strftime('%m-%d', ${column})`;
+    }
+
+    /**
+     * SQL for a date column's month ("MM")
+     */
+    month(column) {
+        return `strftime('%m', ${column})`;
+    }
+
+    /**
+     * Close database connection
+     */
+    async close() {
+        return new Promise((resolve, reject) => {
+            this.db.close((err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+}
+
+module.exports = SqliteAdapter;
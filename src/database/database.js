@@ -1,125 +1,362 @@
-const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createAdapter } = require('./adapters');
+
+const SEEDS_DIR = path.join(__dirname, 'seeds');
+
+// Migration files are named <version>_<name>.sql or <version>_<name>.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+// Marks queries issued by whoever holds the connection (see runExclusive)
+const transactionContext = new AsyncLocalStorage();
 
 class Database {
     constructor(dbPath = 'birthday_bot.db') {
         this.dbPath = dbPath;
-        this.db = null;
+        // Storage backend: sqlite (default) or postgres (uses DATABASE_URL)
+        this.client = process.env.DB_CLIENT || 'sqlite';
+        this.connectionString = process.env.DATABASE_URL;
+        this.adapter = null;
+        this.transactionLock = Promise.resolve();
+        this.pendingTransactions = 0;
     }
 
     /**
-     * Initialize database connection and create tables
+     * Initialize database connection and apply pending migrations
      */
     async init() {
-        return new Promise((resolve, reject) => {
-            this.db = new sqlite3.Database(this.dbPath, (err) => {
-                if (err) {
-                    console.error('Error opening database:', err.message);
-                    reject(err);
-                } else {
-                    console.log('Connected to SQLite database');
-                    this.createTables()
-                        .then(() => resolve())
-                        .catch(reject);
-                }
-            });
+        this.adapter = createAdapter(this.client, {
+            dbPath: this.dbPath,
+            connectionString: this.connectionString
+        });
+
+        await this.adapter.connect();
+        await this.adapter.withMigrationLock(() => this.runMigrations());
+        await this.adapter.afterMigrations();
+
+        const { total } = await this.checkIntegrity();
+        if (total > 0) {
+            console.warn(`⚠️ Found ${total} orphaned rows; see GET /integrity`);
+        }
+    }
+
+    /**
+     * Apply migrations that haven't run yet, in version order
+     * Each backend has its own migrations directory; each migration runs in its own
+     * transaction and is recorded in schema_migrations
+     */
+    async runMigrations() {
+        await this.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        const applied = new Set((await this.getAppliedMigrations()).map(row => row.version));
+        const pending = this.getMigrationFiles().filter(migration => !applied.has(migration.version));
+
+        for (const migration of pending) {
+            try {
+                await this.transaction(async () => {
+                    if (migration.type === 'sql') {
+                        await this.exec(fs.readFileSync(migration.file, 'utf8'));
+                    } else {
+                        await require(migration.file).up(this);
+                    }
+
+                    await this.run(
+                        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                        [migration.version, migration.name]
+                    );
+                });
+                console.log(`Applied migration ${path.basename(migration.file)}`);
+            } catch (error) {
+                console.error(`Migration ${path.basename(migration.file)} failed:`, error.message);
+                throw error;
+            }
+        }
+
+        if (pending.length === 0) {
+            console.log('Database schema is up to date');
+        }
+    }
+
+    /**
+     * Get migrations already applied to this database
+     */
+    async getAppliedMigrations() {
+        return this.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    }
+
+    /**
+     * List the backend's migration files sorted by version
+     */
+    getMigrationFiles() {
+        const migrationsDir = this.adapter.migrationsDir;
+        return fs.readdirSync(migrationsDir)
+            .map(fileName => fileName.match(MIGRATION_FILE_PATTERN))
+            .filter(Boolean)
+            .map(([fileName, version, name, type]) => ({
+                version: parseInt(version, 10),
+                name,
+                type,
+                file: path.join(migrationsDir, fileName)
+            }))
+            .sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Report rows whose parent (group, user or birthday) no longer exists
+     * @returns {Object} - {total, orphans: [{table, parent, count}]}
+     */
+    async checkIntegrity() {
+        const violations = await this.findOrphans();
+        const orphans = [];
+
+        violations.forEach(violation => {
+            const entry = orphans.find(orphan => orphan.table === violation.table && orphan.parent === violation.parent);
+            if (entry) {
+                entry.count++;
+            } else {
+                orphans.push({ table: violation.table, parent: violation.parent, count: 1 });
+            }
         });
+
+        return { total: violations.length, orphans };
     }
 
     /**
-     * Create all required tables from SQL file
+     * Find rows whose parent no longer exists (waits for open transactions like other queries)
      */
-    async createTables() {
-        return new Promise((resolve, reject) => {
-            const sqlPath = path.join(__dirname, 'init.sql');
-            const sql = fs.readFileSync(sqlPath, 'utf8');
-            
-            this.db.exec(sql, (err) => {
-                if (err) {
-                    console.error('Error creating tables:', err.message);
-                    reject(err);
-                } else {
-                    console.log('Database tables created successfully');
-                    resolve();
+    async findOrphans() {
+        if (this.isBlockedByTransaction()) {
+            await this.waitForTransaction();
+        }
+        return this.adapter.findOrphans();
+    }
+
+    /**
+     * Delete orphaned rows; rows depending on them are removed by the cascades
+     * @returns {Object} - Number of rows removed per table
+     */
+    async repairIntegrity() {
+        return this.transaction(async () => {
+            const removed = {};
+
+            let violations = await this.findOrphans();
+            while (violations.length > 0) {
+                for (const violation of violations) {
+                    const result = await this.adapter.deleteOrphan(violation);
+                    removed[violation.table] = (removed[violation.table] || 0) + result.changes;
                 }
-            });
+                violations = await this.findOrphans();
+            }
+
+            return removed;
         });
     }
 
+    /**
+     * Load sample data from the seeds directory (opt-in, never run on startup)
+     */
+    async seed() {
+        const files = fs.readdirSync(SEEDS_DIR)
+            .filter(fileName => fileName.endsWith('.sql'))
+            .sort();
+
+        for (const fileName of files) {
+            await this.exec(fs.readFileSync(path.join(SEEDS_DIR, fileName), 'utf8'));
+            console.log(`Seeded ${fileName}`);
+        }
+    }
+
+    /**
+     * Run fn inside a transaction, committing when it resolves and rolling back when it throws
+     * Transactions run one at a time; queries from outside wait until the open one finishes,
+     * so they never end up in (or rolled back with) someone else's transaction.
+     * Nested calls join the outer transaction.
+     */
+    async transaction(fn) {
+        const context = transactionContext.getStore();
+        if (context && context.inTransaction) {
+            return fn(this);
+        }
+
+        // Already holding the connection (see runExclusive)
+        if (context) {
+            return this.runInTransaction(fn);
+        }
+
+        return this.runExclusive(() => this.runInTransaction(fn));
+    }
+
+    /**
+     * Run fn with the connection to itself: other callers' queries and transactions wait until it finishes
+     */
+    async runExclusive(fn) {
+        this.pendingTransactions++;
+        const previous = this.transactionLock;
+        let release;
+        this.transactionLock = new Promise(resolve => { release = resolve; });
+        await previous;
+
+        try {
+            return await transactionContext.run({ inTransaction: false }, () => fn(this));
+        } finally {
+            this.pendingTransactions--;
+            release();
+        }
+    }
+
+    /**
+     * BEGIN, run fn, then COMMIT or ROLLBACK (the caller holds the connection)
+     */
+    async runInTransaction(fn) {
+        return transactionContext.run({ inTransaction: true }, async () => {
+            await this.exec(this.adapter.beginTransactionSql);
+            try {
+                const result = await fn(this);
+                await this.exec('COMMIT');
+                return result;
+            } catch (error) {
+                await this.exec('ROLLBACK');
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Check whether a query has to wait for other callers' transactions
+     */
+    isBlockedByTransaction() {
+        return this.pendingTransactions > 0 && !transactionContext.getStore();
+    }
+
+    /**
+     * Wait until no transaction is open or queued
+     */
+    async waitForTransaction() {
+        while (this.isBlockedByTransaction()) {
+            await this.transactionLock;
+        }
+    }
+
+    /**
+     * Execute one or more SQL statements without parameters
+     */
+    async exec(sql) {
+        if (this.isBlockedByTransaction()) {
+            await this.waitForTransaction();
+        }
+        return this.adapter.exec(sql);
+    }
+
     /**
      * Execute a query with parameters
      */
     async run(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.run(sql, params, function(err) {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve({ id: this.lastID, changes: this.changes });
-                }
-            });
-        });
+        if (this.isBlockedByTransaction()) {
+            await this.waitForTransaction();
+        }
+        return this.adapter.run(sql, params);
     }
 
     /**
      * Get a single row
      */
     async get(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.get(sql, params, (err, row) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(row);
-                }
-            });
-        });
+        if (this.isBlockedByTransaction()) {
+            await this.waitForTransaction();
+        }
+        return this.adapter.get(sql, params);
     }
 
     /**
      * Get all rows
      */
     async all(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.all(sql, params, (err, rows) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(rows);
-                }
-            });
+        if (this.isBlockedByTransaction()) {
+            await this.waitForTransaction();
+        }
+        return this.adapter.all(sql, params);
+    }
+
+    /**
+     * Check whether the backend supports file backups
+     */
+    supportsBackups() {
+        return !!(this.adapter && this.adapter.supportsBackups);
+    }
+
+    /**
+     * Copy the live database to a file (SQLite online backup)
+     */
+    async backup(destPath) {
+        return this.adapter.backup(destPath);
+    }
+
+    /**
+     * Check a backup file can be restored
+     * @returns {Object} - {ok, errors, schemaVersion, orphans}
+     */
+    async verifyBackup(sourcePath) {
+        const latestVersion = Math.max(0, ...this.getMigrationFiles().map(migration => migration.version));
+        return this.adapter.verifyBackup(sourcePath, latestVersion);
+    }
+
+    /**
+     * Replace the live database with a backup file, then bring its schema up to date
+     * Queries wait while the copy runs
+     */
+    async restore(sourcePath) {
+        await this.runExclusive(async () => {
+            await this.adapter.restore(sourcePath);
+            await this.adapter.withMigrationLock(() => this.runMigrations());
+            await this.adapter.afterMigrations();
         });
     }
 
+    /**
+     * SQL for a date column's month and day ("MM-DD") in the backend's dialect
+     */
+    monthDay(column) {
+        return this.adapter.monthDay(column);
+    }
+
+    /**
+     * SQL for a date column's month ("MM") in the backend's dialect
+     */
+    month(column) {
+        return this.adapter.month(column);
+    }
+
+    /**
+     * Column that orders rows by insertion when timestamps tie
+     */
+    insertionOrder() {
+        return this.adapter.insertionOrder;
+    }
+
     /**
      * Close database connection
      */
     async close() {
-        return new Promise((resolve, reject) => {
-            if (this.db) {
-                this.db.close((err) => {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        console.log('Database connection closed');
-                        resolve();
-                    }
-                });
-            } else {
-                resolve();
-            }
-        });
+        if (this.adapter) {
+            await this.adapter.close();
+            this.adapter = null;
+            console.log('Database connection closed');
+        }
     }
 
     /**
-     * Get database instance
+     * Get the storage adapter
      */
-    getDb() {
-        return this.db;
+    getAdapter() {
+        return this.adapter;
     }
 }
 
 // Export singleton instance
 const database = new Database();
-module.exports = database;
\ No newline at end of file
+module.exports = database;
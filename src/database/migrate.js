@@ -0,0 +1,23 @@
+require('dotenv').config();
+const database = require('./database');
+
+/**
+ * Apply pending migrations and list the schema history (npm run db:migrate)
+ */
+async function migrate() {
+    try {
+        await database.init();
+
+        const applied = await database.getAppliedMigrations();
+        applied.forEach(migration => {
+            console.log(`  ${migration.version}_${migration.name} (${migration.applied_at})`);
+        });
+
+        await database.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exit(1);
+    }
+}
+
+migrate();
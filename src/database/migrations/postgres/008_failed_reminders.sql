@@ -0,0 +1,7 @@
+-- Migration 008: reminders whose queued message was dead-lettered are marked failed
+-- instead of staying pending forever
+
+ALTER TABLE reminders ADD COLUMN failed_at TIMESTAMP NULL;
+
+UPDATE reminders SET failed_at = CURRENT_TIMESTAMP
+WHERE sent = false AND message_id IN (SELECT id FROM outbound_messages WHERE status = 'dead');
@@ -0,0 +1,21 @@
+-- Migration 009: ordered seq column to break created_at ties
+-- CURRENT_TIMESTAMP is the same for every row written in one transaction, and ids are random UUIDs,
+-- so rows like template list numbers had no stable order. Existing rows are numbered in creation order
+
+ALTER TABLE message_templates ADD COLUMN seq BIGSERIAL;
+ALTER TABLE birthday_changes ADD COLUMN seq BIGSERIAL;
+ALTER TABLE audit_log ADD COLUMN seq BIGSERIAL;
+
+UPDATE message_templates t SET seq = o.seq
+FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY created_at, id) AS seq FROM message_templates) o
+WHERE t.id = o.id;
+UPDATE birthday_changes t SET seq = o.seq
+FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY created_at, id) AS seq FROM birthday_changes) o
+WHERE t.id = o.id;
+UPDATE audit_log t SET seq = o.seq
+FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY created_at, id) AS seq FROM audit_log) o
+WHERE t.id = o.id;
+
+SELECT setval(pg_get_serial_sequence('message_templates', 'seq'), COALESCE(MAX(seq), 0) + 1, false) FROM message_templates;
+SELECT setval(pg_get_serial_sequence('birthday_changes', 'seq'), COALESCE(MAX(seq), 0) + 1, false) FROM birthday_changes;
+SELECT setval(pg_get_serial_sequence('audit_log', 'seq'), COALESCE(MAX(seq), 0) + 1, false) FROM audit_log;
@@ -0,0 +1,125 @@
+-- Migration 001: initial schema
+-- Tables use IF NOT EXISTS so databases created before migrations existed
+-- are adopted as-is; their missing columns are added by migration 002
+
+-- Create users table
+CREATE TABLE IF NOT EXISTS users (
+    phone_number VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    show_age BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for faster lookups
+CREATE INDEX IF NOT EXISTS idx_users_name ON users(name);
+
+-- Create groups table
+CREATE TABLE IF NOT EXISTS groups (
+    group_id VARCHAR(100) PRIMARY KEY,
+    group_name VARCHAR(200) NOT NULL,
+    bot_active BOOLEAN DEFAULT true,
+    reminder_offsets VARCHAR(50) DEFAULT '',
+    timezone VARCHAR(64) NULL,
+    send_time VARCHAR(5) DEFAULT '00:00',
+    last_reminder_date DATE NULL,
+    language VARCHAR(10) NULL,
+    leap_day_policy VARCHAR(5) DEFAULT 'feb28',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create group_members table
+CREATE TABLE IF NOT EXISTS group_members (
+    id VARCHAR(50) PRIMARY KEY,
+    phone_number VARCHAR(20) NOT NULL,
+    group_id VARCHAR(100) NOT NULL,
+    is_admin BOOLEAN DEFAULT false,
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (phone_number) REFERENCES users(phone_number),
+    FOREIGN KEY (group_id) REFERENCES groups(group_id)
+);
+
+-- Create indexes for group_members
+CREATE INDEX IF NOT EXISTS idx_group_members_phone ON group_members(phone_number);
+CREATE INDEX IF NOT EXISTS idx_group_members_group ON group_members(group_id);
+
+-- Create birthdays table
+CREATE TABLE IF NOT EXISTS birthdays (
+    id VARCHAR(50) PRIMARY KEY,
+    phone_number VARCHAR(20) NOT NULL,
+    birth_date DATE NOT NULL,
+    birth_year INTEGER NULL,
+    group_id VARCHAR(100) NOT NULL,
+    added_by VARCHAR(20) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (phone_number) REFERENCES users(phone_number),
+    FOREIGN KEY (group_id) REFERENCES groups(group_id)
+);
+
+-- Create indexes for efficient birthday queries
+CREATE INDEX IF NOT EXISTS idx_birthdays_date ON birthdays(birth_date);
+CREATE INDEX IF NOT EXISTS idx_birthdays_group ON birthdays(group_id);
+CREATE INDEX IF NOT EXISTS idx_birthdays_phone_group ON birthdays(phone_number, group_id);
+
+-- Create reminders table
+CREATE TABLE IF NOT EXISTS reminders (
+    id VARCHAR(50) PRIMARY KEY,
+    birthday_id VARCHAR(50) NOT NULL,
+    reminder_date DATE NOT NULL,
+    reminder_type VARCHAR(20) DEFAULT 'birthday',
+    days_before INTEGER DEFAULT 0,
+    sent BOOLEAN DEFAULT false,
+    sent_at TIMESTAMP NULL,
+    delay_days INTEGER DEFAULT 0,
+    message_id VARCHAR(50) NULL,
+    FOREIGN KEY (birthday_id) REFERENCES birthdays(id)
+);
+
+-- Create indexes for reminders
+CREATE INDEX IF NOT EXISTS idx_reminders_date ON reminders(reminder_date);
+CREATE INDEX IF NOT EXISTS idx_reminders_sent ON reminders(sent);
+
+-- Remove duplicate reminders left by older versions, keeping the sent (or oldest) one
+DELETE FROM reminders
+WHERE EXISTS (
+    SELECT 1 FROM reminders r2
+    WHERE r2.birthday_id = reminders.birthday_id
+    AND r2.reminder_date = reminders.reminder_date
+    AND (r2.sent > reminders.sent OR (r2.sent = reminders.sent AND r2.rowid < reminders.rowid))
+);
+
+-- A birthday can only have one reminder per date
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reminders_birthday_date ON reminders(birthday_id, reminder_date);
+
+-- Create outbound message queue (retried with backoff until sent or dead-lettered)
+CREATE TABLE IF NOT EXISTS outbound_messages (
+    id VARCHAR(50) PRIMARY KEY,
+    chat_id VARCHAR(100) NOT NULL,
+    body TEXT NOT NULL,
+    mentions TEXT NULL,
+    status VARCHAR(20) DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 5,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP NULL
+);
+
+-- Create indexes for outbound message queue
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_status ON outbound_messages(status, next_attempt_at);
+
+-- Create message templates table (custom per-group wording)
+CREATE TABLE IF NOT EXISTS message_templates (
+    id VARCHAR(50) PRIMARY KEY,
+    group_id VARCHAR(100) NOT NULL,
+    template_type VARCHAR(20) NOT NULL,
+    content TEXT NOT NULL,
+    created_by VARCHAR(20) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (group_id) REFERENCES groups(group_id)
+);
+
+-- Create indexes for message templates
+CREATE INDEX IF NOT EXISTS idx_message_templates_group ON message_templates(group_id, template_type);
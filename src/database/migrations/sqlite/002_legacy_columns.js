@@ -0,0 +1,35 @@
+// Migration 002: columns added before versioned migrations existed.
+// Databases created by 001 already have them; older databases are upgraded in place.
+const COLUMNS = [
+    { table: 'users', column: 'show_age', definition: 'BOOLEAN DEFAULT false' },
+    { table: 'birthdays', column: 'added_by', definition: 'VARCHAR(20) NULL' },
+    { table: 'birthdays', column: 'birth_year', definition: 'INTEGER NULL' },
+    { table: 'groups', column: 'reminder_offsets', definition: "VARCHAR(50) DEFAULT ''" },
+    { table: 'groups', column: 'timezone', definition: 'VARCHAR(64) NULL' },
+    { table: 'groups', column: 'send_time', definition: "VARCHAR(5) DEFAULT '00:00'" },
+    { table: 'groups', column: 'last_reminder_date', definition: 'DATE NULL' },
+    { table: 'groups', column: 'language', definition: 'VARCHAR(10) NULL' },
+    { table: 'groups', column: 'leap_day_policy', definition: "VARCHAR(5) DEFAULT 'feb28'" },
+    { table: 'reminders', column: 'reminder_type', definition: "VARCHAR(20) DEFAULT 'birthday'" },
+    { table: 'reminders', column: 'days_before', definition: 'INTEGER DEFAULT 0' },
+    { table: 'reminders', column: 'delay_days', definition: 'INTEGER DEFAULT 0' },
+    { table: 'reminders', column: 'message_id', definition: 'VARCHAR(50) NULL' },
+    { table: 'outbound_messages', column: 'mentions', definition: 'TEXT NULL' }
+];
+
+/**
+ * Add any of the columns above that are missing
+ */
+async function up(database) {
+    for (const { table, column, definition } of COLUMNS) {
+        const columns = await database.all(`PRAGMA table_info(${table})`);
+        const exists = columns.some(col => col.name === column);
+
+        if (!exists) {
+            await database.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            console.log(`Added column ${table}.${column}`);
+        }
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,15 @@
+-- Migration 003: remove sample rows that older versions inserted on every boot
+-- Sample data is now opt-in (npm run db:seed)
+
+DELETE FROM reminders WHERE birthday_id IN ('bd_001', 'bd_002')
+    OR birthday_id IN (SELECT id FROM birthdays WHERE group_id = 'sample_group_123');
+DELETE FROM birthdays WHERE id IN ('bd_001', 'bd_002') OR group_id = 'sample_group_123';
+DELETE FROM outbound_messages WHERE chat_id = 'sample_group_123';
+DELETE FROM message_templates WHERE group_id = 'sample_group_123';
+DELETE FROM group_members WHERE group_id = 'sample_group_123';
+DELETE FROM groups WHERE group_id = 'sample_group_123';
+
+-- Only drop the sample users if nothing else refers to them
+DELETE FROM users WHERE phone_number IN ('1234567890', '0987654321')
+    AND phone_number NOT IN (SELECT phone_number FROM birthdays)
+    AND phone_number NOT IN (SELECT phone_number FROM group_members);
@@ -0,0 +1,90 @@
+-- Migration 004: cascade deletes from groups, users and birthdays to the rows that depend on them
+-- SQLite can't alter a foreign key, so each child table is rebuilt and its indexes recreated.
+-- Orphaned rows are copied as-is; GET /integrity reports them and POST /integrity/repair removes them.
+
+-- group_members: removed with their group or user
+CREATE TABLE group_members_new (
+    id VARCHAR(50) PRIMARY KEY,
+    phone_number VARCHAR(20) NOT NULL,
+    group_id VARCHAR(100) NOT NULL,
+    is_admin BOOLEAN DEFAULT false,
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (phone_number) REFERENCES users(phone_number) ON DELETE CASCADE,
+    FOREIGN KEY (group_id) REFERENCES groups(group_id) ON DELETE CASCADE
+);
+
+INSERT INTO group_members_new (id, phone_number, group_id, is_admin, joined_at)
+SELECT id, phone_number, group_id, is_admin, joined_at FROM group_members;
+
+DROP TABLE group_members;
+ALTER TABLE group_members_new RENAME TO group_members;
+
+CREATE INDEX idx_group_members_phone ON group_members(phone_number);
+CREATE INDEX idx_group_members_group ON group_members(group_id);
+
+-- birthdays: removed with their group or user
+CREATE TABLE birthdays_new (
+    id VARCHAR(50) PRIMARY KEY,
+    phone_number VARCHAR(20) NOT NULL,
+    birth_date DATE NOT NULL,
+    birth_year INTEGER NULL,
+    group_id VARCHAR(100) NOT NULL,
+    added_by VARCHAR(20) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (phone_number) REFERENCES users(phone_number) ON DELETE CASCADE,
+    FOREIGN KEY (group_id) REFERENCES groups(group_id) ON DELETE CASCADE
+);
+
+INSERT INTO birthdays_new (id, phone_number, birth_date, birth_year, group_id, added_by, created_at, updated_at)
+SELECT id, phone_number, birth_date, birth_year, group_id, added_by, created_at, updated_at FROM birthdays;
+
+DROP TABLE birthdays;
+ALTER TABLE birthdays_new RENAME TO birthdays;
+
+CREATE INDEX idx_birthdays_date ON birthdays(birth_date);
+CREATE INDEX idx_birthdays_group ON birthdays(group_id);
+CREATE INDEX idx_birthdays_phone_group ON birthdays(phone_number, group_id);
+
+-- reminders: removed with their birthday
+CREATE TABLE reminders_new (
+    id VARCHAR(50) PRIMARY KEY,
+    birthday_id VARCHAR(50) NOT NULL,
+    reminder_date DATE NOT NULL,
+    reminder_type VARCHAR(20) DEFAULT 'birthday',
+    days_before INTEGER DEFAULT 0,
+    sent BOOLEAN DEFAULT false,
+    sent_at TIMESTAMP NULL,
+    delay_days INTEGER DEFAULT 0,
+    message_id VARCHAR(50) NULL,
+    FOREIGN KEY (birthday_id) REFERENCES birthdays(id) ON DELETE CASCADE
+);
+
+INSERT INTO reminders_new (id, birthday_id, reminder_date, reminder_type, days_before, sent, sent_at, delay_days, message_id)
+SELECT id, birthday_id, reminder_date, reminder_type, days_before, sent, sent_at, delay_days, message_id FROM reminders;
+
+DROP TABLE reminders;
+ALTER TABLE reminders_new RENAME TO reminders;
+
+CREATE INDEX idx_reminders_date ON reminders(reminder_date);
+CREATE INDEX idx_reminders_sent ON reminders(sent);
+CREATE UNIQUE INDEX idx_reminders_birthday_date ON reminders(birthday_id, reminder_date);
+
+-- message_templates: removed with their group
+CREATE TABLE message_templates_new (
+    id VARCHAR(50) PRIMARY KEY,
+    group_id VARCHAR(100) NOT NULL,
+    template_type VARCHAR(20) NOT NULL,
+    content TEXT NOT NULL,
+    created_by VARCHAR(20) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (group_id) REFERENCES groups(group_id) ON DELETE CASCADE
+);
+
+INSERT INTO message_templates_new (id, group_id, template_type, content, created_by, created_at)
+SELECT id, group_id, template_type, content, created_by, created_at FROM message_templates;
+
+DROP TABLE message_templates;
+ALTER TABLE message_templates_new RENAME TO message_templates;
+
+CREATE INDEX idx_message_templates_group ON message_templates(group_id, template_type);
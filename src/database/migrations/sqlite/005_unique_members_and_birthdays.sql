@@ -0,0 +1,33 @@
+-- Migration 005: one membership and one birthday per person per group
+-- Removes duplicates left by concurrent inserts before adding the unique indexes
+
+-- Keep the admin (or oldest) membership
+DELETE FROM group_members
+WHERE EXISTS (
+    SELECT 1 FROM group_members gm2
+    WHERE gm2.phone_number = group_members.phone_number
+    AND gm2.group_id = group_members.group_id
+    AND (gm2.is_admin > group_members.is_admin
+        OR (gm2.is_admin = group_members.is_admin AND gm2.rowid < group_members.rowid))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_group_members_phone_group ON group_members(phone_number, group_id);
+
+-- Keep the most recently updated birthday; foreign keys aren't enforced during
+-- migrations, so the duplicates' reminders are removed explicitly
+CREATE TEMP TABLE duplicate_birthdays AS
+SELECT id FROM birthdays
+WHERE EXISTS (
+    SELECT 1 FROM birthdays b2
+    WHERE b2.phone_number = birthdays.phone_number
+    AND b2.group_id = birthdays.group_id
+    AND (b2.updated_at > birthdays.updated_at
+        OR (b2.updated_at = birthdays.updated_at AND b2.rowid > birthdays.rowid))
+);
+
+DELETE FROM reminders WHERE birthday_id IN (SELECT id FROM duplicate_birthdays);
+DELETE FROM birthdays WHERE id IN (SELECT id FROM duplicate_birthdays);
+DROP TABLE duplicate_birthdays;
+
+DROP INDEX IF EXISTS idx_birthdays_phone_group;
+CREATE UNIQUE INDEX idx_birthdays_phone_group ON birthdays(phone_number, group_id);
@@ -0,0 +1,14 @@
+-- Migration 006: audit log of admin API calls and rejected requests
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id VARCHAR(50) PRIMARY KEY,
+    key_name VARCHAR(100) NULL,
+    scope VARCHAR(20) NULL,
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(255) NOT NULL,
+    status_code INTEGER NOT NULL,
+    ip_address VARCHAR(64) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
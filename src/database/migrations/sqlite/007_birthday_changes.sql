@@ -0,0 +1,17 @@
+-- Migration 007: history of birthday changes (who changed whose birthday, from what to what)
+-- Kept when the birthday itself is removed, so there are no foreign keys
+
+CREATE TABLE IF NOT EXISTS birthday_changes (
+    id VARCHAR(50) PRIMARY KEY,
+    phone_number VARCHAR(20) NOT NULL,
+    group_id VARCHAR(100) NOT NULL,
+    action VARCHAR(10) NOT NULL,
+    changed_by VARCHAR(100) NULL,
+    old_birth_date DATE NULL,
+    old_birth_year INTEGER NULL,
+    new_birth_date DATE NULL,
+    new_birth_year INTEGER NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_birthday_changes_member ON birthday_changes(group_id, phone_number);
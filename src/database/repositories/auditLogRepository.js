@@ -0,0 +1,48 @@
+const database = require('../database');
+const crypto = require('crypto');
+const moment = require('moment');
+
+class AuditLogRepository {
+    /**
+     * Record an API call
+     * @param {Object} entry - {keyName, scope, method, path, statusCode, ipAddress}
+     */
+    async addEntry(entry) {
+        const sql = `
+            INSERT INTO audit_log (id, key_name, scope, method, path, status_code, ip_address)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `;
+        return await database.run(sql, [
+            crypto.randomUUID(),
+            entry.keyName || null,
+            entry.scope || null,
+            entry.method,
+            entry.path,
+            entry.statusCode,
+            entry.ipAddress || null
+        ]);
+    }
+
+    /**
+     * Get the most recent entries
+     */
+    async getEntries(limit = 100) {
+        const sql = `
+            SELECT * FROM audit_log
+            ORDER BY created_at DESC, ${database.insertionOrder()} DESC
+            LIMIT ?
+        `;
+        return await database.all(sql, [limit]);
+    }
+
+    /**
+     * Delete old entries (cleanup)
+     */
+    async deleteOldEntries(daysOld = 90) {
+        const cutoff = moment.utc().subtract(daysOld, 'days').format('YYYY-MM-DD HH:mm:ss');
+        const sql = 'DELETE FROM audit_log WHERE created_at < ?';
+        return await database.run(sql, [cutoff]);
+    }
+}
+
+module.exports = new AuditLogRepository();
@@ -0,0 +1,46 @@
+const database = require('../database');
+const crypto = require('crypto');
+
+class BirthdayChangeRepository {
+    /**
+     * Record a change to a birthday
+     * @param {Object} change - {phoneNumber, groupId, action: added|updated|removed, changedBy, old, new}
+     * where old and new are birthday rows ({birth_date, birth_year}) or null
+     */
+    async addChange(change) {
+        const before = change.old || {};
+        const after = change.new || {};
+        const sql = `
+            INSERT INTO birthday_changes (
+                id, phone_number, group_id, action, changed_by,
+                old_birth_date, old_birth_year, new_birth_date, new_birth_year
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        return await database.run(sql, [
+            crypto.randomUUID(),
+            change.phoneNumber,
+            change.groupId,
+            change.action,
+            change.changedBy || null,
+            before.birth_date || null,
+            before.birth_year || null,
+            after.birth_date || null,
+            after.birth_year || null
+        ]);
+    }
+
+    /**
+     * Get the changes to one member's birthday in a group, newest first
+     */
+    async getChanges(phoneNumber, groupId) {
+        const sql = `
+            SELECT * FROM birthday_changes
+            WHERE phone_number = ? AND group_id = ?
+            ORDER BY created_at DESC, ${database.insertionOrder()} DESC
+        `;
+        return await database.all(sql, [phoneNumber, groupId]);
+    }
+}
+
+module.exports = new BirthdayChangeRepository();
@@ -1,32 +1,59 @@
 const database = require('../database');
 const crypto = require('crypto');
 const moment = require('moment');
+const groupRepository = require('./groupRepository');
+const birthdayChangeRepository = require('./birthdayChangeRepository');
+const dateUtils = require('../../utils/dateUtils');
 
 class BirthdayRepository {
     /**
      * Add or update a birthday
+     * addedBy records the phone number (or api:<key name>) of whoever entered the birthday, and is kept when not given;
+     * birthYear is optional and only used for opt-in age display. Without one the stored year is removed,
+     * unless keepBirthYear is set (edits by someone else, imports and API updates, who may not know it)
+     * Every change is recorded in birthday_changes
      */
-    async addOrUpdateBirthday(phoneNumber, birthDate, groupId) {
-        // Check if birthday already exists for this user in this group
-        const existingBirthday = await this.getBirthdayByUserAndGroup(phoneNumber, groupId);
-        
-        if (existingBirthday) {
-            // Update existing birthday
-            const sql = `
-                UPDATE birthdays 
-                SET birth_date = ?, updated_at = CURRENT_TIMESTAMP 
-                WHERE phone_number = ? AND group_id = ?
-            `;
-            return await database.run(sql, [birthDate, phoneNumber, groupId]);
-        } else {
-            // Create new birthday
-            const birthdayId = crypto.randomUUID();
-            const sql = `
-                INSERT INTO birthdays (id, phone_number, birth_date, group_id)
-                VALUES (?, ?, ?, ?)
-            `;
-            return await database.run(sql, [birthdayId, phoneNumber, birthDate, groupId]);
-        }
+    async addOrUpdateBirthday(phoneNumber, birthDate, groupId, addedBy = null, birthYear = null, { keepBirthYear = false } = {}) {
+        // One birthday per user per group (unique on phone_number, group_id)
+        const birthdayId = crypto.randomUUID();
+        const birthYearUpdate = keepBirthYear ? 'COALESCE(excluded.birth_year, birthdays.birth_year)' : 'excluded.birth_year';
+        const sql = `
+            INSERT INTO birthdays (id, phone_number, birth_date, birth_year, group_id, added_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(phone_number, group_id) DO UPDATE SET
+                birth_date = excluded.birth_date,
+                birth_year = ${birthYearUpdate},
+                added_by = COALESCE(excluded.added_by, birthdays.added_by),
+                updated_at = CURRENT_TIMESTAMP
+        `;
+
+        return await database.transaction(async () => {
+            const old = await this.getStoredBirthday(phoneNumber, groupId);
+            const result = await database.run(sql, [birthdayId, phoneNumber, birthDate, birthYear, groupId, addedBy]);
+            const saved = await this.getStoredBirthday(phoneNumber, groupId);
+
+            const unchanged = old && old.birth_date === saved.birth_date && old.birth_year === saved.birth_year;
+            if (!unchanged) {
+                await birthdayChangeRepository.addChange({
+                    phoneNumber,
+                    groupId,
+                    action: old ? 'updated' : 'added',
+                    changedBy: addedBy,
+                    old,
+                    new: saved
+                });
+            }
+
+            return result;
+        });
+    }
+
+    /**
+     * Get the stored date and year of a birthday, without joins
+     */
+    async getStoredBirthday(phoneNumber, groupId) {
+        const sql = 'SELECT birth_date, birth_year, added_by FROM birthdays WHERE phone_number = ? AND group_id = ?';
+        return await database.get(sql, [phoneNumber, groupId]);
     }
 
     /**
@@ -34,9 +61,10 @@ class BirthdayRepository {
      */
     async getBirthdayByUserAndGroup(phoneNumber, groupId) {
         const sql = `
-            SELECT b.*, u.name 
+            SELECT b.*, u.name, u.show_age, a.name as added_by_name
             FROM birthdays b
             LEFT JOIN users u ON b.phone_number = u.phone_number
+            LEFT JOIN users a ON b.added_by = a.phone_number
             WHERE b.phone_number = ? AND b.group_id = ?
         `;
         return await database.get(sql, [phoneNumber, groupId]);
@@ -47,65 +75,98 @@ class BirthdayRepository {
      */
     async getBirthdaysByGroup(groupId) {
         const sql = `
-            SELECT b.*, u.name 
+            SELECT b.*, u.name, u.show_age
             FROM birthdays b
             LEFT JOIN users u ON b.phone_number = u.phone_number
             WHERE b.group_id = ?
-            ORDER BY strftime('%m-%d', b.birth_date)
+            ORDER BY ${database.monthDay('b.birth_date')}
         `;
         return await database.all(sql, [groupId]);
     }
 
     /**
-     * Get birthdays for today
+     * Get birthdays for today, using each group's own timezone
+     * 29 February birthdays follow the group's leap day policy
      */
     async getTodaysBirthdays(groupId = null) {
-        const today = moment().format('MM-DD');
-        let sql = `
+        const groups = groupId
+            ? [await groupRepository.getGroupById(groupId)].filter(Boolean)
+            : await groupRepository.getActiveGroups();
+        const sql = `
             SELECT b.*, u.name, g.group_name
             FROM birthdays b
             LEFT JOIN users u ON b.phone_number = u.phone_number
             LEFT JOIN groups g ON b.group_id = g.group_id
-            WHERE strftime('%m-%d', b.birth_date) = ?
+            WHERE ${database.monthDay('b.birth_date')} IN (?, ?)
+            AND b.group_id = ?
+            AND g.bot_active = true
         `;
-        const params = [today];
-        
-        if (groupId) {
-            sql += ' AND b.group_id = ?';
-            params.push(groupId);
+
+        const birthdays = [];
+        for (const group of groups) {
+            const [today, leapDay = today] = dateUtils.getBirthdayKeys(
+                dateUtils.getGroupNow(group),
+                dateUtils.getGroupLeapDayPolicy(group)
+            );
+            const rows = await database.all(sql, [today, leapDay, group.group_id]);
+            birthdays.push(...rows);
         }
-        
-        sql += ' AND g.bot_active = true';
-        
-        return await database.all(sql, params);
+
+        return birthdays;
     }
 
     /**
-     * Get upcoming birthdays (next 30 days)
+     * Get birthdays celebrated today or within the next `days` days, in the group's timezone
+     * 29 February birthdays follow the group's leap day policy
+     * @param {Object} options - {page: 1-based page number, pageSize: birthdays per page (all when omitted)}
+     * @returns {Object} - {total, birthdays} with next_birthday (YYYY-MM-DD) and days_until on each birthday
      */
-    async getUpcomingBirthdays(groupId, days = 30) {
-        const sql = `
-            SELECT b.*, u.name,
-                   CASE 
-                       WHEN strftime('%m-%d', b.birth_date) >= strftime('%m-%d', 'now') 
-                       THEN date('now', '+' || (julianday(strftime('%Y', 'now') || '-' || strftime('%m-%d', b.birth_date)) - julianday('now')) || ' days')
-                       ELSE date('now', '+' || (julianday(strftime('%Y', 'now', '+1 year') || '-' || strftime('%m-%d', b.birth_date)) - julianday('now')) || ' days')
-                   END as next_birthday
-            FROM birthdays b
-            LEFT JOIN users u ON b.phone_number = u.phone_number
-            WHERE b.group_id = ?
-            ORDER BY next_birthday
-            LIMIT ?
-        `;
-        return await database.all(sql, [groupId, days]);
+    async getUpcomingBirthdays(groupId, days = 30, options = {}) {
+        const { page = 1, pageSize = null } = options;
+        const group = await groupRepository.getGroupById(groupId);
+        const today = dateUtils.getGroupNow(group);
+        const leapDayPolicy = dateUtils.getGroupLeapDayPolicy(group);
+
+        const upcoming = (await this.getBirthdaysByGroup(groupId))
+            .map(birthday => ({
+                ...birthday,
+                next_birthday: dateUtils.getNextBirthday(birthday.birth_date, today, leapDayPolicy).format('YYYY-MM-DD'),
+                days_until: dateUtils.getDaysUntilBirthday(birthday.birth_date, today, leapDayPolicy)
+            }))
+            .filter(birthday => birthday.days_until <= days)
+            .sort((a, b) => a.days_until - b.days_until || (a.name || '').localeCompare(b.name || ''));
+
+        if (!pageSize) {
+            return { total: upcoming.length, birthdays: upcoming };
+        }
+
+        const start = (page - 1) * pageSize;
+        return { total: upcoming.length, birthdays: upcoming.slice(start, start + pageSize) };
     }
 
     /**
      * Remove birthday
+     * removedBy is recorded in birthday_changes, like addedBy
      */
-    async removeBirthday(phoneNumber, groupId) {
+    async removeBirthday(phoneNumber, groupId, removedBy = null) {
         const sql = 'DELETE FROM birthdays WHERE phone_number = ? AND group_id = ?';
-        return await database.run(sql, [phoneNumber, groupId]);
+
+        return await database.transaction(async () => {
+            const old = await this.getStoredBirthday(phoneNumber, groupId);
+            const result = await database.run(sql, [phoneNumber, groupId]);
+
+            if (old) {
+                await birthdayChangeRepository.addChange({
+                    phoneNumber,
+                    groupId,
+                    action: 'removed',
+                    changedBy: removedBy,
+                    old
+                });
+            }
+
+            return result;
+        });
     }
 
     /**
@@ -145,18 +206,21 @@ class BirthdayRepository {
     }
 
     /**
-     * Get birthday statistics for a group
+     * Get birthday statistics for a group, using the group's timezone and leap day policy
      */
     async getBirthdayStats(groupId) {
+        const group = await groupRepository.getGroupById(groupId);
+        const now = dateUtils.getGroupNow(group);
+        const [today, leapDay = today] = dateUtils.getBirthdayKeys(now, dateUtils.getGroupLeapDayPolicy(group));
         const sql = `
             SELECT 
                 COUNT(*) as total_birthdays,
-                COUNT(CASE WHEN strftime('%m', b.birth_date) = strftime('%m', 'now') THEN 1 END) as this_month,
-                COUNT(CASE WHEN strftime('%m-%d', b.birth_date) = strftime('%m-%d', 'now') THEN 1 END) as today
+                COUNT(CASE WHEN ${database.month('b.birth_date')} = ? THEN 1 END) as this_month,
+                COUNT(CASE WHEN ${database.monthDay('b.birth_date')} IN (?, ?) THEN 1 END) as today
             FROM birthdays b
             WHERE b.group_id = ?
         `;
-        return await database.get(sql, [groupId]);
+        return await database.get(sql, [now.format('MM'), today, leapDay, groupId]);
     }
 }
 
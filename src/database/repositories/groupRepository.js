@@ -4,13 +4,18 @@ const crypto = require('crypto');
 class GroupRepository {
     /**
      * Create or update a group
+     * Updates the row in place so settings are kept (a REPLACE would cascade-delete its birthdays)
+     * and keeps the existing bot status unless botActive is given explicitly
      */
-    async createOrUpdateGroup(groupId, groupName, botActive = true) {
+    async createOrUpdateGroup(groupId, groupName, botActive = null) {
         const sql = `
-            INSERT OR REPLACE INTO groups (group_id, group_name, bot_active, created_at)
-            VALUES (?, ?, ?, COALESCE((SELECT created_at FROM groups WHERE group_id = ?), CURRENT_TIMESTAMP))
+            INSERT INTO groups (group_id, group_name, bot_active)
+            VALUES (?, ?, COALESCE(?, true))
+            ON CONFLICT(group_id) DO UPDATE SET
+                group_name = excluded.group_name,
+                bot_active = COALESCE(?, groups.bot_active)
         `;
-        return await database.run(sql, [groupId, groupName, botActive, groupId]);
+        return await database.run(sql, [groupId, groupName, botActive, botActive]);
     }
 
     /**
@@ -39,10 +44,77 @@ class GroupRepository {
 
     /**
      * Update group bot status
+     * Resuming clears last_reminder_date so the days spent paused aren't caught up later
      */
     async updateBotStatus(groupId, botActive) {
-        const sql = 'UPDATE groups SET bot_active = ? WHERE group_id = ?';
-        return await database.run(sql, [botActive, groupId]);
+        const sql = `
+            UPDATE groups 
+            SET bot_active = ?, last_reminder_date = CASE WHEN ? THEN NULL ELSE last_reminder_date END 
+            WHERE group_id = ?
+        `;
+        return await database.run(sql, [botActive, botActive, groupId]);
+    }
+
+    /**
+     * Record the last local date the reminder pipeline created reminders for
+     */
+    async updateLastReminderDate(groupId, date) {
+        const sql = 'UPDATE groups SET last_reminder_date = ? WHERE group_id = ?';
+        return await database.run(sql, [date, groupId]);
+    }
+
+    /**
+     * Get advance reminder offsets (days before the birthday) for a group
+     */
+    async getReminderOffsets(groupId) {
+        const group = await this.getGroupById(groupId);
+        return this.parseReminderOffsets(group && group.reminder_offsets);
+    }
+
+    /**
+     * Update advance reminder offsets for a group
+     */
+    async updateReminderOffsets(groupId, offsets) {
+        const sql = 'UPDATE groups SET reminder_offsets = ? WHERE group_id = ?';
+        return await database.run(sql, [offsets.join(','), groupId]);
+    }
+
+    /**
+     * Update the daily send time (HH:mm) and timezone for a group
+     */
+    async updateSchedule(groupId, sendTime, timezone) {
+        const sql = 'UPDATE groups SET send_time = ?, timezone = ? WHERE group_id = ?';
+        return await database.run(sql, [sendTime, timezone, groupId]);
+    }
+
+    /**
+     * Update when a group celebrates 29 February birthdays in non-leap years (feb28 or mar1)
+     */
+    async updateLeapDayPolicy(groupId, policy) {
+        const sql = 'UPDATE groups SET leap_day_policy = ? WHERE group_id = ?';
+        return await database.run(sql, [policy, groupId]);
+    }
+
+    /**
+     * Update a group's language
+     */
+    async updateLanguage(groupId, language) {
+        const sql = 'UPDATE groups SET language = ? WHERE group_id = ?';
+        return await database.run(sql, [language, groupId]);
+    }
+
+    /**
+     * Parse stored reminder offsets ("7,1") into numbers
+     */
+    parseReminderOffsets(value) {
+        if (!value) {
+            return [];
+        }
+
+        return String(value)
+            .split(',')
+            .map(offset => parseInt(offset, 10))
+            .filter(offset => !isNaN(offset) && offset > 0);
     }
 
     /**
@@ -63,12 +135,14 @@ class GroupRepository {
 
     /**
      * Add member to group
+     * Existing members keep their row, join date and admin flag (unique on phone_number, group_id)
      */
     async addMemberToGroup(phoneNumber, groupId, isAdmin = false) {
         const memberId = crypto.randomUUID();
         const sql = `
-            INSERT OR REPLACE INTO group_members (id, phone_number, group_id, is_admin, joined_at)
+            INSERT INTO group_members (id, phone_number, group_id, is_admin, joined_at)
             VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(phone_number, group_id) DO UPDATE SET is_admin = group_members.is_admin OR excluded.is_admin
         `;
         return await database.run(sql, [memberId, phoneNumber, groupId, isAdmin]);
     }
@@ -95,6 +169,19 @@ class GroupRepository {
         return await database.all(sql, [groupId]);
     }
 
+    /**
+     * Get a single group member
+     */
+    async getGroupMember(phoneNumber, groupId) {
+        const sql = `
+            SELECT gm.*, u.name 
+            FROM group_members gm
+            LEFT JOIN users u ON gm.phone_number = u.phone_number
+            WHERE gm.phone_number = ? AND gm.group_id = ?
+        `;
+        return await database.get(sql, [phoneNumber, groupId]);
+    }
+
     /**
      * Check if user is member of group
      */
@@ -112,6 +199,30 @@ class GroupRepository {
         const result = await database.get(sql, [phoneNumber, groupId]);
         return result && result.is_admin;
     }
+
+    /**
+     * Set admin flag for a group member
+     */
+    async setMemberAdmin(phoneNumber, groupId, isAdmin) {
+        const sql = 'UPDATE group_members SET is_admin = ? WHERE phone_number = ? AND group_id = ?';
+        return await database.run(sql, [isAdmin, phoneNumber, groupId]);
+    }
+
+    /**
+     * Sync admin flags from WhatsApp group participants
+     * Only members already known to the bot are updated
+     */
+    async syncGroupAdmins(groupId, participants = []) {
+        for (const participant of participants) {
+            const phoneNumber = participant.id && participant.id.user;
+            if (!phoneNumber) {
+                continue;
+            }
+
+            const isAdmin = !!(participant.isAdmin || participant.isSuperAdmin);
+            await this.setMemberAdmin(phoneNumber, groupId, isAdmin);
+        }
+    }
 }
 
 module.exports = new GroupRepository();
\ No newline at end of file
@@ -1,11 +1,19 @@
 const userRepository = require('./userRepository');
 const groupRepository = require('./groupRepository');
 const birthdayRepository = require('./birthdayRepository');
+const birthdayChangeRepository = require('./birthdayChangeRepository');
 const reminderRepository = require('./reminderRepository');
+const messageQueueRepository = require('./messageQueueRepository');
+const templateRepository = require('./templateRepository');
+const auditLogRepository = require('./auditLogRepository');
 
 module.exports = {
     userRepository,
     groupRepository,
     birthdayRepository,
-    reminderRepository
+    birthdayChangeRepository,
+    reminderRepository,
+    messageQueueRepository,
+    templateRepository,
+    auditLogRepository
 };
\ No newline at end of file
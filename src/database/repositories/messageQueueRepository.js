@@ -0,0 +1,156 @@
+const database = require('../database');
+const crypto = require('crypto');
+const moment = require('moment');
+
+// Retry settings for failed sends
+const MAX_ATTEMPTS = parseInt(process.env.MESSAGE_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.MESSAGE_RETRY_BASE_SECONDS, 10) || 30;
+const RETRY_MAX_SECONDS = 60 * 60;
+
+class MessageQueueRepository {
+    /**
+     * Add a message to the outbound queue
+     * @param {Array} mentions - Phone numbers to tag, resolved to contact IDs when sent
+     * @returns {string} - Queued message ID
+     */
+    async enqueueMessage(chatId, body, mentions = [], maxAttempts = MAX_ATTEMPTS) {
+        const messageId = crypto.randomUUID();
+        const sql = `
+            INSERT INTO outbound_messages (id, chat_id, body, mentions, status, attempts, max_attempts, next_attempt_at)
+            VALUES (?, ?, ?, ?, 'pending', 0, ?, ?)
+        `;
+        await database.run(sql, [
+            messageId,
+            chatId,
+            body,
+            mentions.length > 0 ? JSON.stringify(mentions) : null,
+            maxAttempts,
+            this.formatTimestamp(moment.utc())
+        ]);
+        return messageId;
+    }
+
+    /**
+     * Parse a queued message's mentions
+     * @returns {Array} - Phone numbers
+     */
+    parseMentions(message) {
+        if (!message.mentions) {
+            return [];
+        }
+
+        try {
+            const mentions = JSON.parse(message.mentions);
+            return Array.isArray(mentions) ? mentions : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Get pending messages whose next attempt is due
+     */
+    async getDueMessages(limit = 20) {
+        const sql = `
+            SELECT * FROM outbound_messages
+            WHERE status = 'pending' AND next_attempt_at <= ?
+            ORDER BY created_at
+            LIMIT ?
+        `;
+        return await database.all(sql, [this.formatTimestamp(moment.utc()), limit]);
+    }
+
+    /**
+     * Get message by ID
+     */
+    async getMessageById(messageId) {
+        const sql = 'SELECT * FROM outbound_messages WHERE id = ?';
+        return await database.get(sql, [messageId]);
+    }
+
+    /**
+     * Mark message as sent
+     */
+    async markMessageSent(messageId) {
+        const sql = `
+            UPDATE outbound_messages
+            SET status = 'sent', attempts = attempts + 1, sent_at = CURRENT_TIMESTAMP, last_error = NULL
+            WHERE id = ?
+        `;
+        return await database.run(sql, [messageId]);
+    }
+
+    /**
+     * Record a failed send attempt
+     * Schedules the next attempt with exponential backoff, or moves the
+     * message to the dead-letter state once it runs out of attempts
+     * @returns {string} - New status ('pending' or 'dead')
+     */
+    async recordFailedAttempt(message, errorMessage) {
+        const attempts = message.attempts + 1;
+        const status = attempts >= message.max_attempts ? 'dead' : 'pending';
+        const delaySeconds = Math.min(RETRY_BASE_SECONDS * Math.pow(2, attempts - 1), RETRY_MAX_SECONDS);
+        const nextAttemptAt = this.formatTimestamp(moment.utc().add(delaySeconds, 'seconds'));
+
+        const sql = `
+            UPDATE outbound_messages
+            SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?
+            WHERE id = ?
+        `;
+        await database.run(sql, [status, attempts, nextAttemptAt, errorMessage, message.id]);
+        return status;
+    }
+
+    /**
+     * Get messages, optionally filtered by status
+     */
+    async getMessages(status = null, limit = 50) {
+        let sql = 'SELECT * FROM outbound_messages';
+        const params = [];
+
+        if (status) {
+            sql += ' WHERE status = ?';
+            params.push(status);
+        }
+
+        sql += ' ORDER BY created_at DESC LIMIT ?';
+        params.push(limit);
+
+        return await database.all(sql, params);
+    }
+
+    /**
+     * Get message counts by status
+     */
+    async getQueueStats() {
+        const sql = `
+            SELECT
+                COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
+                COUNT(CASE WHEN status = 'sent' THEN 1 END) as sent,
+                COUNT(CASE WHEN status = 'dead' THEN 1 END) as dead
+            FROM outbound_messages
+        `;
+        return await database.get(sql);
+    }
+
+    /**
+     * Delete old sent messages (cleanup)
+     */
+    async deleteOldMessages(daysOld = 30) {
+        const cutoff = this.formatTimestamp(moment.utc().subtract(daysOld, 'days'));
+        const sql = `
+            DELETE FROM outbound_messages
+            WHERE status = 'sent' AND sent_at < ?
+        `;
+        return await database.run(sql, [cutoff]);
+    }
+
+    /**
+     * Format a UTC moment like SQLite's CURRENT_TIMESTAMP
+     */
+    formatTimestamp(date) {
+        return date.format('YYYY-MM-DD HH:mm:ss');
+    }
+}
+
+module.exports = new MessageQueueRepository();
@@ -1,47 +1,111 @@
 const database = require('../database');
 const crypto = require('crypto');
 const moment = require('moment');
+const groupRepository = require('./groupRepository');
+const dateUtils = require('../../utils/dateUtils');
 
 class ReminderRepository {
     /**
      * Create a new reminder record
+     * reminderType is 'birthday' for same-day reminders or 'advance' for reminders sent daysBefore the birthday
      */
-    async createReminder(birthdayId, reminderDate) {
+    async createReminder(birthdayId, reminderDate, reminderType = 'birthday', daysBefore = 0) {
         const reminderId = crypto.randomUUID();
+        // Ignored if the birthday already has a reminder for this date (unique on birthday_id, reminder_date)
         const sql = `
-            INSERT INTO reminders (id, birthday_id, reminder_date, sent, sent_at)
-            VALUES (?, ?, ?, false, NULL)
+            INSERT INTO reminders (id, birthday_id, reminder_date, reminder_type, days_before, sent, sent_at)
+            VALUES (?, ?, ?, ?, ?, false, NULL)
+            ON CONFLICT(birthday_id, reminder_date) DO NOTHING
         `;
-        return await database.run(sql, [reminderId, birthdayId, reminderDate]);
+        return await database.run(sql, [reminderId, birthdayId, reminderDate, reminderType, daysBefore]);
     }
 
     /**
      * Mark reminder as sent
+     * Only pending reminders are updated, so changes is 0 if it was already sent.
+     * delayDays records how many days late a belated reminder went out.
      */
-    async markReminderSent(reminderId) {
+    async markReminderSent(reminderId, delayDays = 0) {
+        const sql = `
+            UPDATE reminders 
+            SET sent = true, sent_at = CURRENT_TIMESTAMP, delay_days = ? 
+            WHERE id = ? AND sent = false
+        `;
+        return await database.run(sql, [delayDays, reminderId]);
+    }
+
+    /**
+     * Link a reminder to its queued outbound message
+     * Queued reminders are no longer returned as pending
+     */
+    async markReminderQueued(reminderId, messageId, delayDays = 0) {
+        const sql = `
+            UPDATE reminders 
+            SET message_id = ?, delay_days = ? 
+            WHERE id = ? AND sent = false AND message_id IS NULL
+        `;
+        return await database.run(sql, [messageId, delayDays, reminderId]);
+    }
+
+    /**
+     * Mark all reminders delivered by an outbound message as sent
+     */
+    async markRemindersSentByMessage(messageId) {
         const sql = `
             UPDATE reminders 
             SET sent = true, sent_at = CURRENT_TIMESTAMP 
-            WHERE id = ?
+            WHERE message_id = ? AND sent = false
         `;
-        return await database.run(sql, [reminderId]);
+        return await database.run(sql, [messageId]);
+    }
+
+    /**
+     * Mark the reminders of a dead-lettered outbound message as failed
+     * They aren't retried; catch-up and the pending counts skip them
+     */
+    async markRemindersFailedByMessage(messageId) {
+        const sql = `
+            UPDATE reminders 
+            SET failed_at = CURRENT_TIMESTAMP 
+            WHERE message_id = ? AND sent = false
+        `;
+        return await database.run(sql, [messageId]);
     }
 
     /**
-     * Get pending reminders for a specific date
+     * Get pending reminders for a specific date, optionally for a single group
      */
-    async getPendingReminders(date = null) {
+    async getPendingReminders(date = null, groupId = null) {
         const reminderDate = date || moment().format('YYYY-MM-DD');
         const sql = `
-            SELECT r.*, b.phone_number, b.birth_date, b.group_id, u.name, g.group_name
+            SELECT r.*, b.phone_number, b.birth_date, b.birth_year, b.group_id, u.name, u.show_age, g.group_name, g.language
             FROM reminders r
             INNER JOIN birthdays b ON r.birthday_id = b.id
             LEFT JOIN users u ON b.phone_number = u.phone_number
             LEFT JOIN groups g ON b.group_id = g.group_id
-            WHERE r.reminder_date = ? AND r.sent = false AND g.bot_active = true
+            WHERE r.reminder_date = ? AND r.sent = false AND r.message_id IS NULL AND g.bot_active = true
+            AND b.group_id = COALESCE(?, b.group_id)
             ORDER BY g.group_name, u.name
         `;
-        return await database.all(sql, [reminderDate]);
+        return await database.all(sql, [reminderDate, groupId]);
+    }
+
+    /**
+     * Get unsent same-day birthday reminders for a group between two dates (inclusive)
+     * Used to catch up on reminders missed while the bot was offline
+     */
+    async getMissedReminders(groupId, fromDate, toDate) {
+        const sql = `
+            SELECT r.*, b.phone_number, b.birth_date, b.birth_year, b.group_id, u.name, u.show_age, g.group_name, g.language
+            FROM reminders r
+            INNER JOIN birthdays b ON r.birthday_id = b.id
+            LEFT JOIN users u ON b.phone_number = u.phone_number
+            LEFT JOIN groups g ON b.group_id = g.group_id
+            WHERE b.group_id = ? AND r.reminder_date BETWEEN ? AND ?
+            AND r.reminder_type = 'birthday' AND r.sent = false AND r.message_id IS NULL AND g.bot_active = true
+            ORDER BY r.reminder_date, u.name
+        `;
+        return await database.all(sql, [groupId, fromDate, toDate]);
     }
 
     /**
@@ -49,7 +113,7 @@ class ReminderRepository {
      */
     async getReminderById(reminderId) {
         const sql = `
-            SELECT r.*, b.phone_number, b.birth_date, b.group_id, u.name, g.group_name
+            SELECT r.*, b.phone_number, b.birth_date, b.birth_year, b.group_id, u.name, u.show_age, g.group_name, g.language
             FROM reminders r
             INNER JOIN birthdays b ON r.birthday_id = b.id
             LEFT JOIN users u ON b.phone_number = u.phone_number
@@ -71,6 +135,32 @@ class ReminderRepository {
         return await database.all(sql, [birthdayId]);
     }
 
+    /**
+     * Get all reminders for a group, newest first
+     * @param {string|null} status - Only pending, sent or failed reminders; all when null
+     */
+    async getRemindersByGroup(groupId, status = null) {
+        let sql = `
+            SELECT r.*, b.phone_number, b.birth_date, u.name
+            FROM reminders r
+            INNER JOIN birthdays b ON r.birthday_id = b.id
+            LEFT JOIN users u ON b.phone_number = u.phone_number
+            WHERE b.group_id = ?
+        `;
+        const params = [groupId];
+
+        if (status === 'sent') {
+            sql += ' AND r.sent = true';
+        } else if (status === 'failed') {
+            sql += ' AND r.sent = false AND r.failed_at IS NOT NULL';
+        } else if (status === 'pending') {
+            sql += ' AND r.sent = false AND r.failed_at IS NULL';
+        }
+
+        sql += ' ORDER BY r.reminder_date DESC, u.name';
+        return await database.all(sql, params);
+    }
+
     /**
      * Get reminder history for a group
      */
@@ -99,6 +189,14 @@ class ReminderRepository {
         return !!result;
     }
 
+    /**
+     * Delete a reminder
+     */
+    async deleteReminder(reminderId) {
+        const sql = 'DELETE FROM reminders WHERE id = ?';
+        return await database.run(sql, [reminderId]);
+    }
+
     /**
      * Delete old reminders (cleanup)
      */
@@ -120,7 +218,8 @@ class ReminderRepository {
             SELECT 
                 COUNT(*) as total_reminders,
                 COUNT(CASE WHEN r.sent = true THEN 1 END) as sent_reminders,
-                COUNT(CASE WHEN r.sent = false THEN 1 END) as pending_reminders
+                COUNT(CASE WHEN r.sent = false AND r.failed_at IS NULL THEN 1 END) as pending_reminders,
+                COUNT(CASE WHEN r.sent = false AND r.failed_at IS NOT NULL THEN 1 END) as failed_reminders
             FROM reminders r
             INNER JOIN birthdays b ON r.birthday_id = b.id
             WHERE r.reminder_date >= ?
@@ -136,34 +235,60 @@ class ReminderRepository {
     }
 
     /**
-     * Create reminders for today's birthdays
+     * Create reminders for today's birthdays, plus advance reminders for groups
+     * with reminder offsets configured (e.g. 7 and 1 days before)
+     * Without a date, each group uses today's date in its own timezone.
+     * Safe to run repeatedly: existing reminders are left untouched.
+     * @param {Object} options - {includeAdvance: create advance reminders too (default true)}
+     * @returns {Array} - Results for newly created reminders only
      */
-    async createTodaysReminders() {
-        const today = moment().format('YYYY-MM-DD');
-        const todayMD = moment().format('MM-DD');
-        
-        // Get all birthdays for today that don't have reminders yet
-        const sql = `
-            SELECT b.id as birthday_id
-            FROM birthdays b
-            INNER JOIN groups g ON b.group_id = g.group_id
-            WHERE strftime('%m-%d', b.birth_date) = ? 
-            AND g.bot_active = true
-            AND NOT EXISTS (
-                SELECT 1 FROM reminders r 
-                WHERE r.birthday_id = b.id AND r.reminder_date = ?
-            )
-        `;
-        
-        const birthdays = await database.all(sql, [todayMD, today]);
-        
-        // Create reminders for each birthday
+    async createTodaysReminders(date = null, groupId = null, options = {}) {
+        const { includeAdvance = true } = options;
+        const groups = (await groupRepository.getActiveGroups())
+            .filter(group => !groupId || group.group_id === groupId);
         const results = [];
-        for (const birthday of birthdays) {
-            const result = await this.createReminder(birthday.birthday_id, today);
-            results.push(result);
+
+        for (const group of groups) {
+            const reminderDate = date ? moment(date, 'YYYY-MM-DD') : dateUtils.getGroupNow(group);
+            const today = reminderDate.format('YYYY-MM-DD');
+            const leapDayPolicy = dateUtils.getGroupLeapDayPolicy(group);
+
+            // Same-day reminders first, then each advance offset
+            const offsets = includeAdvance
+                ? [0, ...groupRepository.parseReminderOffsets(group.reminder_offsets)]
+                : [0];
+
+            for (const offset of offsets) {
+                // 29 February birthdays are matched on the policy's day in non-leap years
+                const [targetMD, leapDayMD = targetMD] = dateUtils.getBirthdayKeys(
+                    reminderDate.clone().add(offset, 'days'),
+                    leapDayPolicy
+                );
+                const sql = `
+                    SELECT b.id as birthday_id
+                    FROM birthdays b
+                    WHERE b.group_id = ?
+                    AND ${database.monthDay('b.birth_date')} IN (?, ?)
+                    AND NOT EXISTS (
+                        SELECT 1 FROM reminders r 
+                        WHERE r.birthday_id = b.id AND r.reminder_date = ?
+                    )
+                `;
+
+                const birthdays = await database.all(sql, [group.group_id, targetMD, leapDayMD, today]);
+
+                for (const birthday of birthdays) {
+                    const result = offset === 0
+                        ? await this.createReminder(birthday.birthday_id, today)
+                        : await this.createReminder(birthday.birthday_id, today, 'advance', offset);
+
+                    if (result.changes > 0) {
+                        results.push(result);
+                    }
+                }
+            }
         }
-        
+
         return results;
     }
 }
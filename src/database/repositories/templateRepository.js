@@ -0,0 +1,50 @@
+const database = require('../database');
+const crypto = require('crypto');
+
+class TemplateRepository {
+    /**
+     * Add a message template to a group
+     * @returns {string} - Template ID
+     */
+    async addTemplate(groupId, templateType, content, createdBy = null) {
+        const templateId = crypto.randomUUID();
+        const sql = `
+            INSERT INTO message_templates (id, group_id, template_type, content, created_by)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+        await database.run(sql, [templateId, groupId, templateType, content, createdBy]);
+        return templateId;
+    }
+
+    /**
+     * Get a group's templates, optionally of one type
+     * Ordered by creation so list numbers stay stable
+     */
+    async getTemplatesByGroup(groupId, templateType = null) {
+        const sql = `
+            SELECT * FROM message_templates
+            WHERE group_id = ? AND template_type = COALESCE(?, template_type)
+            ORDER BY created_at, ${database.insertionOrder()}
+        `;
+        return await database.all(sql, [groupId, templateType]);
+    }
+
+    /**
+     * Count a group's templates
+     */
+    async countTemplates(groupId) {
+        const sql = 'SELECT COUNT(*) as count FROM message_templates WHERE group_id = ?';
+        const result = await database.get(sql, [groupId]);
+        return result.count;
+    }
+
+    /**
+     * Delete a template
+     */
+    async deleteTemplate(templateId) {
+        const sql = 'DELETE FROM message_templates WHERE id = ?';
+        return await database.run(sql, [templateId]);
+    }
+}
+
+module.exports = new TemplateRepository();
\ No newline at end of file
@@ -3,11 +3,26 @@ const database = require('../database');
 class UserRepository {
     /**
      * Create or update a user
+     * Updates the name in place so settings like show_age are kept
      */
     async createOrUpdateUser(phoneNumber, name) {
         const sql = `
-            INSERT OR REPLACE INTO users (phone_number, name, updated_at)
+            INSERT INTO users (phone_number, name, updated_at)
             VALUES (?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(phone_number) DO UPDATE SET name = excluded.name, updated_at = CURRENT_TIMESTAMP
+        `;
+        return await database.run(sql, [phoneNumber, name]);
+    }
+
+    /**
+     * Create a user unless they already exist
+     * Keeps the stored name of existing users
+     */
+    async createUserIfMissing(phoneNumber, name) {
+        const sql = `
+            INSERT INTO users (phone_number, name)
+            VALUES (?, ?)
+            ON CONFLICT(phone_number) DO NOTHING
         `;
         return await database.run(sql, [phoneNumber, name]);
     }
@@ -56,6 +71,18 @@ class UserRepository {
         return await database.run(sql, [name, phoneNumber]);
     }
 
+    /**
+     * Set whether a user's age is shown in birthday announcements
+     */
+    async updateShowAge(phoneNumber, showAge) {
+        const sql = `
+            UPDATE users 
+            SET show_age = ?, updated_at = CURRENT_TIMESTAMP 
+            WHERE phone_number = ?
+        `;
+        return await database.run(sql, [showAge, phoneNumber]);
+    }
+
     /**
      * Get users by group ID
      */
@@ -0,0 +1,19 @@
+require('dotenv').config();
+const database = require('./database');
+
+/**
+ * Load sample data for local testing (npm run db:seed)
+ */
+async function seed() {
+    try {
+        await database.init();
+        await database.seed();
+        await database.close();
+        console.log('✅ Sample data loaded');
+    } catch (error) {
+        console.error('❌ Seeding failed:', error.message);
+        process.exit(1);
+    }
+}
+
+seed();
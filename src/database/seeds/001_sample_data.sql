@@ -0,0 +1,20 @@
+-- Sample data for local testing (opt-in: npm run db:seed)
+-- Birth dates are stored in the year 2000; only the day and month are used
+-- Written to run on both SQLite and PostgreSQL
+
+-- Sample group
+INSERT INTO groups (group_id, group_name, bot_active) VALUES
+('sample_group_123', 'Family Group', true)
+ON CONFLICT DO NOTHING;
+
+-- Sample user data
+INSERT INTO users (phone_number, name) VALUES
+('1234567890', 'John Doe'),
+('0987654321', 'Jane Smith')
+ON CONFLICT DO NOTHING;
+
+-- Sample birthday data
+INSERT INTO birthdays (id, phone_number, birth_date, group_id) VALUES
+('bd_001', '1234567890', '2000-03-15', 'sample_group_123'),
+('bd_002', '0987654321', '2000-07-22', 'sample_group_123')
+ON CONFLICT DO NOTHING;
@@ -9,8 +9,17 @@ const path = require('path');
 const whatsappClient = require('./services/whatsappClient');
 const commandParser = require('./services/commandParser');
 const cronScheduler = require('./services/cronScheduler');
+const birthdayImporter = require('./services/birthdayImporter');
+const birthdayExporter = require('./services/birthdayExporter');
+const backupService = require('./services/backupService');
+const qrCodeService = require('./services/qrCodeService');
+const templateEngine = require('./services/templateEngine');
+const i18n = require('./utils/i18n');
 const database = require('./database/database');
-const { userRepository, groupRepository } = require('./database/repositories');
+const apiAuth = require('./middleware/apiAuth');
+const rateLimiter = require('./middleware/rateLimiter');
+const apiV1 = require('./routes/apiV1');
+const { userRepository, groupRepository, messageQueueRepository, auditLogRepository } = require('./database/repositories');
 
 class BirthdayReminderBot {
     constructor() {
@@ -18,7 +27,6 @@ class BirthdayReminderBot {
         this.port = process.env.PORT || 3000;
         this.isInitialized = false;
         this.startTime = new Date();
-        this.currentQRCode = null; // Store current QR code for web access
         
         // Setup express middleware
         this.setupExpress();
@@ -86,12 +94,27 @@ class BirthdayReminderBot {
             
             // Setup QR code handler for production
             whatsappClient.setQRCodeHandler((qrCode) => {
-                this.currentQRCode = qrCode;
+                qrCodeService.setCode(qrCode);
+            });
+            
+            // Pairing codes, when logging in with WHATSAPP_PAIRING_NUMBER
+            whatsappClient.setPairingCodeHandler((code) => {
+                qrCodeService.setPairingCode(whatsappClient.formatPairingCode(code));
             });
             
             // Clear QR code when authenticated
             whatsappClient.setAuthenticatedHandler(() => {
-                this.currentQRCode = null;
+                qrCodeService.expire();
+            });
+            
+            // Welcome new group members
+            whatsappClient.setGroupJoinHandler(async (chat, contact) => {
+                await this.handleGroupJoin(chat, contact);
+            });
+            
+            // Deliver reminders missed while the client was offline
+            whatsappClient.setReadyHandler(async () => {
+                await cronScheduler.catchUpMissedReminders();
             });
             
             // Initialize client
@@ -113,6 +136,11 @@ class BirthdayReminderBot {
         try {
             cronScheduler.start();
             console.log('✅ Cron scheduler started successfully');
+            
+            // Pick up reminders missed while the bot was down, without holding up startup
+            cronScheduler.catchUpMissedReminders().catch(error => {
+                console.error('❌ Failed to catch up missed reminders:', error);
+            });
         } catch (error) {
             console.error('❌ Failed to start cron scheduler:', error);
             throw error;
@@ -135,6 +163,27 @@ class BirthdayReminderBot {
      */
     setupExpress() {
         this.app.use(express.json());
+
+        // Behind a reverse proxy, take client IPs from X-Forwarded-For (TRUST_PROXY = number of proxies)
+        const proxyHops = parseInt(process.env.TRUST_PROXY, 10);
+        if (proxyHops > 0) {
+            this.app.set('trust proxy', proxyHops);
+        }
+
+        // Requests per client IP per minute: all key-protected routes, and the stricter sensitive ones
+        const apiRateLimit = parseInt(process.env.API_RATE_LIMIT, 10) || 120;
+        const sensitiveRateLimit = parseInt(process.env.SENSITIVE_RATE_LIMIT, 10) || 10;
+
+        // Read-only keys can view stats and data; admin keys can also change things
+        const requireRead = [rateLimiter.limit('api', apiRateLimit), apiAuth.requireScope('read')];
+        const requireAdmin = [rateLimiter.limit('api', apiRateLimit), apiAuth.requireScope('admin')];
+        const requireAdminSensitive = [rateLimiter.limit('sensitive', sensitiveRateLimit), ...requireAdmin];
+        // Calendar apps can't send headers, so feeds also take a read key as ?key=
+        const requireFeedRead = [rateLimiter.limit('api', apiRateLimit), apiAuth.requireScope('read', { allowQueryKey: true })];
+
+        if (!apiAuth.isConfigured()) {
+            console.warn('⚠️ API_KEYS is not set: every endpoint except /health and / will refuse requests');
+        }
         
         // Health check endpoint
         this.app.get('/health', (req, res) => {
@@ -151,7 +200,7 @@ class BirthdayReminderBot {
         });
         
         // Status endpoint
-        this.app.get('/status', async (req, res) => {
+        this.app.get('/status', requireRead, async (req, res) => {
             try {
                 const stats = await this.getStats();
                 res.json(stats);
@@ -161,7 +210,7 @@ class BirthdayReminderBot {
         });
         
         // Manual birthday check endpoint (for testing)
-        this.app.post('/trigger/birthday-check', async (req, res) => {
+        this.app.post('/trigger/birthday-check', requireAdminSensitive, async (req, res) => {
             try {
                 await cronScheduler.triggerBirthdayCheck();
                 res.json({ message: 'Birthday check triggered successfully' });
@@ -171,7 +220,7 @@ class BirthdayReminderBot {
         });
         
         // Manual reminder creation endpoint (for testing)
-        this.app.post('/trigger/create-reminders', async (req, res) => {
+        this.app.post('/trigger/create-reminders', requireAdminSensitive, async (req, res) => {
             try {
                 await cronScheduler.triggerReminderCreation();
                 res.json({ message: 'Reminder creation triggered successfully' });
@@ -180,9 +229,198 @@ class BirthdayReminderBot {
             }
         });
         
-        // QR Code endpoint for production authentication
-        this.app.get('/qr', (req, res) => {
-            if (!this.currentQRCode) {
+        // Bulk birthday import (CSV or vCard)
+        this.app.post('/groups/:groupId/birthdays/import', requireAdmin,
+            express.text({ type: ['text/csv', 'text/vcard', 'text/x-vcard', 'text/plain'], limit: '1mb' }),
+            async (req, res) => {
+                try {
+                    const { groupId } = req.params;
+                    const group = await groupRepository.getGroupById(groupId);
+                    if (!group) {
+                        return res.status(404).json({ error: 'Group not found' });
+                    }
+
+                    // Accept raw text bodies or JSON { content, format }
+                    const content = typeof req.body === 'string' ? req.body : req.body && req.body.content;
+                    if (!content) {
+                        return res.status(400).json({ error: 'No CSV or vCard content provided' });
+                    }
+
+                    const format = req.query.format || (req.body && req.body.format);
+                    if (format && !['csv', 'vcf'].includes(format)) {
+                        return res.status(400).json({ error: 'Format must be csv or vcf' });
+                    }
+
+                    const result = await birthdayImporter.importBirthdays(groupId, content, {
+                        format,
+                        mimetype: req.get('content-type'),
+                        addedBy: `api:${req.apiKey.name}`
+                    });
+                    res.json(result);
+                } catch (error) {
+                    console.error('Error importing birthdays:', error);
+                    res.status(500).json({ error: 'Failed to import birthdays', message: error.message });
+                }
+            }
+        );
+        
+        // Birthday export (birthdays.csv, birthdays.json or subscribable birthdays.ics feed)
+        this.app.get('/groups/:groupId/birthdays.ics', requireFeedRead, (req, res) => this.sendBirthdayExport(req, res, 'ics'));
+        this.app.get('/groups/:groupId/birthdays.:format', requireRead, (req, res) => this.sendBirthdayExport(req, res, req.params.format));
+        
+        // Outbound message queue (pending, sent and dead-lettered messages)
+        this.app.get('/queue', requireRead, async (req, res) => {
+            try {
+                const { status } = req.query;
+                if (status && !['pending', 'sent', 'dead'].includes(status)) {
+                    return res.status(400).json({ error: 'Status must be pending, sent or dead' });
+                }
+
+                const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+                const stats = await messageQueueRepository.getQueueStats();
+                const messages = await messageQueueRepository.getMessages(status || null, limit);
+                res.json({ stats, messages });
+            } catch (error) {
+                console.error('Error getting message queue:', error);
+                res.status(500).json({ error: 'Failed to get message queue' });
+            }
+        });
+        
+        // Database integrity: orphaned rows whose group, user or birthday no longer exists
+        this.app.get('/integrity', requireAdmin, async (req, res) => {
+            try {
+                const report = await database.checkIntegrity();
+                res.json(report);
+            } catch (error) {
+                console.error('Error checking database integrity:', error);
+                res.status(500).json({ error: 'Failed to check database integrity' });
+            }
+        });
+
+        this.app.post('/integrity/repair', requireAdminSensitive, async (req, res) => {
+            try {
+                const removed = await database.repairIntegrity();
+                console.log('🧹 Removed orphaned rows:', removed);
+                res.json({ removed, ...(await database.checkIntegrity()) });
+            } catch (error) {
+                console.error('Error repairing database integrity:', error);
+                res.status(500).json({ error: 'Failed to repair database integrity' });
+            }
+        });
+        
+        // Database backups (SQLite only)
+        this.app.get('/admin/backups', requireAdmin, (req, res) => {
+            try {
+                res.json({ backups: backupService.listBackups() });
+            } catch (error) {
+                console.error('Error listing backups:', error);
+                res.status(500).json({ error: 'Failed to list backups' });
+            }
+        });
+
+        this.app.post('/admin/backup', requireAdminSensitive, async (req, res) => {
+            if (!backupService.isSupported()) {
+                return res.status(400).json({ error: 'Backups are only supported for SQLite; use pg_dump for PostgreSQL' });
+            }
+
+            try {
+                const backup = await backupService.createBackup();
+                res.status(201).json({ message: 'Backup created', backup });
+            } catch (error) {
+                console.error('Error creating backup:', error);
+                res.status(500).json({ error: 'Failed to create backup', message: error.message });
+            }
+        });
+
+        // Restore a backup by file name ({ "file": "birthday_bot-....db" }); the current database is backed up first
+        this.app.post('/admin/restore', requireAdminSensitive, async (req, res) => {
+            if (!backupService.isSupported()) {
+                return res.status(400).json({ error: 'Backups are only supported for SQLite; use pg_restore for PostgreSQL' });
+            }
+
+            try {
+                const file = req.body && req.body.file;
+                if (!file) {
+                    return res.status(400).json({ error: 'No backup file given' });
+                }
+
+                const result = await backupService.restoreBackup(file);
+                if (!result) {
+                    return res.status(404).json({ error: 'Backup not found' });
+                }
+                if (!result.restored) {
+                    return res.status(422).json({ error: 'Backup failed the integrity check', ...result });
+                }
+
+                res.json({ message: 'Database restored', ...result });
+            } catch (error) {
+                console.error('Error restoring backup:', error);
+                res.status(500).json({ error: 'Failed to restore backup', message: error.message });
+            }
+        });
+        
+        // Audit log of admin API calls and rejected requests
+        this.app.get('/admin/audit', requireAdmin, async (req, res) => {
+            try {
+                const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+                res.json({ entries: await auditLogRepository.getEntries(limit) });
+            } catch (error) {
+                console.error('Error getting audit log:', error);
+                res.status(500).json({ error: 'Failed to get audit log' });
+            }
+        });
+        
+        // Login status: how the client is logging in and the code to use, if one is waiting
+        this.app.get('/auth/status', requireAdminSensitive, (req, res) => {
+            const login = whatsappClient.getLoginInfo();
+            const ready = whatsappClient.isClientReady();
+            const pairingCode = qrCodeService.getPairingCode();
+            const qrAvailable = qrCodeService.hasCode();
+
+            let state = 'starting';
+            if (ready) {
+                state = 'authenticated';
+            } else if (pairingCode || qrAvailable) {
+                state = 'waiting_for_login';
+            }
+
+            res.json({
+                ready,
+                state,
+                method: login.method,
+                configuredMethod: login.configuredMethod,
+                qrAvailable,
+                pairingCode: login.method === 'pairing' ? pairingCode : null,
+                pairingPhoneNumber: this.maskPhoneNumber(login.pairingNumber),
+                fallbackReason: login.pairingError,
+                updatedAt: (login.method === 'pairing' ? qrCodeService.pairingCodeUpdatedAt : qrCodeService.updatedAt)?.toISOString() || null
+            });
+        });
+        
+        // Pairing code login: the code to enter under Linked devices > Link with phone number instead
+        this.app.get('/pairing-code', requireAdminSensitive, (req, res) => {
+            const login = whatsappClient.getLoginInfo();
+            const code = login.method === 'pairing' ? qrCodeService.getPairingCode() : null;
+            if (!code) {
+                return res.status(404).json({
+                    error: 'No pairing code available',
+                    message: login.pairingError
+                        ? `Pairing failed (${login.pairingError}); use the QR code instead`
+                        : 'Set WHATSAPP_PAIRING_NUMBER to log in with a pairing code, or the client may already be authenticated'
+                });
+            }
+
+            res.json({
+                code,
+                phoneNumber: this.maskPhoneNumber(login.pairingNumber),
+                message: 'On that phone, open WhatsApp > Linked devices > Link a device > Link with phone number instead, and enter this code',
+                updatedAt: qrCodeService.pairingCodeUpdatedAt.toISOString()
+            });
+        });
+        
+        // QR code login: where to get the current code (never the raw pairing data)
+        this.app.get('/qr', requireAdminSensitive, (req, res) => {
+            if (!qrCodeService.hasCode()) {
                 return res.status(404).json({ 
                     error: 'No QR code available', 
                     message: 'WhatsApp client may already be authenticated or not yet initialized' 
@@ -190,17 +428,95 @@ class BirthdayReminderBot {
             }
             
             res.json({
-                qrCode: this.currentQRCode,
-                message: 'Use this QR code data with an online QR code generator to create a scannable code',
-                instructions: [
-                    '1. Copy the qrCode data below',
-                    '2. Go to an online QR code generator (e.g., qr-code-generator.com)',
-                    '3. Paste the data and generate the QR code',
-                    '4. Scan with your WhatsApp mobile app'
-                ]
+                message: 'Scan the QR code with WhatsApp on your phone (Linked devices > Link a device)',
+                updatedAt: qrCodeService.updatedAt.toISOString(),
+                images: {
+                    png: '/qr.png',
+                    svg: '/qr.svg'
+                },
+                events: '/qr/events',
+                dashboard: '/dashboard'
             });
         });
         
+        // Server-sent events: a 'qr' event with a PNG data URL whenever the code rotates
+        // (or 'code' with the pairing code), then 'authenticated' once WhatsApp is linked (the stream closes after it)
+        this.app.get('/qr/events', requireAdminSensitive, async (req, res) => {
+            res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', 'X-Accel-Buffering': 'no' });
+            res.flushHeaders();
+
+            const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            const sendCode = async () => {
+                try {
+                    const image = await qrCodeService.toDataUrl();
+                    if (image) {
+                        send('qr', { image, updatedAt: qrCodeService.updatedAt.toISOString() });
+                    }
+                } catch (error) {
+                    console.error('Error rendering QR code:', error);
+                }
+            };
+            const sendPairingCode = () => {
+                const code = qrCodeService.getPairingCode();
+                if (code) {
+                    send('code', { code, updatedAt: qrCodeService.pairingCodeUpdatedAt.toISOString() });
+                }
+            };
+            const onAuthenticated = () => {
+                send('authenticated', { authenticated: true });
+                res.end();
+            };
+            // Comments keep proxies from closing an idle stream
+            const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+            qrCodeService.on('qr', sendCode);
+            qrCodeService.on('code', sendPairingCode);
+            qrCodeService.on('authenticated', onAuthenticated);
+            res.on('close', () => {
+                clearInterval(heartbeat);
+                qrCodeService.off('qr', sendCode);
+                qrCodeService.off('code', sendPairingCode);
+                qrCodeService.off('authenticated', onAuthenticated);
+            });
+
+            if (whatsappClient.isClientReady()) {
+                onAuthenticated();
+            } else if (qrCodeService.hasCode()) {
+                await sendCode();
+            } else if (qrCodeService.hasPairingCode()) {
+                sendPairingCode();
+            } else {
+                send('waiting', { message: 'Waiting for WhatsApp to generate a login code' });
+            }
+        });
+        
+        // Scannable QR code image (qr.png or qr.svg), rendered here so the code never leaves the server
+        this.app.get('/qr.:format', requireAdminSensitive, async (req, res) => {
+            const { format } = req.params;
+            if (!['png', 'svg'].includes(format)) {
+                return res.status(404).json({ error: 'Unsupported image format', formats: ['png', 'svg'] });
+            }
+
+            try {
+                const image = await qrCodeService.render(format);
+                if (!image) {
+                    return res.status(404).json({ error: 'No QR code available' });
+                }
+
+                res.set('Cache-Control', 'no-store');
+                res.type(image.contentType).send(image.body);
+            } catch (error) {
+                console.error('Error rendering QR code:', error);
+                res.status(500).json({ error: 'Failed to render QR code' });
+            }
+        });
+        
+        // Web admin dashboard (static page; its data comes from the key-protected endpoints)
+        this.app.use('/dashboard', express.static(path.join(__dirname, 'public', 'dashboard')));
+        
+        // REST API for groups, members, users, birthdays and reminders
+        apiV1.mount(this.app, { read: requireRead, admin: requireAdmin });
+        
         // Root endpoint
         this.app.get('/', (req, res) => {
             res.json({
@@ -210,9 +526,24 @@ class BirthdayReminderBot {
                 endpoints: {
                     health: '/health',
                     status: '/status',
+                    queue: '/queue?status=(pending|sent|dead)',
+                    integrity: '/integrity',
+                    repairIntegrity: 'POST /integrity/repair',
+                    backups: '/admin/backups',
+                    createBackup: 'POST /admin/backup',
+                    restoreBackup: 'POST /admin/restore',
+                    auditLog: '/admin/audit',
+                    authStatus: '/auth/status',
+                    pairingCode: '/pairing-code',
                     qr: '/qr (for production authentication)',
+                    qrImage: '/qr.(png|svg)',
+                    qrEvents: '/qr/events',
+                    dashboard: '/dashboard',
                     triggerBirthdayCheck: 'POST /trigger/birthday-check',
-                    triggerCreateReminders: 'POST /trigger/create-reminders'
+                    triggerCreateReminders: 'POST /trigger/create-reminders',
+                    importBirthdays: 'POST /groups/:groupId/birthdays/import',
+                    exportBirthdays: 'GET /groups/:groupId/birthdays.(csv|json|ics)',
+                    api: '/api/v1 (groups, members, users, birthdays and reminders)'
                 }
             });
         });
@@ -269,26 +600,34 @@ class BirthdayReminderBot {
     /**
      * Handle group join events
      */
-    async handleGroupJoin(notification) {
+    async handleGroupJoin(chat, contact) {
         try {
-            const chat = await notification.getChat();
-            const contact = await notification.getContact();
+            const groupId = chat.id._serialized;
+            const name = contact.pushname || contact.name || contact.number;
             
-            console.log(`👥 User ${contact.pushname || contact.number} joined group ${chat.name}`);
+            console.log(`👥 User ${name} joined group ${chat.name}`);
             
-            // Update group and user info
-            await groupRepository.createOrUpdateGroup(chat.id._serialized, chat.name, true);
-            await userRepository.createOrUpdateUser(contact.number, contact.pushname || contact.number);
-            await groupRepository.addGroupMember(chat.id._serialized, contact.number, false);
+            // Members are registered by the WhatsApp client; paused groups get no welcome
+            const group = await groupRepository.getGroupById(groupId);
+            if (group && !group.bot_active) {
+                return;
+            }
+            
+            // Send welcome message (group template or built-in, in the group's language)
+            const language = i18n.getGroupLanguage(group);
+            const values = templateEngine.buildValues([{ name, phone_number: contact.number }], chat.name, {}, language);
+            const custom = await templateEngine.renderGroupTemplate(groupId, 'welcome', values);
             
-            // Send welcome message
-            const welcomeMessage = 
-                `🎉 Welcome to the group, @${contact.number}!\n\n` +
-                `🤖 I'm the Birthday Reminder Bot. I help keep track of everyone's birthdays!\n\n` +
-                `📅 Add your birthday with: \`/addbirthday DD/MM\` (no year for privacy)\n` +
-                `❓ Need help? Use: \`/help\``;
+            let welcomeMessage = i18n.t(language, 'messages.welcome', values);
+            let mentions = [contact.number];
+            
+            if (custom) {
+                welcomeMessage = custom.message;
+                mentions = custom.usesMentions ? mentions : [];
+            }
             
-            await whatsappClient.sendMessage(chat.id._serialized, welcomeMessage);
+            await messageQueueRepository.enqueueMessage(groupId, welcomeMessage, mentions);
+            await cronScheduler.drainMessageQueue();
             
         } catch (error) {
             console.error('Error handling group join:', error);
@@ -324,23 +663,54 @@ class BirthdayReminderBot {
                 return;
             }
             
-            // Update user
-            await userRepository.createOrUpdateUser(contact.number, contact.pushname || contact.number);
-            
-            // Update group
-            await groupRepository.createOrUpdateGroup(chat.id._serialized, chat.name, true);
-            
-            // Add user to group if not already a member
-            const isMember = await groupRepository.isMemberOfGroup(contact.number, chat.id._serialized);
-            if (!isMember) {
+            // Update user, group and membership together
+            await database.transaction(async () => {
+                await userRepository.createOrUpdateUser(contact.number, contact.pushname || contact.number);
+                await groupRepository.createOrUpdateGroup(chat.id._serialized, chat.name);
                 await groupRepository.addMemberToGroup(contact.number, chat.id._serialized, false);
-            }
+            });
             
         } catch (error) {
             console.error('Error updating user info:', error);
         }
     }
 
+    /**
+     * Hide all but the last four digits of a phone number for API responses
+     */
+    maskPhoneNumber(phoneNumber) {
+        if (!phoneNumber) {
+            return null;
+        }
+        return `+${'*'.repeat(Math.max(phoneNumber.length - 4, 0))}${phoneNumber.slice(-4)}`;
+    }
+
+    /**
+     * Send a group's birthdays as a CSV, JSON or iCalendar file
+     */
+    async sendBirthdayExport(req, res, format) {
+        try {
+            if (!birthdayExporter.getFormats().includes(format)) {
+                return res.status(404).json({ error: 'Unsupported export format', formats: birthdayExporter.getFormats() });
+            }
+
+            // Key holders get every birth year, so an export can be re-imported without losing any
+            const file = await birthdayExporter.exportGroup(req.params.groupId, format, { allBirthYears: true });
+            if (!file) {
+                return res.status(404).json({ error: 'Group not found' });
+            }
+
+            res.set('Content-Type', `${file.mimetype}; charset=utf-8`);
+            if (format !== 'ics') {
+                res.attachment(file.filename);
+            }
+            res.send(file.content);
+        } catch (error) {
+            console.error('Error exporting birthdays:', error);
+            res.status(500).json({ error: 'Failed to export birthdays' });
+        }
+    }
+
     /**
      * Get bot statistics
      */
@@ -349,9 +719,10 @@ class BirthdayReminderBot {
             const stats = await database.get(`
                 SELECT 
                     (SELECT COUNT(*) FROM users) as total_users,
-                    (SELECT COUNT(*) FROM groups WHERE bot_active = 1) as active_groups,
+                    (SELECT COUNT(*) FROM groups WHERE bot_active = true) as active_groups,
                     (SELECT COUNT(*) FROM birthdays) as total_birthdays,
-                    (SELECT COUNT(*) FROM reminders WHERE sent_at IS NULL) as pending_reminders,
+                    (SELECT COUNT(*) FROM reminders WHERE sent_at IS NULL AND failed_at IS NULL) as pending_reminders,
+                    (SELECT COUNT(*) FROM reminders WHERE sent_at IS NULL AND failed_at IS NOT NULL) as failed_reminders,
                     (SELECT COUNT(*) FROM reminders WHERE sent_at IS NOT NULL) as sent_reminders
             `);
             
@@ -365,12 +736,15 @@ class BirthdayReminderBot {
                 services: {
                     whatsapp: {
                         ready: whatsappClient.isClientReady(),
-                        status: whatsappClient.isClientReady() ? 'connected' : 'disconnected'
+                        status: whatsappClient.isClientReady() ? 'connected' : 'disconnected',
+                        qrAvailable: qrCodeService.hasCode(),
+                        pairingCodeAvailable: qrCodeService.hasPairingCode()
                     },
                     scheduler: cronScheduler.getStatus(),
                     database: {
                         connected: true,
-                        status: 'connected'
+                        status: 'connected',
+                        client: database.client
                     }
                 },
                 statistics: stats || {
@@ -378,6 +752,7 @@ class BirthdayReminderBot {
                     active_groups: 0,
                     total_birthdays: 0,
                     pending_reminders: 0,
+                    failed_reminders: 0,
                     sent_reminders: 0
                 },
                 timestamp: new Date().toISOString()
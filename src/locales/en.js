@@ -0,0 +1,390 @@
+/**
+ * English bot replies
+ * Placeholders in {braces} are filled in by i18n.t()
+ */
+module.exports = {
+    name: 'English',
+    momentLocale: 'en',
+
+    common: {
+        and: 'and',
+        unknown: 'Unknown',
+        today: '🎉 *TODAY!*',
+        tomorrow: '🔜 *Tomorrow*',
+        inDays: '🔜 *{days} days*',
+        daysCount: '{days} day(s)'
+    },
+
+    errors: {
+        wrapper: '❌ *Error*\n\n{error}\n\nUse `/help` for available commands.',
+        command: 'Sorry, there was an error processing your command. Please try again.',
+        adminOnly: '🔒 *Admins Only*\n\nSorry, this command can only be used by group admins.',
+        unknownCommand: '❓ *Unknown Command*\n\nI don\'t recognize that command.\n\nUse `/help` to see all available commands.'
+    },
+
+    addBirthday: {
+        usage: '📅 *Add Birthday Command*\n\n' +
+            'Usage: `/addbirthday DD/MM`\n' +
+            'For someone else: `/addbirthday @member DD/MM [name]`\n\n' +
+            'Examples:\n' +
+            '• `/addbirthday 15/03`\n' +
+            '• `/addbirthday 15/03/1990` (year is optional and stays private)\n' +
+            '• `/addbirthday @Ada 15/03 Aunt Ada`\n\n' +
+            'Please provide your birth date in DD/MM format.',
+        invalidDate: '❌ *Invalid Date Format*\n\n' +
+            'Please use DD/MM or DD/MM/YYYY format.\n\n' +
+            'Examples:\n' +
+            '• `/addbirthday 15/03`\n' +
+            '• `/addbirthday 01/12`',
+        success: '🎉 *Birthday Added Successfully!*\n\n' +
+            '📅 Your birthday: {date}\n\n' +
+            'I\'ll remind the group on your special day! 🎂',
+        yearPrivate: '🔒 Your birth year is private. Use `/showage on` to have your age celebrated in announcements.',
+        yearRemoved: '🗑️ Your birth year has been removed. Add it again with `/addbirthday DD/MM/YYYY` if you like.',
+        failed: 'Failed to add your birthday. Please try again.',
+        memberUsage: '📅 *Add Birthday Command*\n\n' +
+            'Usage: `/addbirthday @member DD/MM [name]`\n\n' +
+            'Examples:\n' +
+            '• `/addbirthday @Ada 15/03`\n' +
+            '• `/addbirthday @Ada 15/03 Aunt Ada`\n\n' +
+            'Please mention exactly one member.',
+        memberInvalidDate: '❌ *Invalid Date Format*\n\n' +
+            'Please use DD/MM or DD/MM/YYYY format.\n\n' +
+            'Example: `/addbirthday @Ada 15/03`',
+        alreadyRegistered: '🔒 *Birthday Already Registered*\n\n' +
+            '{name} already has a birthday that was entered by someone else.\n\n' +
+            'Only group admins can change it.',
+        thisMember: 'This member',
+        memberSuccess: '🎉 *Birthday Added Successfully!*\n\n' +
+            '👤 {name}\n' +
+            '📅 {date}\n' +
+            '📝 Added by {addedBy}\n\n' +
+            'I\'ll remind the group on their special day! 🎂',
+        memberFailed: 'Failed to add the birthday. Please try again.'
+    },
+
+    setBirthday: {
+        usage: '📅 *Set Birthday Command*\n\n' +
+            'Usage: `/setbirthday @member DD/MM [name]`\n\n' +
+            'Example:\n' +
+            '• `/setbirthday @Ada 15/03`\n\n' +
+            'Please mention exactly one member.',
+        invalidDate: '❌ *Invalid Date Format*\n\n' +
+            'Please use DD/MM or DD/MM/YYYY format.\n\n' +
+            'Example: `/setbirthday @Ada 15/03`',
+        success: '🎉 *Birthday Set Successfully!*\n\n' +
+            '👤 {name}\n' +
+            '📅 {date}',
+        failed: 'Failed to set the birthday. Please try again.'
+    },
+
+    removeBirthday: {
+        notFound: '❌ *No Birthday Found*\n\n' +
+            'You don\'t have a birthday registered in this group.\n\n' +
+            'Use `/addbirthday DD/MM` to add your birthday.',
+        success: '✅ *Birthday Removed*\n\n' +
+            'Your birthday has been removed from this group.\n\n' +
+            'You can add it back anytime using `/addbirthday DD/MM`.',
+        failed: 'Failed to remove your birthday. Please try again.',
+        memberTitle: '✅ *Birthday Removed*',
+        memberRemoved: 'Removed: {names}',
+        memberNotFound: 'No birthday registered: {names}',
+        memberFailed: 'Failed to remove the birthday. Please try again.'
+    },
+
+    bot: {
+        paused: '⏸️ *Bot Paused*\n\n' +
+            'Birthday reminders are paused for this group.\n\n' +
+            'An admin can use `/resumebot` to turn them back on.',
+        resumed: '▶️ *Bot Resumed*\n\n' +
+            'Birthday reminders are active again for this group. 🎂'
+    },
+
+    import: {
+        usage: '📥 *Import Birthdays*\n\n' +
+            'Send a CSV or .vcf file with `/import` as the caption, or reply to the file with `/import`.\n\n' +
+            'CSV columns: `name, phone, birthday`\n' +
+            'Example row: `Ada Obi, 2348012345678, 15/03`',
+        downloadFailed: 'Could not download the attached file. Please try again.',
+        complete: '📥 *Import Complete*\n\n' +
+            '✅ Imported: {imported}\n' +
+            '❌ Failed: {failed}',
+        errorsTitle: '*Errors:*',
+        errorRow: '• Row {row}: {error}',
+        replacedTitle: '*Replaced existing birthdays ({count}):*',
+        replacedRow: '• Row {row}: {name}, was {date}',
+        moreErrors: '• ...and {count} more',
+        failed: 'Failed to import birthdays. {error}'
+    },
+
+    export: {
+        usage: '📤 *Export Birthdays*\n\n' +
+            'Usage: `/export [csv|json|ics]`\n\n' +
+            'Examples:\n' +
+            '• `/export` (CSV)\n' +
+            '• `/export ics` (calendar file)',
+        groupNotRegistered: 'This group is not registered yet.',
+        caption: '📤 Birthdays for {group}',
+        failed: 'Failed to export birthdays. Please try again.'
+    },
+
+    settings: {
+        usage: '⚙️ *Settings Command*\n\n' +
+            'Usage:\n' +
+            '• `/settings` - Show group settings\n' +
+            '• `/settings reminders 7 1` - Remind 7 days and 1 day before\n' +
+            '• `/settings reminders off` - Only remind on the day\n' +
+            '• `/settings time 08:00 Europe/London` - Send reminders at 8 AM London time\n' +
+            '• `/settings leapday mar1` - Celebrate 29 February birthdays on 1 March in non-leap years',
+        overview: '⚙️ *Group Settings*\n\n' +
+            '🤖 Bot: {status}\n' +
+            '⏰ Send time: {sendTime} ({timezone})\n' +
+            '🔔 Advance reminders: {reminders}\n' +
+            '🌍 Language: {language}\n' +
+            '📆 29 February birthdays: {leapDay} in non-leap years',
+        active: 'Active',
+        paused: 'Paused',
+        off: 'Off',
+        dayBefore: '{days} day(s) before',
+        invalidTime: '❌ *Invalid Time Settings*\n\n' +
+            'Please provide a 24-hour time (HH:mm) and an optional timezone name.\n\n' +
+            'Examples:\n' +
+            '• `/settings time 08:00 Europe/London`\n' +
+            '• `/settings time 00:00 Africa/Lagos`\n' +
+            '• `/settings time 09:30 America/Toronto`',
+        timeUpdated: '⏰ *Send Time Updated*\n\n' +
+            'Birthday reminders will be sent at {sendTime} ({timezone}). 🎂',
+        remindersOff: '🔔 *Advance Reminders Off*\n\n' +
+            'Birthdays will only be announced on the day.',
+        invalidReminders: '❌ *Invalid Reminder Days*\n\n' +
+            'Please provide up to 5 numbers between 1 and 30.\n\n' +
+            'Examples:\n' +
+            '• `/settings reminders 7 1`\n' +
+            '• `/settings reminders off`',
+        leapDays: {
+            feb28: '28 February',
+            mar1: '1 March'
+        },
+        invalidLeapDay: '❌ *Invalid Leap Day Setting*\n\n' +
+            'Choose when 29 February birthdays are celebrated in non-leap years.\n\n' +
+            'Examples:\n' +
+            '• `/settings leapday feb28` - On 28 February\n' +
+            '• `/settings leapday mar1` - On 1 March',
+        leapDayUpdated: '📆 *Leap Day Setting Updated*\n\n' +
+            'In non-leap years, 29 February birthdays will be celebrated on {date}. 🎂',
+        remindersUpdated: '🔔 *Advance Reminders Updated*\n\n' +
+            'I\'ll remind the group {days} before each birthday, as well as on the day. 🎂'
+    },
+
+    showAge: {
+        status: '🎈 *Age Display*\n\n' +
+            'Your age is {status} in birthday announcements.\n\n' +
+            'Use `/showage on` or `/showage off` to change it. Your birth year is only used when you add it with `/addbirthday DD/MM/YYYY`.',
+        shown: 'shown',
+        hidden: 'hidden',
+        on: '🎈 *Age Display On*\n\n' +
+            'Your age will be celebrated in birthday announcements when your birth year is known.\n\n' +
+            'Add your year with `/addbirthday DD/MM/YYYY`.',
+        off: '🔒 *Age Display Off*\n\n' +
+            'Your age won\'t be shown in birthday announcements.',
+        failed: 'Failed to update your age setting. Please try again.'
+    },
+
+    language: {
+        current: '🌍 *Language*\n\n' +
+            'This group uses {language}.\n\n' +
+            'Available: {languages}\n\n' +
+            'Admins can change it with `/language <code>`, e.g. `/language fr`.',
+        invalid: '❌ *Unknown Language*\n\n' +
+            'Available languages: {languages}',
+        updated: '🌍 *Language Updated*\n\n' +
+            'I\'ll speak English in this group from now on. 🎂'
+    },
+
+    template: {
+        usage: '📝 *Template Command*\n\n' +
+            'Usage:\n' +
+            '• `/template list` - Show this group\'s templates\n' +
+            '• `/template add <type> <text>` - Add a template\n' +
+            '• `/template remove <number>` - Remove a template\n' +
+            '• `/template preview <type|number>` - Preview a template\n\n' +
+            'Types: {types}\n\n' +
+            'Placeholders:\n' +
+            '{placeholders}\n\n' +
+            'Example:\n' +
+            '• `/template add birthday 🎂 Happy birthday {mention}! Love from everyone in {group}`',
+        invalid: '❌ *Invalid Template*\n\n' +
+            'Usage: `/template add <type> <text>`\n\n' +
+            'Types: {types}',
+        tooLong: '❌ *Template Too Long*\n\n' +
+            'Templates can be at most {max} characters.',
+        unknownPlaceholder: '❌ *Unknown Placeholder*\n\n' +
+            'Not supported: {unknown}\n\n' +
+            'Available: {available}',
+        tooMany: '❌ *Too Many Templates*\n\n' +
+            'A group can have at most {max} templates. Remove one with `/template remove <number>` first.',
+        added: '✅ *Template Added*\n\n' +
+            'New {type} template saved. When a type has several templates, one is picked at random.\n\n' +
+            'Use `/template list` to see all templates.',
+        none: '📝 *No Custom Templates*\n\n' +
+            'This group uses the built-in messages.\n\n' +
+            'Add your own with `/template add <type> <text>`.',
+        listTitle: '📝 *Message Templates*',
+        listFooter: 'Types without a template use the built-in messages.',
+        invalidNumber: '❌ *Invalid Template Number*\n\n' +
+            'Use `/template list` to see the template numbers.',
+        removed: '✅ *Template Removed*\n\n' +
+            'Removed {type} template {number}. Template numbers have been updated.',
+        noneOfType: '📝 *No Custom Template*\n\n' +
+            'This group has no {type} templates, so the built-in message is used.',
+        nothingToPreview: '❌ *Nothing To Preview*\n\n' +
+            'Usage: `/template preview <type|number>`\n\n' +
+            'Types: {types}',
+        preview: '👀 *Template Preview*\n\n{preview}',
+        types: {
+            birthday: 'Birthday announcement',
+            advance: 'Advance reminder',
+            belated: 'Belated wishes',
+            welcome: 'Welcome for new members'
+        },
+        placeholders: {
+            name: 'Celebrant or new member name(s)',
+            mention: 'Tag for the celebrant(s) or new member',
+            group: 'Group name',
+            daysUntil: 'Days until the birthday (advance reminders)',
+            daysAgo: 'Days since the birthday (belated wishes)'
+        }
+    },
+
+    listBirthdays: {
+        empty: '📅 *No Birthdays Yet*\n\n' +
+            'No one has added their birthday to this group yet.\n\n' +
+            'Use `/addbirthday DD/MM` to add yours!',
+        title: '🎂 *Group Birthdays*',
+        row: '{index}. {name} - {date}',
+        footer: '💡 Use `/upcoming` to see upcoming birthdays only.',
+        failed: 'Failed to get birthday list. Please try again.'
+    },
+
+    myBirthday: {
+        notFound: '❌ *No Birthday Found*\n\n' +
+            'You haven\'t added your birthday to this group yet.\n\n' +
+            'Use `/addbirthday DD/MM` to add it!',
+        title: '🎂 *Your Birthday*\n\n📅 {date}',
+        addedBy: '📝 Added by {name}',
+        today: '🎉 *Happy Birthday! It\'s your special day!* 🎉',
+        tomorrow: '🔜 *Tomorrow is your birthday!* 🎂',
+        daysUntil: '⏰ {days} days until your next birthday!',
+        age: '🎈 Turning {age}',
+        ageHidden: '🔒 Your age is hidden. Use `/showage on` to show it in announcements.',
+        failed: 'Failed to get your birthday info. Please try again.'
+    },
+
+    upcoming: {
+        invalidDays: '❌ *Invalid Days*\n\n' +
+            'Please provide a number between 1 and 365.\n\n' +
+            'Usage: `/upcoming [days] [page]`\n' +
+            'Example: `/upcoming 7` (next 7 days)',
+        empty: '📅 *No Upcoming Birthdays*\n\n' +
+            'No birthdays in the next {days} days.',
+        title: '🔜 *Upcoming Birthdays ({days} days)*',
+        invalidPage: '❌ *Invalid Page*\n\n' +
+            'Please choose a page between 1 and {pages}.\n\n' +
+            'Example: `/upcoming {days} 2`',
+        page: '📄 Page {page} of {pages}',
+        nextPage: '📄 Page {page} of {pages}. Use `/upcoming {days} {next}` to see more.',
+        failed: 'Failed to get upcoming birthdays. Please try again.'
+    },
+
+    stats: {
+        title: '📊 *Birthday Statistics*',
+        group: '👥 Group: {group}',
+        total: '🎂 Total Birthdays: {count}',
+        thisMonth: '📅 This Month: {count}',
+        today: '🎉 Today: {count}',
+        celebrateToday: '🎊 *Happy Birthday to today\'s celebrants!* 🎊',
+        comingUp: '🔜 *Birthdays coming up this month!*',
+        addYours: '💡 *Use `/addbirthday DD/MM` to add your birthday!*',
+        failed: 'Failed to get birthday statistics. Please try again.'
+    },
+
+    help: '🤖 *Birthday Reminder Bot Help*\n\n' +
+        '*Available Commands:*\n\n' +
+        '📅 `/addbirthday DD/MM` - Add your birthday\n' +
+        '👪 `/addbirthday @member DD/MM [name]` - Add someone else\'s birthday\n' +
+        '❌ `/removebirthday` - Remove your birthday\n' +
+        '📋 `/listbirthdays` - Show all birthdays\n' +
+        '👤 `/mybirthday` - Show your birthday info\n' +
+        '🎈 `/showage on|off` - Show or hide your age in announcements\n' +
+        '🔜 `/upcoming [days] [page]` - Show upcoming birthdays\n' +
+        '📊 `/stats` - Show birthday statistics\n' +
+        '📤 `/export [csv|json|ics]` - Export group birthdays as a file\n' +
+        '⚙️ `/settings` - Show group settings\n' +
+        '📝 `/template list` - Show custom message templates\n' +
+        '🌍 `/language` - Show the group\'s language\n' +
+        '❓ `/help` - Show this help message\n\n' +
+        '*Admin Commands:*\n\n' +
+        '📝 `/setbirthday @member DD/MM` - Set a member\'s birthday\n' +
+        '🗑️ `/removebirthday @member` - Remove a member\'s birthday\n' +
+        '📥 `/import` - Import birthdays from an attached CSV or .vcf file\n' +
+        '🔔 `/settings reminders 7 1` - Remind 7 and 1 days before\n' +
+        '⏰ `/settings time 08:00 Europe/London` - Set reminder time and timezone\n' +
+        '📆 `/settings leapday feb28|mar1` - When to celebrate 29 Feb birthdays in non-leap years\n' +
+        '📝 `/template add <type> <text>` - Customise group messages (see `/template`)\n' +
+        '🌍 `/language fr` - Change the bot\'s language\n' +
+        '⏸️ `/pausebot` - Pause birthday reminders\n' +
+        '▶️ `/resumebot` - Resume birthday reminders\n\n' +
+        '*Examples:*\n' +
+        '• `/addbirthday 15/03`\n' +
+        '• `/addbirthday 15/03/1990` (optional year)\n' +
+        '• `/upcoming 7` (next 7 days)\n\n' +
+        '*Features:*\n' +
+        '🎂 Automatic birthday reminders at the group\'s send time\n' +
+        '🏷️ Tags birthday person in group\n' +
+        '📱 Works in WhatsApp groups only\n\n' +
+        '💡 *Tip:* All dates should be in DD/MM format!',
+
+    // Built-in messages, used when a group has no custom template
+    messages: {
+        birthday: {
+            one: [
+                '🎉🎂 *HAPPY BIRTHDAY* 🎂🎉\n\n{mention} is celebrating their special day today!\n\n🎊 Wishing you a fantastic day filled with happiness and joy! 🎊',
+                '🎈🎉 *BIRTHDAY CELEBRATION* 🎉🎈\n\n{mention} has a birthday today!\n\n🎂 May your special day be filled with wonderful moments and sweet memories! 🎂',
+                '🎊🎁 *SPECIAL DAY ALERT* 🎁🎊\n\n{mention} is celebrating today!\n\n🌟 Hope your birthday is as amazing as you are! 🌟',
+                '🎉🎵 *BIRTHDAY WISHES* 🎵🎉\n\n{mention} celebrates their birthday today!\n\n🎂 Have a wonderful birthday filled with love and laughter! 🎂'
+            ],
+            other: [
+                '🎉🎂 *HAPPY BIRTHDAY* 🎂🎉\n\n{mention} are celebrating their special day today!\n\n🎊 Wishing you a fantastic day filled with happiness and joy! 🎊',
+                '🎈🎉 *BIRTHDAY CELEBRATION* 🎉🎈\n\n{mention} have birthdays today!\n\n🎂 May your special day be filled with wonderful moments and sweet memories! 🎂',
+                '🎊🎁 *SPECIAL DAY ALERT* 🎁🎊\n\n{mention} are celebrating today!\n\n🌟 Hope your birthday is as amazing as you are! 🌟',
+                '🎉🎵 *BIRTHDAY WISHES* 🎵🎉\n\n{mention} celebrate their birthdays today!\n\n🎂 Have a wonderful birthday filled with love and laughter! 🎂'
+            ]
+        },
+        belated: {
+            one: '🎂 *BELATED BIRTHDAY WISHES* 🎂\n\n{mention} celebrated their birthday {when}!\n\n🎉 Sorry we\'re late — wishing you a wonderful year ahead! 🎉',
+            other: '🎂 *BELATED BIRTHDAY WISHES* 🎂\n\n{mention} celebrated their birthdays {when}!\n\n🎉 Sorry we\'re late — wishing you a wonderful year ahead! 🎉',
+            yesterday: 'yesterday',
+            daysAgo: '{daysAgo} days ago'
+        },
+        advance: {
+            tomorrow: {
+                one: '🔜 *Birthday Tomorrow*\n\n{name}\'s birthday is tomorrow! 🎂\n\nGet your wishes ready! 🎉',
+                other: '🔜 *Birthday Tomorrow*\n\n{name}\'s birthdays are tomorrow! 🎂\n\nGet your wishes ready! 🎉'
+            },
+            later: {
+                one: '🔜 *Upcoming Birthday*\n\n{name}\'s birthday is in {daysUntil} days! 🎂',
+                other: '🔜 *Upcoming Birthday*\n\n{name}\'s birthdays are in {daysUntil} days! 🎂'
+            }
+        },
+        age: {
+            turns: '🎈 {name} turns {age} today!',
+            turned: '🎈 {name} turned {age}!',
+            milestone: '🏆 {name} turns {age} today — what a milestone! 🥂',
+            milestoneBelated: '🏆 {name} turned {age} — what a milestone! 🥂'
+        },
+        welcome: '🎉 Welcome to the group, {mention}!\n\n' +
+            '🤖 I\'m the Birthday Reminder Bot. I help keep track of everyone\'s birthdays!\n\n' +
+            '📅 Add your birthday with: `/addbirthday DD/MM` (the year is optional and stays private)\n' +
+            '❓ Need help? Use: `/help`'
+    }
+};
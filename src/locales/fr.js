@@ -0,0 +1,390 @@
+/**
+ * French bot replies
+ * Placeholders in {braces} are filled in by i18n.t()
+ */
+module.exports = {
+    name: 'Français',
+    momentLocale: 'fr',
+
+    common: {
+        and: 'et',
+        unknown: 'Inconnu',
+        today: '🎉 *AUJOURD\'HUI !*',
+        tomorrow: '🔜 *Demain*',
+        inDays: '🔜 *{days} jours*',
+        daysCount: '{days} jour(s)'
+    },
+
+    errors: {
+        wrapper: '❌ *Erreur*\n\n{error}\n\nUtilisez `/help` pour voir les commandes disponibles.',
+        command: 'Désolé, une erreur est survenue lors du traitement de votre commande. Veuillez réessayer.',
+        adminOnly: '🔒 *Réservé aux admins*\n\nDésolé, cette commande est réservée aux administrateurs du groupe.',
+        unknownCommand: '❓ *Commande inconnue*\n\nJe ne reconnais pas cette commande.\n\nUtilisez `/help` pour voir toutes les commandes disponibles.'
+    },
+
+    addBirthday: {
+        usage: '📅 *Ajouter un anniversaire*\n\n' +
+            'Utilisation : `/addbirthday JJ/MM`\n' +
+            'Pour quelqu\'un d\'autre : `/addbirthday @membre JJ/MM [nom]`\n\n' +
+            'Exemples :\n' +
+            '• `/addbirthday 15/03`\n' +
+            '• `/addbirthday 15/03/1990` (l\'année est facultative et reste privée)\n' +
+            '• `/addbirthday @Ada 15/03 Tante Ada`\n\n' +
+            'Veuillez indiquer votre date de naissance au format JJ/MM.',
+        invalidDate: '❌ *Format de date invalide*\n\n' +
+            'Veuillez utiliser le format JJ/MM ou JJ/MM/AAAA.\n\n' +
+            'Exemples :\n' +
+            '• `/addbirthday 15/03`\n' +
+            '• `/addbirthday 01/12`',
+        success: '🎉 *Anniversaire ajouté !*\n\n' +
+            '📅 Votre anniversaire : {date}\n\n' +
+            'Je préviendrai le groupe le jour J ! 🎂',
+        yearPrivate: '🔒 Votre année de naissance reste privée. Utilisez `/showage on` pour que votre âge soit fêté dans les annonces.',
+        yearRemoved: '🗑️ Votre année de naissance a été supprimée. Ajoutez-la de nouveau avec `/addbirthday JJ/MM/AAAA` si vous le souhaitez.',
+        failed: 'Impossible d\'ajouter votre anniversaire. Veuillez réessayer.',
+        memberUsage: '📅 *Ajouter un anniversaire*\n\n' +
+            'Utilisation : `/addbirthday @membre JJ/MM [nom]`\n\n' +
+            'Exemples :\n' +
+            '• `/addbirthday @Ada 15/03`\n' +
+            '• `/addbirthday @Ada 15/03 Tante Ada`\n\n' +
+            'Veuillez mentionner un seul membre.',
+        memberInvalidDate: '❌ *Format de date invalide*\n\n' +
+            'Veuillez utiliser le format JJ/MM ou JJ/MM/AAAA.\n\n' +
+            'Exemple : `/addbirthday @Ada 15/03`',
+        alreadyRegistered: '🔒 *Anniversaire déjà enregistré*\n\n' +
+            '{name} a déjà un anniversaire enregistré par quelqu\'un d\'autre.\n\n' +
+            'Seuls les administrateurs du groupe peuvent le modifier.',
+        thisMember: 'Ce membre',
+        memberSuccess: '🎉 *Anniversaire ajouté !*\n\n' +
+            '👤 {name}\n' +
+            '📅 {date}\n' +
+            '📝 Ajouté par {addedBy}\n\n' +
+            'Je préviendrai le groupe le jour J ! 🎂',
+        memberFailed: 'Impossible d\'ajouter l\'anniversaire. Veuillez réessayer.'
+    },
+
+    setBirthday: {
+        usage: '📅 *Définir un anniversaire*\n\n' +
+            'Utilisation : `/setbirthday @membre JJ/MM [nom]`\n\n' +
+            'Exemple :\n' +
+            '• `/setbirthday @Ada 15/03`\n\n' +
+            'Veuillez mentionner un seul membre.',
+        invalidDate: '❌ *Format de date invalide*\n\n' +
+            'Veuillez utiliser le format JJ/MM ou JJ/MM/AAAA.\n\n' +
+            'Exemple : `/setbirthday @Ada 15/03`',
+        success: '🎉 *Anniversaire enregistré !*\n\n' +
+            '👤 {name}\n' +
+            '📅 {date}',
+        failed: 'Impossible d\'enregistrer l\'anniversaire. Veuillez réessayer.'
+    },
+
+    removeBirthday: {
+        notFound: '❌ *Aucun anniversaire trouvé*\n\n' +
+            'Vous n\'avez pas d\'anniversaire enregistré dans ce groupe.\n\n' +
+            'Utilisez `/addbirthday JJ/MM` pour ajouter le vôtre.',
+        success: '✅ *Anniversaire supprimé*\n\n' +
+            'Votre anniversaire a été supprimé de ce groupe.\n\n' +
+            'Vous pouvez le rajouter à tout moment avec `/addbirthday JJ/MM`.',
+        failed: 'Impossible de supprimer votre anniversaire. Veuillez réessayer.',
+        memberTitle: '✅ *Anniversaire supprimé*',
+        memberRemoved: 'Supprimé : {names}',
+        memberNotFound: 'Aucun anniversaire enregistré : {names}',
+        memberFailed: 'Impossible de supprimer l\'anniversaire. Veuillez réessayer.'
+    },
+
+    bot: {
+        paused: '⏸️ *Bot en pause*\n\n' +
+            'Les rappels d\'anniversaire sont en pause pour ce groupe.\n\n' +
+            'Un administrateur peut utiliser `/resumebot` pour les réactiver.',
+        resumed: '▶️ *Bot réactivé*\n\n' +
+            'Les rappels d\'anniversaire sont de nouveau actifs pour ce groupe. 🎂'
+    },
+
+    import: {
+        usage: '📥 *Importer des anniversaires*\n\n' +
+            'Envoyez un fichier CSV ou .vcf avec `/import` en légende, ou répondez au fichier avec `/import`.\n\n' +
+            'Colonnes CSV : `name, phone, birthday`\n' +
+            'Exemple de ligne : `Ada Obi, 2348012345678, 15/03`',
+        downloadFailed: 'Impossible de télécharger le fichier joint. Veuillez réessayer.',
+        complete: '📥 *Import terminé*\n\n' +
+            '✅ Importés : {imported}\n' +
+            '❌ Échecs : {failed}',
+        errorsTitle: '*Erreurs :*',
+        errorRow: '• Ligne {row} : {error}',
+        replacedTitle: '*Anniversaires remplacés ({count}) :*',
+        replacedRow: '• Ligne {row} : {name}, était le {date}',
+        moreErrors: '• ...et {count} de plus',
+        failed: 'Impossible d\'importer les anniversaires. {error}'
+    },
+
+    export: {
+        usage: '📤 *Exporter les anniversaires*\n\n' +
+            'Utilisation : `/export [csv|json|ics]`\n\n' +
+            'Exemples :\n' +
+            '• `/export` (CSV)\n' +
+            '• `/export ics` (fichier calendrier)',
+        groupNotRegistered: 'Ce groupe n\'est pas encore enregistré.',
+        caption: '📤 Anniversaires de {group}',
+        failed: 'Impossible d\'exporter les anniversaires. Veuillez réessayer.'
+    },
+
+    settings: {
+        usage: '⚙️ *Paramètres*\n\n' +
+            'Utilisation :\n' +
+            '• `/settings` - Afficher les paramètres du groupe\n' +
+            '• `/settings reminders 7 1` - Rappeler 7 jours et 1 jour avant\n' +
+            '• `/settings reminders off` - Rappeler uniquement le jour J\n' +
+            '• `/settings time 08:00 Europe/Paris` - Envoyer les rappels à 8 h, heure de Paris\n' +
+            '• `/settings leapday mar1` - Fêter les anniversaires du 29 février le 1er mars les années non bissextiles',
+        overview: '⚙️ *Paramètres du groupe*\n\n' +
+            '🤖 Bot : {status}\n' +
+            '⏰ Heure d\'envoi : {sendTime} ({timezone})\n' +
+            '🔔 Rappels anticipés : {reminders}\n' +
+            '🌍 Langue : {language}\n' +
+            '📆 Anniversaires du 29 février : le {leapDay} les années non bissextiles',
+        active: 'Actif',
+        paused: 'En pause',
+        off: 'Désactivés',
+        dayBefore: '{days} jour(s) avant',
+        invalidTime: '❌ *Paramètres d\'heure invalides*\n\n' +
+            'Veuillez indiquer une heure au format 24 h (HH:mm) et, si besoin, un fuseau horaire.\n\n' +
+            'Exemples :\n' +
+            '• `/settings time 08:00 Europe/Paris`\n' +
+            '• `/settings time 00:00 Africa/Lagos`\n' +
+            '• `/settings time 09:30 America/Toronto`',
+        timeUpdated: '⏰ *Heure d\'envoi mise à jour*\n\n' +
+            'Les rappels d\'anniversaire seront envoyés à {sendTime} ({timezone}). 🎂',
+        remindersOff: '🔔 *Rappels anticipés désactivés*\n\n' +
+            'Les anniversaires seront annoncés uniquement le jour J.',
+        invalidReminders: '❌ *Jours de rappel invalides*\n\n' +
+            'Veuillez indiquer jusqu\'à 5 nombres entre 1 et 30.\n\n' +
+            'Exemples :\n' +
+            '• `/settings reminders 7 1`\n' +
+            '• `/settings reminders off`',
+        leapDays: {
+            feb28: '28 février',
+            mar1: '1er mars'
+        },
+        invalidLeapDay: '❌ *Réglage du 29 février invalide*\n\n' +
+            'Choisissez quand fêter les anniversaires du 29 février les années non bissextiles.\n\n' +
+            'Exemples :\n' +
+            '• `/settings leapday feb28` - Le 28 février\n' +
+            '• `/settings leapday mar1` - Le 1er mars',
+        leapDayUpdated: '📆 *Réglage du 29 février mis à jour*\n\n' +
+            'Les années non bissextiles, les anniversaires du 29 février seront fêtés le {date}. 🎂',
+        remindersUpdated: '🔔 *Rappels anticipés mis à jour*\n\n' +
+            'Je rappellerai le groupe {days} avant chaque anniversaire, ainsi que le jour J. 🎂'
+    },
+
+    showAge: {
+        status: '🎈 *Affichage de l\'âge*\n\n' +
+            'Votre âge est {status} dans les annonces d\'anniversaire.\n\n' +
+            'Utilisez `/showage on` ou `/showage off` pour le changer. Votre année de naissance n\'est utilisée que si vous l\'ajoutez avec `/addbirthday JJ/MM/AAAA`.',
+        shown: 'affiché',
+        hidden: 'masqué',
+        on: '🎈 *Affichage de l\'âge activé*\n\n' +
+            'Votre âge sera fêté dans les annonces d\'anniversaire si votre année de naissance est connue.\n\n' +
+            'Ajoutez votre année avec `/addbirthday JJ/MM/AAAA`.',
+        off: '🔒 *Affichage de l\'âge désactivé*\n\n' +
+            'Votre âge n\'apparaîtra pas dans les annonces d\'anniversaire.',
+        failed: 'Impossible de modifier l\'affichage de votre âge. Veuillez réessayer.'
+    },
+
+    language: {
+        current: '🌍 *Langue*\n\n' +
+            'Ce groupe utilise : {language}.\n\n' +
+            'Disponibles : {languages}\n\n' +
+            'Les administrateurs peuvent la changer avec `/language <code>`, par ex. `/language en`.',
+        invalid: '❌ *Langue inconnue*\n\n' +
+            'Langues disponibles : {languages}',
+        updated: '🌍 *Langue mise à jour*\n\n' +
+            'Je parlerai désormais français dans ce groupe. 🎂'
+    },
+
+    template: {
+        usage: '📝 *Modèles de messages*\n\n' +
+            'Utilisation :\n' +
+            '• `/template list` - Afficher les modèles du groupe\n' +
+            '• `/template add <type> <texte>` - Ajouter un modèle\n' +
+            '• `/template remove <numéro>` - Supprimer un modèle\n' +
+            '• `/template preview <type|numéro>` - Prévisualiser un modèle\n\n' +
+            'Types : {types}\n\n' +
+            'Variables :\n' +
+            '{placeholders}\n\n' +
+            'Exemple :\n' +
+            '• `/template add birthday 🎂 Joyeux anniversaire {mention} ! Bises de tout le groupe {group}`',
+        invalid: '❌ *Modèle invalide*\n\n' +
+            'Utilisation : `/template add <type> <texte>`\n\n' +
+            'Types : {types}',
+        tooLong: '❌ *Modèle trop long*\n\n' +
+            'Un modèle peut contenir au maximum {max} caractères.',
+        unknownPlaceholder: '❌ *Variable inconnue*\n\n' +
+            'Non prise en charge : {unknown}\n\n' +
+            'Disponibles : {available}',
+        tooMany: '❌ *Trop de modèles*\n\n' +
+            'Un groupe peut avoir au maximum {max} modèles. Supprimez-en un avec `/template remove <numéro>` d\'abord.',
+        added: '✅ *Modèle ajouté*\n\n' +
+            'Nouveau modèle « {type} » enregistré. Quand un type a plusieurs modèles, l\'un d\'eux est choisi au hasard.\n\n' +
+            'Utilisez `/template list` pour voir tous les modèles.',
+        none: '📝 *Aucun modèle personnalisé*\n\n' +
+            'Ce groupe utilise les messages par défaut.\n\n' +
+            'Ajoutez le vôtre avec `/template add <type> <texte>`.',
+        listTitle: '📝 *Modèles de messages*',
+        listFooter: 'Les types sans modèle utilisent les messages par défaut.',
+        invalidNumber: '❌ *Numéro de modèle invalide*\n\n' +
+            'Utilisez `/template list` pour voir les numéros des modèles.',
+        removed: '✅ *Modèle supprimé*\n\n' +
+            'Modèle {type} n° {number} supprimé. Les numéros des modèles ont été mis à jour.',
+        noneOfType: '📝 *Aucun modèle personnalisé*\n\n' +
+            'Ce groupe n\'a aucun modèle « {type} », le message par défaut est donc utilisé.',
+        nothingToPreview: '❌ *Rien à prévisualiser*\n\n' +
+            'Utilisation : `/template preview <type|numéro>`\n\n' +
+            'Types : {types}',
+        preview: '👀 *Aperçu du modèle*\n\n{preview}',
+        types: {
+            birthday: 'Annonce d\'anniversaire',
+            advance: 'Rappel anticipé',
+            belated: 'Vœux en retard',
+            welcome: 'Bienvenue aux nouveaux membres'
+        },
+        placeholders: {
+            name: 'Nom de la ou des personnes fêtées, ou du nouveau membre',
+            mention: 'Mention de la ou des personnes fêtées, ou du nouveau membre',
+            group: 'Nom du groupe',
+            daysUntil: 'Jours avant l\'anniversaire (rappels anticipés)',
+            daysAgo: 'Jours depuis l\'anniversaire (vœux en retard)'
+        }
+    },
+
+    listBirthdays: {
+        empty: '📅 *Aucun anniversaire*\n\n' +
+            'Personne n\'a encore ajouté son anniversaire dans ce groupe.\n\n' +
+            'Utilisez `/addbirthday JJ/MM` pour ajouter le vôtre !',
+        title: '🎂 *Anniversaires du groupe*',
+        row: '{index}. {name} - {date}',
+        footer: '💡 Utilisez `/upcoming` pour voir uniquement les prochains anniversaires.',
+        failed: 'Impossible de récupérer la liste des anniversaires. Veuillez réessayer.'
+    },
+
+    myBirthday: {
+        notFound: '❌ *Aucun anniversaire trouvé*\n\n' +
+            'Vous n\'avez pas encore ajouté votre anniversaire dans ce groupe.\n\n' +
+            'Utilisez `/addbirthday JJ/MM` pour l\'ajouter !',
+        title: '🎂 *Votre anniversaire*\n\n📅 {date}',
+        addedBy: '📝 Ajouté par {name}',
+        today: '🎉 *Joyeux anniversaire ! C\'est votre jour !* 🎉',
+        tomorrow: '🔜 *C\'est votre anniversaire demain !* 🎂',
+        daysUntil: '⏰ Plus que {days} jours avant votre prochain anniversaire !',
+        age: '🎈 Vous allez avoir {age} ans',
+        ageHidden: '🔒 Votre âge est masqué. Utilisez `/showage on` pour l\'afficher dans les annonces.',
+        failed: 'Impossible de récupérer votre anniversaire. Veuillez réessayer.'
+    },
+
+    upcoming: {
+        invalidDays: '❌ *Nombre de jours invalide*\n\n' +
+            'Veuillez indiquer un nombre entre 1 et 365.\n\n' +
+            'Utilisation : `/upcoming [jours] [page]`\n' +
+            'Exemple : `/upcoming 7` (7 prochains jours)',
+        empty: '📅 *Aucun anniversaire à venir*\n\n' +
+            'Aucun anniversaire dans les {days} prochains jours.',
+        title: '🔜 *Prochains anniversaires ({days} jours)*',
+        invalidPage: '❌ *Page invalide*\n\n' +
+            'Veuillez choisir une page entre 1 et {pages}.\n\n' +
+            'Exemple : `/upcoming {days} 2`',
+        page: '📄 Page {page} sur {pages}',
+        nextPage: '📄 Page {page} sur {pages}. Utilisez `/upcoming {days} {next}` pour voir la suite.',
+        failed: 'Impossible de récupérer les prochains anniversaires. Veuillez réessayer.'
+    },
+
+    stats: {
+        title: '📊 *Statistiques des anniversaires*',
+        group: '👥 Groupe : {group}',
+        total: '🎂 Total des anniversaires : {count}',
+        thisMonth: '📅 Ce mois-ci : {count}',
+        today: '🎉 Aujourd\'hui : {count}',
+        celebrateToday: '🎊 *Joyeux anniversaire à nos fêtés du jour !* 🎊',
+        comingUp: '🔜 *Des anniversaires arrivent ce mois-ci !*',
+        addYours: '💡 *Utilisez `/addbirthday JJ/MM` pour ajouter votre anniversaire !*',
+        failed: 'Impossible de récupérer les statistiques. Veuillez réessayer.'
+    },
+
+    help: '🤖 *Aide du Bot de rappel d\'anniversaires*\n\n' +
+        '*Commandes disponibles :*\n\n' +
+        '📅 `/addbirthday JJ/MM` - Ajouter votre anniversaire\n' +
+        '👪 `/addbirthday @membre JJ/MM [nom]` - Ajouter l\'anniversaire de quelqu\'un d\'autre\n' +
+        '❌ `/removebirthday` - Supprimer votre anniversaire\n' +
+        '📋 `/listbirthdays` - Afficher tous les anniversaires\n' +
+        '👤 `/mybirthday` - Afficher votre anniversaire\n' +
+        '🎈 `/showage on|off` - Afficher ou masquer votre âge dans les annonces\n' +
+        '🔜 `/upcoming [jours] [page]` - Afficher les prochains anniversaires\n' +
+        '📊 `/stats` - Afficher les statistiques\n' +
+        '📤 `/export [csv|json|ics]` - Exporter les anniversaires du groupe\n' +
+        '⚙️ `/settings` - Afficher les paramètres du groupe\n' +
+        '📝 `/template list` - Afficher les modèles de messages\n' +
+        '🌍 `/language` - Afficher la langue du groupe\n' +
+        '❓ `/help` - Afficher cette aide\n\n' +
+        '*Commandes admin :*\n\n' +
+        '📝 `/setbirthday @membre JJ/MM` - Définir l\'anniversaire d\'un membre\n' +
+        '🗑️ `/removebirthday @membre` - Supprimer l\'anniversaire d\'un membre\n' +
+        '📥 `/import` - Importer des anniversaires depuis un fichier CSV ou .vcf\n' +
+        '🔔 `/settings reminders 7 1` - Rappeler 7 jours et 1 jour avant\n' +
+        '⏰ `/settings time 08:00 Europe/Paris` - Définir l\'heure et le fuseau des rappels\n' +
+        '📆 `/settings leapday feb28|mar1` - Date des anniversaires du 29 février les années non bissextiles\n' +
+        '📝 `/template add <type> <texte>` - Personnaliser les messages (voir `/template`)\n' +
+        '🌍 `/language en` - Changer la langue du bot\n' +
+        '⏸️ `/pausebot` - Mettre les rappels en pause\n' +
+        '▶️ `/resumebot` - Réactiver les rappels\n\n' +
+        '*Exemples :*\n' +
+        '• `/addbirthday 15/03`\n' +
+        '• `/addbirthday 15/03/1990` (année facultative)\n' +
+        '• `/upcoming 7` (7 prochains jours)\n\n' +
+        '*Fonctionnalités :*\n' +
+        '🎂 Rappels automatiques à l\'heure d\'envoi du groupe\n' +
+        '🏷️ Mentionne la personne fêtée dans le groupe\n' +
+        '📱 Fonctionne uniquement dans les groupes WhatsApp\n\n' +
+        '💡 *Astuce :* Toutes les dates sont au format JJ/MM !',
+
+    // Built-in messages, used when a group has no custom template
+    messages: {
+        birthday: {
+            one: [
+                '🎉🎂 *JOYEUX ANNIVERSAIRE* 🎂🎉\n\n{mention} fête son anniversaire aujourd\'hui !\n\n🎊 Nous te souhaitons une journée fantastique, pleine de bonheur et de joie ! 🎊',
+                '🎈🎉 *C\'EST LA FÊTE* 🎉🎈\n\nC\'est l\'anniversaire de {mention} aujourd\'hui !\n\n🎂 Que cette journée soit remplie de beaux moments et de doux souvenirs ! 🎂',
+                '🎊🎁 *JOUR SPÉCIAL* 🎁🎊\n\n{mention} est à l\'honneur aujourd\'hui !\n\n🌟 Que ton anniversaire soit aussi formidable que toi ! 🌟',
+                '🎉🎵 *MEILLEURS VŒUX* 🎵🎉\n\n{mention} fête son anniversaire aujourd\'hui !\n\n🎂 Passe un merveilleux anniversaire rempli d\'amour et de rires ! 🎂'
+            ],
+            other: [
+                '🎉🎂 *JOYEUX ANNIVERSAIRE* 🎂🎉\n\n{mention} fêtent leur anniversaire aujourd\'hui !\n\n🎊 Nous vous souhaitons une journée fantastique, pleine de bonheur et de joie ! 🎊',
+                '🎈🎉 *C\'EST LA FÊTE* 🎉🎈\n\nC\'est l\'anniversaire de {mention} aujourd\'hui !\n\n🎂 Que cette journée soit remplie de beaux moments et de doux souvenirs ! 🎂',
+                '🎊🎁 *JOUR SPÉCIAL* 🎁🎊\n\n{mention} sont à l\'honneur aujourd\'hui !\n\n🌟 Que vos anniversaires soient aussi formidables que vous ! 🌟',
+                '🎉🎵 *MEILLEURS VŒUX* 🎵🎉\n\n{mention} fêtent leur anniversaire aujourd\'hui !\n\n🎂 Passez un merveilleux anniversaire rempli d\'amour et de rires ! 🎂'
+            ]
+        },
+        belated: {
+            one: '🎂 *JOYEUX ANNIVERSAIRE EN RETARD* 🎂\n\n{mention} a fêté son anniversaire {when} !\n\n🎉 Désolés pour le retard — nous te souhaitons une merveilleuse année ! 🎉',
+            other: '🎂 *JOYEUX ANNIVERSAIRE EN RETARD* 🎂\n\n{mention} ont fêté leur anniversaire {when} !\n\n🎉 Désolés pour le retard — nous vous souhaitons une merveilleuse année ! 🎉',
+            yesterday: 'hier',
+            daysAgo: 'il y a {daysAgo} jours'
+        },
+        advance: {
+            tomorrow: {
+                one: '🔜 *Anniversaire demain*\n\nC\'est l\'anniversaire de {name} demain ! 🎂\n\nPréparez vos vœux ! 🎉',
+                other: '🔜 *Anniversaires demain*\n\nC\'est l\'anniversaire de {name} demain ! 🎂\n\nPréparez vos vœux ! 🎉'
+            },
+            later: {
+                one: '🔜 *Anniversaire à venir*\n\nL\'anniversaire de {name} est dans {daysUntil} jours ! 🎂',
+                other: '🔜 *Anniversaires à venir*\n\nLes anniversaires de {name} sont dans {daysUntil} jours ! 🎂'
+            }
+        },
+        age: {
+            turns: '🎈 {name} fête ses {age} ans aujourd\'hui !',
+            turned: '🎈 {name} a fêté ses {age} ans !',
+            milestone: '🏆 {name} fête ses {age} ans aujourd\'hui — quel cap ! 🥂',
+            milestoneBelated: '🏆 {name} a fêté ses {age} ans — quel cap ! 🥂'
+        },
+        welcome: '🎉 Bienvenue dans le groupe, {mention} !\n\n' +
+            '🤖 Je suis le Bot de rappel d\'anniversaires. Je garde en mémoire les anniversaires de chacun !\n\n' +
+            '📅 Ajoutez votre anniversaire avec : `/addbirthday JJ/MM` (l\'année est facultative et reste privée)\n' +
+            '❓ Besoin d\'aide ? Utilisez : `/help`'
+    }
+};
@@ -0,0 +1,390 @@
+/**
+ * Yoruba bot replies
+ * Placeholders in {braces} are filled in by i18n.t()
+ */
+module.exports = {
+    name: 'Yorùbá',
+    momentLocale: 'yo',
+
+    common: {
+        and: 'àti',
+        unknown: 'Àìmọ̀',
+        today: '🎉 *ÒNÍ!*',
+        tomorrow: '🔜 *Ọ̀la*',
+        inDays: '🔜 *Ọjọ́ {days}*',
+        daysCount: 'ọjọ́ {days}'
+    },
+
+    errors: {
+        wrapper: '❌ *Àṣìṣe*\n\n{error}\n\nLo `/help` láti rí àwọn àṣẹ tó wà.',
+        command: 'Ẹ má bínú, àṣìṣe kan ṣẹlẹ̀ nígbà tí a ń ṣe àṣẹ yín. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+        adminOnly: '🔒 *Fún Àwọn Alábòójútó Nìkan*\n\nẸ má bínú, àwọn alábòójútó ẹgbẹ́ nìkan ló lè lo àṣẹ yìí.',
+        unknownCommand: '❓ *Àṣẹ Tí A Kò Mọ̀*\n\nN kò mọ àṣẹ yẹn.\n\nLo `/help` láti rí gbogbo àwọn àṣẹ tó wà.'
+    },
+
+    addBirthday: {
+        usage: '📅 *Fi Ọjọ́ Ìbí Kún*\n\n' +
+            'Bí a ṣe ń lò ó: `/addbirthday DD/MM`\n' +
+            'Fún ẹlòmíràn: `/addbirthday @ọmọẹgbẹ́ DD/MM [orúkọ]`\n\n' +
+            'Àpẹẹrẹ:\n' +
+            '• `/addbirthday 15/03`\n' +
+            '• `/addbirthday 15/03/1990` (ọdún kò pọn dandan, ó sì jẹ́ àṣírí)\n' +
+            '• `/addbirthday @Ada 15/03 Ìyá Ada`\n\n' +
+            'Ẹ jọ̀wọ́ ẹ kọ ọjọ́ ìbí yín ní ọ̀nà DD/MM.',
+        invalidDate: '❌ *Ọjọ́ Tí Kò Tọ́*\n\n' +
+            'Ẹ jọ̀wọ́ ẹ lo ọ̀nà DD/MM tàbí DD/MM/YYYY.\n\n' +
+            'Àpẹẹrẹ:\n' +
+            '• `/addbirthday 15/03`\n' +
+            '• `/addbirthday 01/12`',
+        success: '🎉 *A Ti Fi Ọjọ́ Ìbí Yín Kún!*\n\n' +
+            '📅 Ọjọ́ ìbí yín: {date}\n\n' +
+            'Màá rán ẹgbẹ́ létí ní ọjọ́ pàtàkì yín! 🎂',
+        yearPrivate: '🔒 Ọdún ìbí yín jẹ́ àṣírí. Lo `/showage on` kí a lè ṣe àjọyọ̀ ọjọ́ orí yín nínú ìkéde.',
+        yearRemoved: '🗑️ A ti yọ ọdún ìbí yín kúrò. Ẹ lè fi kún un padà pẹ̀lú `/addbirthday DD/MM/YYYY` tí ẹ bá fẹ́.',
+        failed: 'A kò lè fi ọjọ́ ìbí yín kún. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+        memberUsage: '📅 *Fi Ọjọ́ Ìbí Kún*\n\n' +
+            'Bí a ṣe ń lò ó: `/addbirthday @ọmọẹgbẹ́ DD/MM [orúkọ]`\n\n' +
+            'Àpẹẹrẹ:\n' +
+            '• `/addbirthday @Ada 15/03`\n' +
+            '• `/addbirthday @Ada 15/03 Ìyá Ada`\n\n' +
+            'Ẹ jọ̀wọ́ ẹ dárúkọ ọmọ ẹgbẹ́ kan ṣoṣo.',
+        memberInvalidDate: '❌ *Ọjọ́ Tí Kò Tọ́*\n\n' +
+            'Ẹ jọ̀wọ́ ẹ lo ọ̀nà DD/MM tàbí DD/MM/YYYY.\n\n' +
+            'Àpẹẹrẹ: `/addbirthday @Ada 15/03`',
+        alreadyRegistered: '🔒 *Ọjọ́ Ìbí Ti Wà Tẹ́lẹ̀*\n\n' +
+            'Ẹlòmíràn ti fi ọjọ́ ìbí {name} kún tẹ́lẹ̀.\n\n' +
+            'Àwọn alábòójútó ẹgbẹ́ nìkan ló lè yí i padà.',
+        thisMember: 'ọmọ ẹgbẹ́ yìí',
+        memberSuccess: '🎉 *A Ti Fi Ọjọ́ Ìbí Kún!*\n\n' +
+            '👤 {name}\n' +
+            '📅 {date}\n' +
+            '📝 Ẹni tó fi kún: {addedBy}\n\n' +
+            'Màá rán ẹgbẹ́ létí ní ọjọ́ pàtàkì wọn! 🎂',
+        memberFailed: 'A kò lè fi ọjọ́ ìbí náà kún. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.'
+    },
+
+    setBirthday: {
+        usage: '📅 *Ṣètò Ọjọ́ Ìbí*\n\n' +
+            'Bí a ṣe ń lò ó: `/setbirthday @ọmọẹgbẹ́ DD/MM [orúkọ]`\n\n' +
+            'Àpẹẹrẹ:\n' +
+            '• `/setbirthday @Ada 15/03`\n\n' +
+            'Ẹ jọ̀wọ́ ẹ dárúkọ ọmọ ẹgbẹ́ kan ṣoṣo.',
+        invalidDate: '❌ *Ọjọ́ Tí Kò Tọ́*\n\n' +
+            'Ẹ jọ̀wọ́ ẹ lo ọ̀nà DD/MM tàbí DD/MM/YYYY.\n\n' +
+            'Àpẹẹrẹ: `/setbirthday @Ada 15/03`',
+        success: '🎉 *A Ti Ṣètò Ọjọ́ Ìbí!*\n\n' +
+            '👤 {name}\n' +
+            '📅 {date}',
+        failed: 'A kò lè ṣètò ọjọ́ ìbí náà. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.'
+    },
+
+    removeBirthday: {
+        notFound: '❌ *A Kò Rí Ọjọ́ Ìbí*\n\n' +
+            'Ẹ kò tíì fi ọjọ́ ìbí kún nínú ẹgbẹ́ yìí.\n\n' +
+            'Lo `/addbirthday DD/MM` láti fi tiyín kún.',
+        success: '✅ *A Ti Yọ Ọjọ́ Ìbí Kúrò*\n\n' +
+            'A ti yọ ọjọ́ ìbí yín kúrò nínú ẹgbẹ́ yìí.\n\n' +
+            'Ẹ lè tún fi kún nígbàkígbà pẹ̀lú `/addbirthday DD/MM`.',
+        failed: 'A kò lè yọ ọjọ́ ìbí yín kúrò. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+        memberTitle: '✅ *A Ti Yọ Ọjọ́ Ìbí Kúrò*',
+        memberRemoved: 'A ti yọ: {names}',
+        memberNotFound: 'Kò sí ọjọ́ ìbí fún: {names}',
+        memberFailed: 'A kò lè yọ ọjọ́ ìbí náà kúrò. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.'
+    },
+
+    bot: {
+        paused: '⏸️ *Bot Ti Dúró*\n\n' +
+            'Ìránnilétí ọjọ́ ìbí ti dúró fún ẹgbẹ́ yìí.\n\n' +
+            'Alábòójútó kan lè lo `/resumebot` láti tún un bẹ̀rẹ̀.',
+        resumed: '▶️ *Bot Ti Bẹ̀rẹ̀ Padà*\n\n' +
+            'Ìránnilétí ọjọ́ ìbí ti bẹ̀rẹ̀ padà fún ẹgbẹ́ yìí. 🎂'
+    },
+
+    import: {
+        usage: '📥 *Gbé Ọjọ́ Ìbí Wọlé*\n\n' +
+            'Fi fáìlì CSV tàbí .vcf ránṣẹ́ pẹ̀lú `/import` gẹ́gẹ́ bí àkọlé, tàbí fèsì sí fáìlì náà pẹ̀lú `/import`.\n\n' +
+            'Àwọn ọ̀wọ́n CSV: `name, phone, birthday`\n' +
+            'Àpẹẹrẹ: `Ada Obi, 2348012345678, 15/03`',
+        downloadFailed: 'A kò lè gba fáìlì tí ẹ fi ránṣẹ́. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+        complete: '📥 *A Ti Parí Gbígbé Wọlé*\n\n' +
+            '✅ Èyí tó wọlé: {imported}\n' +
+            '❌ Èyí tí kò wọlé: {failed}',
+        errorsTitle: '*Àwọn Àṣìṣe:*',
+        errorRow: '• Ìlà {row}: {error}',
+        replacedTitle: '*Ọjọ́ ìbí tí a yí padà ({count}):*',
+        replacedRow: '• Ìlà {row}: {name}, ó jẹ́ {date} tẹ́lẹ̀',
+        moreErrors: '• ...àti {count} mìíràn',
+        failed: 'A kò lè gbé àwọn ọjọ́ ìbí wọlé. {error}'
+    },
+
+    export: {
+        usage: '📤 *Gbé Ọjọ́ Ìbí Jáde*\n\n' +
+            'Bí a ṣe ń lò ó: `/export [csv|json|ics]`\n\n' +
+            'Àpẹẹrẹ:\n' +
+            '• `/export` (CSV)\n' +
+            '• `/export ics` (fáìlì kàlẹ́ńdà)',
+        groupNotRegistered: 'A kò tíì forúkọ ẹgbẹ́ yìí sílẹ̀.',
+        caption: '📤 Àwọn ọjọ́ ìbí fún {group}',
+        failed: 'A kò lè gbé àwọn ọjọ́ ìbí jáde. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.'
+    },
+
+    settings: {
+        usage: '⚙️ *Ètò*\n\n' +
+            'Bí a ṣe ń lò ó:\n' +
+            '• `/settings` - Wo ètò ẹgbẹ́\n' +
+            '• `/settings reminders 7 1` - Rán wa létí ní ọjọ́ 7 àti ọjọ́ 1 ṣáájú\n' +
+            '• `/settings reminders off` - Rán wa létí ní ọjọ́ náà nìkan\n' +
+            '• `/settings time 08:00 Africa/Lagos` - Fi ìránnilétí ránṣẹ́ ní agogo 8 òwúrọ̀ àkókò Èkó\n' +
+            '• `/settings leapday mar1` - Ṣe ọjọ́ ìbí 29 Oṣù Kejì ní 1 Oṣù Kẹta ní ọdún tí kì í ṣe ọdún ìfò',
+        overview: '⚙️ *Ètò Ẹgbẹ́*\n\n' +
+            '🤖 Bot: {status}\n' +
+            '⏰ Àkókò ìfiránṣẹ́: {sendTime} ({timezone})\n' +
+            '🔔 Ìránnilétí ṣáájú: {reminders}\n' +
+            '🌍 Èdè: {language}\n' +
+            '📆 Ọjọ́ ìbí 29 Oṣù Kejì: {leapDay} ní ọdún tí kì í ṣe ọdún ìfò',
+        active: 'Ń ṣiṣẹ́',
+        paused: 'Ti dúró',
+        off: 'Kò sí',
+        dayBefore: 'ọjọ́ {days} ṣáájú',
+        invalidTime: '❌ *Ètò Àkókò Tí Kò Tọ́*\n\n' +
+            'Ẹ jọ̀wọ́ ẹ kọ àkókò wákàtí 24 (HH:mm) àti agbègbè àkókò tí ẹ bá fẹ́.\n\n' +
+            'Àpẹẹrẹ:\n' +
+            '• `/settings time 08:00 Africa/Lagos`\n' +
+            '• `/settings time 00:00 Africa/Lagos`\n' +
+            '• `/settings time 09:30 Europe/London`',
+        timeUpdated: '⏰ *A Ti Yí Àkókò Ìfiránṣẹ́ Padà*\n\n' +
+            'A ó máa fi ìránnilétí ọjọ́ ìbí ránṣẹ́ ní {sendTime} ({timezone}). 🎂',
+        remindersOff: '🔔 *Ìránnilétí Ṣáájú Ti Dúró*\n\n' +
+            'A ó máa kéde ọjọ́ ìbí ní ọjọ́ náà nìkan.',
+        invalidReminders: '❌ *Àwọn Ọjọ́ Ìránnilétí Tí Kò Tọ́*\n\n' +
+            'Ẹ jọ̀wọ́ ẹ kọ nọ́ńbà tí kò ju 5 lọ, láàrin 1 àti 30.\n\n' +
+            'Àpẹẹrẹ:\n' +
+            '• `/settings reminders 7 1`\n' +
+            '• `/settings reminders off`',
+        leapDays: {
+            feb28: '28 Oṣù Kejì',
+            mar1: '1 Oṣù Kẹta'
+        },
+        invalidLeapDay: '❌ *Ètò Ọjọ́ Ìfò Tí Kò Tọ́*\n\n' +
+            'Ẹ yan ìgbà tí a ó ṣe ọjọ́ ìbí 29 Oṣù Kejì ní ọdún tí kì í ṣe ọdún ìfò.\n\n' +
+            'Àpẹẹrẹ:\n' +
+            '• `/settings leapday feb28` - Ní 28 Oṣù Kejì\n' +
+            '• `/settings leapday mar1` - Ní 1 Oṣù Kẹta',
+        leapDayUpdated: '📆 *A Ti Yí Ètò Ọjọ́ Ìfò Padà*\n\n' +
+            'Ní ọdún tí kì í ṣe ọdún ìfò, a ó ṣe ọjọ́ ìbí 29 Oṣù Kejì ní {date}. 🎂',
+        remindersUpdated: '🔔 *A Ti Ṣètò Ìránnilétí Ṣáájú*\n\n' +
+            'Màá rán ẹgbẹ́ létí ní {days} ṣáájú ọjọ́ ìbí kọ̀ọ̀kan, àti ní ọjọ́ náà gan-an. 🎂'
+    },
+
+    showAge: {
+        status: '🎈 *Ìfihàn Ọjọ́ Orí*\n\n' +
+            'Ọjọ́ orí yín {status} nínú ìkéde ọjọ́ ìbí.\n\n' +
+            'Lo `/showage on` tàbí `/showage off` láti yí i padà. A máa ń lo ọdún ìbí yín nìkan tí ẹ bá fi kún pẹ̀lú `/addbirthday DD/MM/YYYY`.',
+        shown: 'ń hàn',
+        hidden: 'pamọ́',
+        on: '🎈 *Ìfihàn Ọjọ́ Orí Wà Lórí*\n\n' +
+            'A ó ṣe àjọyọ̀ ọjọ́ orí yín nínú ìkéde ọjọ́ ìbí tí a bá mọ ọdún ìbí yín.\n\n' +
+            'Ẹ fi ọdún yín kún pẹ̀lú `/addbirthday DD/MM/YYYY`.',
+        off: '🔒 *Ìfihàn Ọjọ́ Orí Ti Wà Nílẹ̀*\n\n' +
+            'Ọjọ́ orí yín kò ní hàn nínú ìkéde ọjọ́ ìbí.',
+        failed: 'A kò lè yí ètò ọjọ́ orí yín padà. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.'
+    },
+
+    language: {
+        current: '🌍 *Èdè*\n\n' +
+            'Ẹgbẹ́ yìí ń lo {language}.\n\n' +
+            'Àwọn èdè tó wà: {languages}\n\n' +
+            'Àwọn alábòójútó lè yí i padà pẹ̀lú `/language <kóòdù>`, bí àpẹẹrẹ `/language en`.',
+        invalid: '❌ *Èdè Tí A Kò Mọ̀*\n\n' +
+            'Àwọn èdè tó wà: {languages}',
+        updated: '🌍 *A Ti Yí Èdè Padà*\n\n' +
+            'Láti ìsinsìnyí lọ, màá máa sọ Yorùbá nínú ẹgbẹ́ yìí. 🎂'
+    },
+
+    template: {
+        usage: '📝 *Àwòṣe Ọ̀rọ̀*\n\n' +
+            'Bí a ṣe ń lò ó:\n' +
+            '• `/template list` - Wo àwọn àwòṣe ẹgbẹ́ yìí\n' +
+            '• `/template add <irú> <ọ̀rọ̀>` - Fi àwòṣe kún\n' +
+            '• `/template remove <nọ́ńbà>` - Yọ àwòṣe kúrò\n' +
+            '• `/template preview <irú|nọ́ńbà>` - Wo bí àwòṣe ṣe máa rí\n\n' +
+            'Àwọn irú: {types}\n\n' +
+            'Àwọn àyè:\n' +
+            '{placeholders}\n\n' +
+            'Àpẹẹrẹ:\n' +
+            '• `/template add birthday 🎂 Ẹ kú ọjọ́ ìbí {mention}! Ìfẹ́ láti ọ̀dọ̀ gbogbo {group}`',
+        invalid: '❌ *Àwòṣe Tí Kò Tọ́*\n\n' +
+            'Bí a ṣe ń lò ó: `/template add <irú> <ọ̀rọ̀>`\n\n' +
+            'Àwọn irú: {types}',
+        tooLong: '❌ *Àwòṣe Ti Gùn Jù*\n\n' +
+            'Àwòṣe kò gbọdọ̀ ju lẹ́tà {max} lọ.',
+        unknownPlaceholder: '❌ *Àyè Tí A Kò Mọ̀*\n\n' +
+            'A kò mọ̀: {unknown}\n\n' +
+            'Àwọn tó wà: {available}',
+        tooMany: '❌ *Àwòṣe Ti Pọ̀ Jù*\n\n' +
+            'Ẹgbẹ́ kan kò lè ní ju àwòṣe {max} lọ. Ẹ kọ́kọ́ yọ ọ̀kan kúrò pẹ̀lú `/template remove <nọ́ńbà>`.',
+        added: '✅ *A Ti Fi Àwòṣe Kún*\n\n' +
+            'A ti fi àwòṣe {type} tuntun pamọ́. Tí irú kan bá ní àwòṣe púpọ̀, a ó máa mú ọ̀kan láìròtẹ́lẹ̀.\n\n' +
+            'Lo `/template list` láti wo gbogbo àwòṣe.',
+        none: '📝 *Kò Sí Àwòṣe Àdáni*\n\n' +
+            'Ẹgbẹ́ yìí ń lo àwọn ọ̀rọ̀ àtilẹ̀wá.\n\n' +
+            'Ẹ fi tiyín kún pẹ̀lú `/template add <irú> <ọ̀rọ̀>`.',
+        listTitle: '📝 *Àwọn Àwòṣe Ọ̀rọ̀*',
+        listFooter: 'Àwọn irú tí kò ní àwòṣe ń lo ọ̀rọ̀ àtilẹ̀wá.',
+        invalidNumber: '❌ *Nọ́ńbà Àwòṣe Tí Kò Tọ́*\n\n' +
+            'Lo `/template list` láti rí nọ́ńbà àwọn àwòṣe.',
+        removed: '✅ *A Ti Yọ Àwòṣe Kúrò*\n\n' +
+            'A ti yọ àwòṣe {type} nọ́ńbà {number}. A ti ṣe àtúnṣe sí nọ́ńbà àwọn àwòṣe.',
+        noneOfType: '📝 *Kò Sí Àwòṣe Àdáni*\n\n' +
+            'Ẹgbẹ́ yìí kò ní àwòṣe {type}, nítorí náà a ń lo ọ̀rọ̀ àtilẹ̀wá.',
+        nothingToPreview: '❌ *Kò Sí Nǹkan Láti Wò*\n\n' +
+            'Bí a ṣe ń lò ó: `/template preview <irú|nọ́ńbà>`\n\n' +
+            'Àwọn irú: {types}',
+        preview: '👀 *Bí Àwòṣe Ṣe Máa Rí*\n\n{preview}',
+        types: {
+            birthday: 'Ìkéde ọjọ́ ìbí',
+            advance: 'Ìránnilétí ṣáájú',
+            belated: 'Ìkíni ọjọ́ ìbí tó pẹ́',
+            welcome: 'Ìkíni káàbọ̀ fún ọmọ ẹgbẹ́ tuntun'
+        },
+        placeholders: {
+            name: 'Orúkọ ẹni tó ń ṣe ọjọ́ ìbí tàbí ọmọ ẹgbẹ́ tuntun',
+            mention: 'Ìdárúkọ ẹni tó ń ṣe ọjọ́ ìbí tàbí ọmọ ẹgbẹ́ tuntun',
+            group: 'Orúkọ ẹgbẹ́',
+            daysUntil: 'Ọjọ́ tó kù kí ọjọ́ ìbí tó dé (ìránnilétí ṣáájú)',
+            daysAgo: 'Ọjọ́ tó ti kọjá lẹ́yìn ọjọ́ ìbí (ìkíni tó pẹ́)'
+        }
+    },
+
+    listBirthdays: {
+        empty: '📅 *Kò Sí Ọjọ́ Ìbí Síbẹ̀*\n\n' +
+            'Kò sí ẹni tó tíì fi ọjọ́ ìbí rẹ̀ kún nínú ẹgbẹ́ yìí.\n\n' +
+            'Lo `/addbirthday DD/MM` láti fi tiyín kún!',
+        title: '🎂 *Àwọn Ọjọ́ Ìbí Ẹgbẹ́*',
+        row: '{index}. {name} - {date}',
+        footer: '💡 Lo `/upcoming` láti wo àwọn ọjọ́ ìbí tó ń bọ̀ nìkan.',
+        failed: 'A kò lè rí àkójọ ọjọ́ ìbí. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.'
+    },
+
+    myBirthday: {
+        notFound: '❌ *A Kò Rí Ọjọ́ Ìbí*\n\n' +
+            'Ẹ kò tíì fi ọjọ́ ìbí yín kún nínú ẹgbẹ́ yìí.\n\n' +
+            'Lo `/addbirthday DD/MM` láti fi kún!',
+        title: '🎂 *Ọjọ́ Ìbí Yín*\n\n📅 {date}',
+        addedBy: '📝 Ẹni tó fi kún: {name}',
+        today: '🎉 *Ẹ kú ọjọ́ ìbí! Òní ni ọjọ́ pàtàkì yín!* 🎉',
+        tomorrow: '🔜 *Ọ̀la ni ọjọ́ ìbí yín!* 🎂',
+        daysUntil: '⏰ Ọjọ́ {days} ló kù kí ọjọ́ ìbí yín tó dé!',
+        age: '🎈 Ẹ ó pé ọmọ ọdún {age}',
+        ageHidden: '🔒 Ọjọ́ orí yín pamọ́. Lo `/showage on` láti fi hàn nínú ìkéde.',
+        failed: 'A kò lè rí ọjọ́ ìbí yín. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.'
+    },
+
+    upcoming: {
+        invalidDays: '❌ *Iye Ọjọ́ Tí Kò Tọ́*\n\n' +
+            'Ẹ jọ̀wọ́ ẹ kọ nọ́ńbà láàrin 1 àti 365.\n\n' +
+            'Bí a ṣe ń lò ó: `/upcoming [ọjọ́] [ojú-ìwé]`\n' +
+            'Àpẹẹrẹ: `/upcoming 7` (ọjọ́ 7 tó ń bọ̀)',
+        empty: '📅 *Kò Sí Ọjọ́ Ìbí Tó Ń Bọ̀*\n\n' +
+            'Kò sí ọjọ́ ìbí kankan láàrin ọjọ́ {days} tó ń bọ̀.',
+        title: '🔜 *Àwọn Ọjọ́ Ìbí Tó Ń Bọ̀ (ọjọ́ {days})*',
+        invalidPage: '❌ *Ojú-ìwé Tí Kò Tọ́*\n\n' +
+            'Ẹ jọ̀wọ́ ẹ yan ojú-ìwé láàrin 1 àti {pages}.\n\n' +
+            'Àpẹẹrẹ: `/upcoming {days} 2`',
+        page: '📄 Ojú-ìwé {page} nínú {pages}',
+        nextPage: '📄 Ojú-ìwé {page} nínú {pages}. Lo `/upcoming {days} {next}` láti rí ìyókù.',
+        failed: 'A kò lè rí àwọn ọjọ́ ìbí tó ń bọ̀. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.'
+    },
+
+    stats: {
+        title: '📊 *Ìṣirò Ọjọ́ Ìbí*',
+        group: '👥 Ẹgbẹ́: {group}',
+        total: '🎂 Àpapọ̀ ọjọ́ ìbí: {count}',
+        thisMonth: '📅 Oṣù yìí: {count}',
+        today: '🎉 Òní: {count}',
+        celebrateToday: '🎊 *Ẹ kú ọjọ́ ìbí o, ẹ̀yin tí ọjọ́ yín jẹ́ òní!* 🎊',
+        comingUp: '🔜 *Àwọn ọjọ́ ìbí ń bọ̀ ní oṣù yìí!*',
+        addYours: '💡 *Lo `/addbirthday DD/MM` láti fi ọjọ́ ìbí yín kún!*',
+        failed: 'A kò lè rí ìṣirò ọjọ́ ìbí. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.'
+    },
+
+    help: '🤖 *Ìrànlọ́wọ́ Bot Ìránnilétí Ọjọ́ Ìbí*\n\n' +
+        '*Àwọn Àṣẹ Tó Wà:*\n\n' +
+        '📅 `/addbirthday DD/MM` - Fi ọjọ́ ìbí yín kún\n' +
+        '👪 `/addbirthday @ọmọẹgbẹ́ DD/MM [orúkọ]` - Fi ọjọ́ ìbí ẹlòmíràn kún\n' +
+        '❌ `/removebirthday` - Yọ ọjọ́ ìbí yín kúrò\n' +
+        '📋 `/listbirthdays` - Wo gbogbo ọjọ́ ìbí\n' +
+        '👤 `/mybirthday` - Wo ọjọ́ ìbí yín\n' +
+        '🎈 `/showage on|off` - Fi ọjọ́ orí yín hàn tàbí pa á mọ́ nínú ìkéde\n' +
+        '🔜 `/upcoming [ọjọ́] [ojú-ìwé]` - Wo àwọn ọjọ́ ìbí tó ń bọ̀\n' +
+        '📊 `/stats` - Wo ìṣirò ọjọ́ ìbí\n' +
+        '📤 `/export [csv|json|ics]` - Gbé ọjọ́ ìbí ẹgbẹ́ jáde gẹ́gẹ́ bí fáìlì\n' +
+        '⚙️ `/settings` - Wo ètò ẹgbẹ́\n' +
+        '📝 `/template list` - Wo àwọn àwòṣe ọ̀rọ̀\n' +
+        '🌍 `/language` - Wo èdè ẹgbẹ́\n' +
+        '❓ `/help` - Wo ìrànlọ́wọ́ yìí\n\n' +
+        '*Àwọn Àṣẹ Alábòójútó:*\n\n' +
+        '📝 `/setbirthday @ọmọẹgbẹ́ DD/MM` - Ṣètò ọjọ́ ìbí ọmọ ẹgbẹ́\n' +
+        '🗑️ `/removebirthday @ọmọẹgbẹ́` - Yọ ọjọ́ ìbí ọmọ ẹgbẹ́ kúrò\n' +
+        '📥 `/import` - Gbé ọjọ́ ìbí wọlé láti fáìlì CSV tàbí .vcf\n' +
+        '🔔 `/settings reminders 7 1` - Rán wa létí ní ọjọ́ 7 àti ọjọ́ 1 ṣáájú\n' +
+        '⏰ `/settings time 08:00 Africa/Lagos` - Ṣètò àkókò àti agbègbè àkókò ìránnilétí\n' +
+        '📆 `/settings leapday feb28|mar1` - Ìgbà tí a ó ṣe ọjọ́ ìbí 29 Oṣù Kejì ní ọdún tí kì í ṣe ọdún ìfò\n' +
+        '📝 `/template add <irú> <ọ̀rọ̀>` - Ṣe àtúnṣe ọ̀rọ̀ ẹgbẹ́ (wo `/template`)\n' +
+        '🌍 `/language en` - Yí èdè bot padà\n' +
+        '⏸️ `/pausebot` - Dá ìránnilétí ọjọ́ ìbí dúró\n' +
+        '▶️ `/resumebot` - Tún ìránnilétí ọjọ́ ìbí bẹ̀rẹ̀\n\n' +
+        '*Àpẹẹrẹ:*\n' +
+        '• `/addbirthday 15/03`\n' +
+        '• `/addbirthday 15/03/1990` (ọdún kò pọn dandan)\n' +
+        '• `/upcoming 7` (ọjọ́ 7 tó ń bọ̀)\n\n' +
+        '*Ohun Tí Bot Lè Ṣe:*\n' +
+        '🎂 Ìránnilétí ọjọ́ ìbí fúnra rẹ̀ ní àkókò ìfiránṣẹ́ ẹgbẹ́\n' +
+        '🏷️ Ó ń dárúkọ ẹni tó ń ṣe ọjọ́ ìbí nínú ẹgbẹ́\n' +
+        '📱 Ó ń ṣiṣẹ́ nínú ẹgbẹ́ WhatsApp nìkan\n\n' +
+        '💡 *Ìmọ̀ràn:* Gbogbo ọjọ́ gbọdọ̀ wà ní ọ̀nà DD/MM!',
+
+    // Built-in messages, used when a group has no custom template
+    messages: {
+        birthday: {
+            one: [
+                '🎉🎂 *Ẹ KÚ ỌJỌ́ ÌBÍ* 🎂🎉\n\nÒní ni ọjọ́ pàtàkì {mention}!\n\n🎊 A kí ọ ní ọjọ́ ayọ̀ àti ìdùnnú! 🎊',
+                '🎈🎉 *AYẸYẸ ỌJỌ́ ÌBÍ* 🎉🎈\n\nÒní ni ọjọ́ ìbí {mention}!\n\n🎂 Kí ọjọ́ pàtàkì rẹ kún fún àkókò àrà àti ìrántí dídùn! 🎂',
+                '🎊🎁 *ỌJỌ́ PÀTÀKÌ* 🎁🎊\n\n{mention} ń ṣe ayẹyẹ lónìí!\n\n🌟 Kí ọjọ́ ìbí rẹ dára bí ìwọ náà ṣe dára! 🌟',
+                '🎉🎵 *ÌKÍNI ỌJỌ́ ÌBÍ* 🎵🎉\n\n{mention} ń ṣe ọjọ́ ìbí lónìí!\n\n🎂 Ẹ kú ọjọ́ ìbí, kí ọjọ́ rẹ kún fún ìfẹ́ àti ẹ̀rín! 🎂'
+            ],
+            other: [
+                '🎉🎂 *Ẹ KÚ ỌJỌ́ ÌBÍ* 🎂🎉\n\nÒní ni ọjọ́ pàtàkì {mention}!\n\n🎊 A kí yín ní ọjọ́ ayọ̀ àti ìdùnnú! 🎊',
+                '🎈🎉 *AYẸYẸ ỌJỌ́ ÌBÍ* 🎉🎈\n\nÒní ni ọjọ́ ìbí {mention}!\n\n🎂 Kí ọjọ́ pàtàkì yín kún fún àkókò àrà àti ìrántí dídùn! 🎂',
+                '🎊🎁 *ỌJỌ́ PÀTÀKÌ* 🎁🎊\n\n{mention} ń ṣe ayẹyẹ lónìí!\n\n🌟 Kí ọjọ́ ìbí yín dára bí ẹ̀yin náà ṣe dára! 🌟',
+                '🎉🎵 *ÌKÍNI ỌJỌ́ ÌBÍ* 🎵🎉\n\n{mention} ń ṣe ọjọ́ ìbí lónìí!\n\n🎂 Ẹ kú ọjọ́ ìbí, kí ọjọ́ yín kún fún ìfẹ́ àti ẹ̀rín! 🎂'
+            ]
+        },
+        belated: {
+            one: '🎂 *Ẹ KÚ ỌJỌ́ ÌBÍ (Ó PẸ́ DÍẸ̀)* 🎂\n\n{mention} ṣe ọjọ́ ìbí {when}!\n\n🎉 Ẹ má bínú pé a pẹ́ — a kí ọ ní ọdún tuntun tó dára! 🎉',
+            other: '🎂 *Ẹ KÚ ỌJỌ́ ÌBÍ (Ó PẸ́ DÍẸ̀)* 🎂\n\n{mention} ṣe ọjọ́ ìbí {when}!\n\n🎉 Ẹ má bínú pé a pẹ́ — a kí yín ní ọdún tuntun tó dára! 🎉',
+            yesterday: 'lánàá',
+            daysAgo: 'ní ọjọ́ {daysAgo} sẹ́yìn'
+        },
+        advance: {
+            tomorrow: {
+                one: '🔜 *Ọjọ́ Ìbí Ní Ọ̀la*\n\nỌ̀la ni ọjọ́ ìbí {name}! 🎂\n\nẸ múra ìkíni yín sílẹ̀! 🎉',
+                other: '🔜 *Ọjọ́ Ìbí Ní Ọ̀la*\n\nỌ̀la ni ọjọ́ ìbí {name}! 🎂\n\nẸ múra ìkíni yín sílẹ̀! 🎉'
+            },
+            later: {
+                one: '🔜 *Ọjọ́ Ìbí Tó Ń Bọ̀*\n\nỌjọ́ {daysUntil} ló kù kí ọjọ́ ìbí {name} tó dé! 🎂',
+                other: '🔜 *Ọjọ́ Ìbí Tó Ń Bọ̀*\n\nỌjọ́ {daysUntil} ló kù kí ọjọ́ ìbí {name} tó dé! 🎂'
+            }
+        },
+        age: {
+            turns: '🎈 {name} pé ọmọ ọdún {age} lónìí!',
+            turned: '🎈 {name} ti pé ọmọ ọdún {age}!',
+            milestone: '🏆 {name} pé ọmọ ọdún {age} lónìí — àjọyọ̀ ńlá ni èyí! 🥂',
+            milestoneBelated: '🏆 {name} ti pé ọmọ ọdún {age} — àjọyọ̀ ńlá ni èyí! 🥂'
+        },
+        welcome: '🎉 Ẹ káàbọ̀ sí ẹgbẹ́ yìí, {mention}!\n\n' +
+            '🤖 Èmi ni Bot Ìránnilétí Ọjọ́ Ìbí. Mò ń ràn yín lọ́wọ́ láti rántí ọjọ́ ìbí gbogbo ènìyàn!\n\n' +
+            '📅 Ẹ fi ọjọ́ ìbí yín kún pẹ̀lú: `/addbirthday DD/MM` (ọdún kò pọn dandan, ó sì jẹ́ àṣírí)\n' +
+            '❓ Ẹ nílò ìrànlọ́wọ́? Ẹ lo: `/help`'
+    }
+};
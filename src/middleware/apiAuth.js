@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { auditLogRepository } = require('../database/repositories');
+
+// Key scopes; admin keys can also call read-only endpoints
+const SCOPES = ['read', 'admin'];
+
+class ApiAuth {
+    constructor() {
+        this.keys = this.parseKeys(process.env.API_KEYS);
+    }
+
+    /**
+     * Parse API_KEYS ("name:key:scope,name:key:scope")
+     * Entries without a name, key or known scope are skipped with a warning
+     * @returns {Array} - [{name, scope, digest}]
+     */
+    parseKeys(value) {
+        if (!value) {
+            return [];
+        }
+
+        return value.split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const [name, key, scope] = entry.split(':').map(part => (part || '').trim());
+                if (!name || !key || !SCOPES.includes(scope)) {
+                    console.warn(`⚠️ Ignoring API key "${name || entry.slice(0, 8)}": expected name:key:${SCOPES.join('|')}`);
+                    return null;
+                }
+
+                return { name, scope, digest: this.digest(key) };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Check whether any API keys are configured
+     */
+    isConfigured() {
+        return this.keys.length > 0;
+    }
+
+    /**
+     * Hash a key so comparisons take the same time whatever its length
+     */
+    digest(key) {
+        return crypto.createHash('sha256').update(key).digest();
+    }
+
+    /**
+     * Find the key sent with a request ("Authorization: Bearer <key>" or "X-API-Key: <key>")
+     * @returns {Object|null} - Matching key or null
+     */
+    authenticate(req) {
+        const authorization = req.get('authorization') || '';
+        const match = authorization.match(/^Bearer\s+(.+)$/i);
+        const presented = match ? match[1].trim() : req.get('x-api-key');
+
+        if (!presented) {
+            return null;
+        }
+
+        return this.findKey(presented);
+    }
+
+    /**
+     * Find the key passed in the query string (?key=<key>)
+     * Only for calendar feeds, since calendar apps can't send headers
+     * @returns {Object|null} - Matching key or null
+     */
+    authenticateQuery(req) {
+        const presented = typeof req.query.key === 'string' ? req.query.key.trim() : '';
+        return presented ? this.findKey(presented) : null;
+    }
+
+    /**
+     * Find a configured key by its value
+     */
+    findKey(presented) {
+        const digest = this.digest(presented);
+        return this.keys.find(key => crypto.timingSafeEqual(key.digest, digest)) || null;
+    }
+
+    /**
+     * Check whether a key may call an endpoint of the given scope
+     */
+    hasScope(key, scope) {
+        return key.scope === 'admin' || key.scope === scope;
+    }
+
+    /**
+     * Middleware requiring a key with the given scope
+     * With allowQueryKey, a read key may also be passed as ?key= (calendar feeds)
+     * Admin calls, query keys and rejected requests are written to the audit log
+     */
+    requireScope(scope, { allowQueryKey = false } = {}) {
+        return (req, res, next) => {
+            const headerKey = this.authenticate(req);
+            const queryKey = !headerKey && allowQueryKey ? this.authenticateQuery(req) : null;
+            const key = headerKey || queryKey;
+
+            res.on('finish', () => {
+                if (scope === 'admin' || queryKey || res.statusCode === 401 || res.statusCode === 403) {
+                    this.audit(req, res, key);
+                }
+            });
+
+            if (!this.isConfigured()) {
+                return res.status(401).json({
+                    error: 'API keys are not configured',
+                    message: 'Set API_KEYS to use this endpoint'
+                });
+            }
+
+            if (!key) {
+                res.set('WWW-Authenticate', 'Bearer');
+                return res.status(401).json({ error: 'Missing or invalid API key' });
+            }
+
+            if (!this.hasScope(key, scope)) {
+                return res.status(403).json({ error: `This endpoint needs a key with the ${scope} scope` });
+            }
+
+            // Feed URLs end up in calendar apps and their sync logs, so keep admin keys out of them
+            if (queryKey && queryKey.scope !== 'read') {
+                return res.status(403).json({ error: 'Only read keys can be passed as ?key=' });
+            }
+
+            req.apiKey = { name: key.name, scope: key.scope };
+            next();
+        };
+    }
+
+    /**
+     * Write a request to the audit log (never fails the request)
+     */
+    audit(req, res, key) {
+        auditLogRepository.addEntry({
+            keyName: key && key.name,
+            scope: key && key.scope,
+            method: req.method,
+            path: this.redactKey(req.originalUrl).slice(0, 255),
+            statusCode: res.statusCode,
+            ipAddress: req.ip
+        }).catch(error => {
+            console.error('Error writing audit log:', error);
+        });
+    }
+
+    /**
+     * Hide a ?key= value so keys are never stored in the audit log
+     */
+    redactKey(url) {
+        return url.replace(/([?&]key=)[^&]*/gi, '$1[redacted]');
+    }
+}
+
+// Export singleton instance
+const apiAuth = new ApiAuth();
+module.exports = apiAuth;
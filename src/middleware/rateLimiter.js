@@ -0,0 +1,56 @@
+// Stop tracking clients once their window has passed
+const PRUNE_THRESHOLD = 1000;
+
+class RateLimiter {
+    constructor() {
+        this.windows = new Map();
+    }
+
+    /**
+     * Middleware allowing `max` requests per client IP every `windowSeconds`
+     * Routes sharing a name share the allowance
+     */
+    limit(name, max, windowSeconds = 60) {
+        return (req, res, next) => {
+            const now = Date.now();
+            const id = `${name}:${req.ip}`;
+            let window = this.windows.get(id);
+
+            if (!window || window.resetAt <= now) {
+                if (this.windows.size >= PRUNE_THRESHOLD) {
+                    this.prune(now);
+                }
+
+                window = { count: 0, resetAt: now + windowSeconds * 1000 };
+                this.windows.set(id, window);
+            }
+
+            window.count++;
+            res.set('RateLimit-Limit', String(max));
+            res.set('RateLimit-Remaining', String(Math.max(0, max - window.count)));
+
+            if (window.count > max) {
+                const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({ error: 'Too many requests', retryAfter });
+            }
+
+            next();
+        };
+    }
+
+    /**
+     * Forget windows that have expired
+     */
+    prune(now = Date.now()) {
+        this.windows.forEach((window, id) => {
+            if (window.resetAt <= now) {
+                this.windows.delete(id);
+            }
+        });
+    }
+}
+
+// Export singleton instance
+const rateLimiter = new RateLimiter();
+module.exports = rateLimiter;
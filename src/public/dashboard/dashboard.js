@@ -0,0 +1,325 @@
+// Admin dashboard: every request sends the API key entered at sign-in
+(function () {
+    const KEY_STORAGE = 'birthdayBotApiKey';
+    const STATUS_INTERVAL = 10000;
+
+    let selectedGroupId = null;
+    let timers = [];
+    // Open /qr/events stream, and whether this key may see the login codes at all
+    let qrStream = null;
+    let qrForbidden = false;
+
+    const $ = (id) => document.getElementById(id);
+
+    /**
+     * Create an element; text is set with textContent so names from WhatsApp can't inject HTML
+     */
+    function el(tag, text, className) {
+        const element = document.createElement(tag);
+        if (text !== undefined && text !== null) {
+            element.textContent = text;
+        }
+        if (className) {
+            element.className = className;
+        }
+        return element;
+    }
+
+    function row(cells) {
+        const tr = el('tr');
+        cells.forEach(cell => {
+            const td = el('td');
+            if (cell instanceof Node) {
+                td.appendChild(cell);
+            } else {
+                td.textContent = cell === null || cell === undefined ? '' : cell;
+            }
+            tr.appendChild(td);
+        });
+        return tr;
+    }
+
+    function emptyRow(columns, text) {
+        const tr = el('tr');
+        const td = el('td', text, 'muted');
+        td.colSpan = columns;
+        tr.appendChild(td);
+        return tr;
+    }
+
+    function showError(message) {
+        $('error').textContent = message;
+        $('error').hidden = !message;
+    }
+
+    /**
+     * Call the bot's HTTP API
+     * @returns {Promise<Response>}
+     */
+    async function request(path, options = {}) {
+        const headers = Object.assign({ Authorization: `Bearer ${sessionStorage.getItem(KEY_STORAGE)}` }, options.headers);
+        const response = await fetch(path, Object.assign({}, options, { headers }));
+
+        if (response.status === 401) {
+            signOut();
+            throw new Error('That API key was not accepted');
+        }
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            const error = new Error(body.error || `Request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    async function getJson(path) {
+        return (await request(path)).json();
+    }
+
+    function formatUptime(seconds) {
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return days > 0 ? `${days}d ${hours}h` : `${hours}h ${minutes}m`;
+    }
+
+    async function loadStatus() {
+        const status = await getJson('/status');
+        const whatsapp = status.services.whatsapp;
+        const items = [
+            ['WhatsApp', whatsappState(whatsapp), whatsapp.ready ? 'ok' : 'bad'],
+            ['Uptime', formatUptime(status.bot.uptime)],
+            ['Database', status.services.database.client],
+            ['Active groups', status.statistics.active_groups],
+            ['Birthdays', status.statistics.total_birthdays],
+            ['Users', status.statistics.total_users],
+            ['Pending reminders', status.statistics.pending_reminders],
+            ['Sent reminders', status.statistics.sent_reminders],
+            ['Failed reminders', status.statistics.failed_reminders, status.statistics.failed_reminders > 0 ? 'bad' : '']
+        ];
+
+        const list = $('status');
+        list.replaceChildren(...items.map(([label, value, className]) => {
+            const item = el('div');
+            item.appendChild(el('dt', label));
+            item.appendChild(el('dd', value, className));
+            return item;
+        }));
+
+        if (whatsapp.ready) {
+            stopWatchingQrCode();
+        } else if (whatsapp.qrAvailable || whatsapp.pairingCodeAvailable) {
+            watchQrCode();
+        }
+    }
+
+    function whatsappState(whatsapp) {
+        if (whatsapp.ready) {
+            return 'Connected';
+        }
+        if (whatsapp.pairingCodeAvailable) {
+            return 'Waiting for pairing code';
+        }
+        return whatsapp.qrAvailable ? 'Waiting for QR scan' : 'Disconnected';
+    }
+
+    /**
+     * Follow /qr/events so the QR or pairing code on screen changes as soon as WhatsApp rotates it
+     * Uses fetch because EventSource can't send the API key header
+     */
+    async function watchQrCode() {
+        if (qrStream || qrForbidden) {
+            return;
+        }
+
+        qrStream = new AbortController();
+        try {
+            const response = await request('/qr/events', { signal: qrStream.signal });
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) {
+                    break;
+                }
+
+                buffer += value;
+                const messages = buffer.split('\n\n');
+                buffer = messages.pop();
+                messages.forEach(handleQrEvent);
+            }
+        } catch (error) {
+            // Read-only keys can't see the login codes; don't keep asking
+            qrForbidden = error.status === 403;
+        } finally {
+            qrStream = null;
+            hideQrCode();
+        }
+    }
+
+    function handleQrEvent(message) {
+        let event = 'message';
+        let data = '';
+        message.split('\n').forEach(line => {
+            if (line.startsWith('event: ')) {
+                event = line.slice(7);
+            } else if (line.startsWith('data: ')) {
+                data += line.slice(6);
+            }
+        });
+
+        if (event === 'qr') {
+            $('qr-image').src = JSON.parse(data).image;
+            $('qr').hidden = false;
+            $('pairing').hidden = true;
+        } else if (event === 'code') {
+            $('pairing-code').textContent = JSON.parse(data).code;
+            $('pairing').hidden = false;
+            $('qr').hidden = true;
+        } else if (event === 'authenticated') {
+            hideQrCode();
+        }
+    }
+
+    function stopWatchingQrCode() {
+        if (qrStream) {
+            qrStream.abort();
+        }
+        hideQrCode();
+    }
+
+    function hideQrCode() {
+        $('qr').hidden = true;
+        $('qr-image').removeAttribute('src');
+        $('pairing').hidden = true;
+        $('pairing-code').textContent = '';
+    }
+
+    async function loadGroups() {
+        const { data: groups } = await getJson('/api/v1/groups?page_size=200');
+        const tbody = $('groups');
+
+        if (groups.length === 0) {
+            tbody.replaceChildren(emptyRow(5, 'The bot is not in any groups yet'));
+            return;
+        }
+
+        tbody.replaceChildren(...groups.map(group => {
+            const toggle = el('input');
+            toggle.type = 'checkbox';
+            toggle.checked = group.bot_active;
+            toggle.title = group.bot_active ? 'Pause reminders' : 'Resume reminders';
+            toggle.addEventListener('change', () => setBotActive(group.group_id, toggle));
+
+            const view = el('button', 'View', 'secondary');
+            view.addEventListener('click', () => selectGroup(group));
+
+            const tr = row([group.group_name, group.timezone || 'Default', group.send_time || '00:00', toggle, view]);
+            if (group.group_id === selectedGroupId) {
+                tr.className = 'selected';
+            }
+            return tr;
+        }));
+    }
+
+    async function setBotActive(groupId, toggle) {
+        toggle.disabled = true;
+        try {
+            await request(`/api/v1/groups/${encodeURIComponent(groupId)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ bot_active: toggle.checked })
+            });
+            showError('');
+            await loadGroups();
+        } catch (error) {
+            toggle.checked = !toggle.checked;
+            showError(`Could not update the group: ${error.message}`);
+        } finally {
+            toggle.disabled = false;
+        }
+    }
+
+    async function selectGroup(group) {
+        selectedGroupId = group.group_id;
+        $('group-name').textContent = group.group_name;
+        $('group').hidden = false;
+
+        try {
+            const id = encodeURIComponent(group.group_id);
+            const [birthdays, history] = await Promise.all([
+                getJson(`/api/v1/groups/${id}/birthdays?page_size=200`),
+                getJson(`/api/v1/groups/${id}/reminders/history`)
+            ]);
+
+            $('birthday-count').textContent = birthdays.pagination.total > birthdays.data.length
+                ? `Showing ${birthdays.data.length} of ${birthdays.pagination.total} birthdays`
+                : `${birthdays.pagination.total} birthdays`;
+            $('birthdays').replaceChildren(...(birthdays.data.length > 0
+                ? birthdays.data.map(birthday => row([birthday.name, birthday.phone_number, birthday.birthday, birthday.birth_year]))
+                : [emptyRow(4, 'No birthdays yet')]));
+
+            $('reminders').replaceChildren(...(history.data.length > 0
+                ? history.data.map(reminder => row([reminder.name, reminder.reminder_date, reminder.reminder_type, reminder.sent_at]))
+                : [emptyRow(4, 'No reminders sent yet')]));
+
+            showError('');
+            await loadGroups();
+        } catch (error) {
+            showError(`Could not load the group: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run a refresh now and then on an interval, showing failures
+     */
+    function every(interval, fn) {
+        const run = () => fn().catch(error => showError(error.message));
+        run();
+        timers.push(setInterval(run, interval));
+    }
+
+    function start() {
+        $('sign-in').hidden = true;
+        $('dashboard').hidden = false;
+        $('sign-out').hidden = false;
+
+        every(STATUS_INTERVAL, loadStatus);
+        loadGroups().catch(error => showError(error.message));
+    }
+
+    function signOut() {
+        sessionStorage.removeItem(KEY_STORAGE);
+        timers.forEach(timer => clearInterval(timer));
+        timers = [];
+        selectedGroupId = null;
+        qrForbidden = false;
+        stopWatchingQrCode();
+
+        $('dashboard').hidden = true;
+        $('group').hidden = true;
+        $('sign-out').hidden = true;
+        $('sign-in').hidden = false;
+    }
+
+    $('sign-in-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        sessionStorage.setItem(KEY_STORAGE, $('api-key').value.trim());
+        $('api-key').value = '';
+        showError('');
+        start();
+    });
+
+    $('sign-out').addEventListener('click', () => {
+        showError('');
+        signOut();
+    });
+
+    if (sessionStorage.getItem(KEY_STORAGE)) {
+        start();
+    } else {
+        signOut();
+    }
+})();
@@ -0,0 +1,682 @@
+const express = require('express');
+const moment = require('moment');
+const database = require('../database/database');
+const {
+    userRepository,
+    groupRepository,
+    birthdayRepository,
+    birthdayChangeRepository,
+    reminderRepository
+} = require('../database/repositories');
+const birthdayImporter = require('../services/birthdayImporter');
+const dateUtils = require('../utils/dateUtils');
+const i18n = require('../utils/i18n');
+
+const API_PREFIX = '/api/v1';
+
+// Pagination defaults for list endpoints (?page=1&page_size=50)
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Stored as 0/1 in SQLite; always returned as true/false
+const BOOLEAN_COLUMNS = ['bot_active', 'show_age', 'is_admin', 'sent'];
+
+const REMINDER_TYPES = ['birthday', 'advance'];
+
+/**
+ * Error returned to API clients as { error, code, details }
+ */
+class ApiError extends Error {
+    constructor(status, code, message, details = null) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    static notFound(message) {
+        return new ApiError(404, 'not_found', message);
+    }
+
+    static conflict(message) {
+        return new ApiError(409, 'conflict', message);
+    }
+
+    /**
+     * @param {Array} details - [{field, message}]
+     */
+    static validation(details) {
+        return new ApiError(400, 'validation_error', 'Validation failed', details);
+    }
+}
+
+/**
+ * Versioned REST API for groups, members, users, birthdays and reminders
+ * Reads need a read key; creating, updating and deleting need an admin key
+ */
+class ApiV1 {
+    /**
+     * Mount the API on an Express app
+     * The error handler sits next to the router so it also catches invalid JSON bodies
+     * @param {Object} guards - {read, admin} middleware from apiAuth
+     */
+    mount(app, guards) {
+        app.use(API_PREFIX, this.createRouter(guards), (error, req, res, next) => this.handleError(error, req, res, next));
+    }
+
+    /**
+     * Build the router
+     */
+    createRouter({ read, admin }) {
+        const router = express.Router();
+
+        // Groups
+        router.get('/groups', read, async (req, res) => {
+            const groups = await groupRepository.getAllGroups();
+            res.json(this.paginate(groups, req.query, group => this.formatGroup(group)));
+        });
+
+        router.get('/groups/:groupId', read, async (req, res) => {
+            res.json({ data: this.formatGroup(await this.findGroup(req.params.groupId)) });
+        });
+
+        router.post('/groups', admin, async (req, res) => {
+            const body = req.body || {};
+            const errors = [];
+            if (!this.isNonEmptyString(body.group_id, 100)) {
+                errors.push({ field: 'group_id', message: 'Required, up to 100 characters' });
+            }
+            if (!this.isNonEmptyString(body.group_name, 200)) {
+                errors.push({ field: 'group_name', message: 'Required, up to 200 characters' });
+            }
+            const settings = this.validateGroupSettings(body, null, errors);
+            this.assertValid(errors);
+
+            if (await groupRepository.groupExists(body.group_id)) {
+                throw ApiError.conflict('Group already exists');
+            }
+
+            await database.transaction(async () => {
+                await groupRepository.createOrUpdateGroup(body.group_id, body.group_name.trim());
+                await this.applyGroupSettings(body.group_id, settings);
+            });
+
+            res.status(201).json({ data: this.formatGroup(await groupRepository.getGroupById(body.group_id)) });
+        });
+
+        router.patch('/groups/:groupId', admin, async (req, res) => {
+            const group = await this.findGroup(req.params.groupId);
+            const errors = [];
+            const settings = this.validateGroupSettings(req.body || {}, group, errors);
+            this.assertValid(errors);
+
+            await database.transaction(() => this.applyGroupSettings(group.group_id, settings));
+            res.json({ data: this.formatGroup(await groupRepository.getGroupById(group.group_id)) });
+        });
+
+        // Also deletes the group's members, birthdays, reminders and templates
+        router.delete('/groups/:groupId', admin, async (req, res) => {
+            const group = await this.findGroup(req.params.groupId);
+            await groupRepository.deleteGroup(group.group_id);
+            res.status(204).end();
+        });
+
+        // Group members
+        router.get('/groups/:groupId/members', read, async (req, res) => {
+            const group = await this.findGroup(req.params.groupId);
+            const members = await groupRepository.getGroupMembers(group.group_id);
+            res.json(this.paginate(members, req.query, member => this.formatRow(member)));
+        });
+
+        router.get('/groups/:groupId/members/:phoneNumber', read, async (req, res) => {
+            const member = await this.findMember(req.params.groupId, req.params.phoneNumber);
+            res.json({ data: this.formatRow(member) });
+        });
+
+        // Adds the user too if the bot doesn't know them yet
+        router.post('/groups/:groupId/members', admin, async (req, res) => {
+            const group = await this.findGroup(req.params.groupId);
+            const body = req.body || {};
+            const errors = [];
+            const phoneNumber = this.validatePhoneNumber(body.phone_number, errors);
+            this.validateOptionalName(body.name, errors);
+            this.validateOptionalBoolean(body, 'is_admin', errors);
+            this.assertValid(errors);
+
+            if (await groupRepository.isMemberOfGroup(phoneNumber, group.group_id)) {
+                throw ApiError.conflict('Already a member of this group');
+            }
+
+            await database.transaction(async () => {
+                await userRepository.createUserIfMissing(phoneNumber, (body.name || '').trim() || phoneNumber);
+                await groupRepository.addMemberToGroup(phoneNumber, group.group_id, !!body.is_admin);
+            });
+
+            res.status(201).json({ data: this.formatRow(await groupRepository.getGroupMember(phoneNumber, group.group_id)) });
+        });
+
+        router.patch('/groups/:groupId/members/:phoneNumber', admin, async (req, res) => {
+            const member = await this.findMember(req.params.groupId, req.params.phoneNumber);
+            const body = req.body || {};
+            const errors = [];
+            if (typeof body.is_admin !== 'boolean') {
+                errors.push({ field: 'is_admin', message: 'Required, must be true or false' });
+            }
+            this.assertValid(errors);
+
+            await groupRepository.setMemberAdmin(member.phone_number, member.group_id, body.is_admin);
+            res.json({ data: this.formatRow(await groupRepository.getGroupMember(member.phone_number, member.group_id)) });
+        });
+
+        router.delete('/groups/:groupId/members/:phoneNumber', admin, async (req, res) => {
+            const member = await this.findMember(req.params.groupId, req.params.phoneNumber);
+            await groupRepository.removeMemberFromGroup(member.phone_number, member.group_id);
+            res.status(204).end();
+        });
+
+        // Birthdays
+        router.get('/groups/:groupId/birthdays', read, async (req, res) => {
+            const group = await this.findGroup(req.params.groupId);
+            const birthdays = await birthdayRepository.getBirthdaysByGroup(group.group_id);
+            res.json(this.paginate(birthdays, req.query, birthday => this.formatBirthday(birthday)));
+        });
+
+        router.get('/groups/:groupId/birthdays/:phoneNumber', read, async (req, res) => {
+            const birthday = await this.findBirthday(req.params.groupId, req.params.phoneNumber);
+            res.json({ data: this.formatBirthday(birthday) });
+        });
+
+        // Adds the user and their group membership too, like a bulk import row
+        router.post('/groups/:groupId/birthdays', admin, async (req, res) => {
+            const group = await this.findGroup(req.params.groupId);
+            const body = req.body || {};
+            const errors = [];
+            const phoneNumber = this.validatePhoneNumber(body.phone_number, errors);
+            const date = this.validateBirthday(body.birthday, errors);
+            this.validateOptionalName(body.name, errors);
+            this.assertValid(errors);
+
+            if (await birthdayRepository.hasBirthdayInGroup(phoneNumber, group.group_id)) {
+                throw ApiError.conflict('This person already has a birthday in this group');
+            }
+
+            await birthdayImporter.upsertRow(
+                group.group_id,
+                phoneNumber,
+                (body.name || '').trim(),
+                date.date.format('YYYY-MM-DD'),
+                this.getActor(req),
+                date.year
+            );
+
+            const birthday = await birthdayRepository.getBirthdayByUserAndGroup(phoneNumber, group.group_id);
+            res.status(201).json({ data: this.formatBirthday(birthday) });
+        });
+
+        router.patch('/groups/:groupId/birthdays/:phoneNumber', admin, async (req, res) => {
+            const birthday = await this.findBirthday(req.params.groupId, req.params.phoneNumber);
+            const errors = [];
+            const date = this.validateBirthday((req.body || {}).birthday, errors);
+            this.assertValid(errors);
+
+            await birthdayRepository.addOrUpdateBirthday(
+                birthday.phone_number,
+                date.date.format('YYYY-MM-DD'),
+                birthday.group_id,
+                this.getActor(req),
+                date.year,
+                { keepBirthYear: true }
+            );
+
+            const updated = await birthdayRepository.getBirthdayByUserAndGroup(birthday.phone_number, birthday.group_id);
+            res.json({ data: this.formatBirthday(updated) });
+        });
+
+        router.delete('/groups/:groupId/birthdays/:phoneNumber', admin, async (req, res) => {
+            const birthday = await this.findBirthday(req.params.groupId, req.params.phoneNumber);
+            await birthdayRepository.removeBirthday(birthday.phone_number, birthday.group_id, this.getActor(req));
+            res.status(204).end();
+        });
+
+        // Who added, changed or removed this birthday, newest first (kept after removal)
+        router.get('/groups/:groupId/birthdays/:phoneNumber/changes', read, async (req, res) => {
+            const group = await this.findGroup(req.params.groupId);
+            const phoneNumber = birthdayImporter.normalisePhoneNumber(req.params.phoneNumber);
+            const changes = await birthdayChangeRepository.getChanges(phoneNumber, group.group_id);
+            res.json(this.paginate(changes, req.query, change => change));
+        });
+
+        // Reminders
+        router.get('/groups/:groupId/reminders', read, async (req, res) => {
+            const group = await this.findGroup(req.params.groupId);
+            const { status } = req.query;
+            if (status && !['pending', 'sent', 'failed'].includes(status)) {
+                throw ApiError.validation([{ field: 'status', message: 'Must be pending, sent or failed' }]);
+            }
+
+            const reminders = await reminderRepository.getRemindersByGroup(group.group_id, status || null);
+            res.json(this.paginate(reminders, req.query, reminder => this.formatRow(reminder)));
+        });
+
+        // Most recently sent reminders (?limit=50, up to 200)
+        router.get('/groups/:groupId/reminders/history', read, async (req, res) => {
+            const group = await this.findGroup(req.params.groupId);
+            const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+                throw ApiError.validation([{ field: 'limit', message: `Must be a whole number from 1 to ${MAX_PAGE_SIZE}` }]);
+            }
+
+            const reminders = await reminderRepository.getReminderHistory(group.group_id, limit);
+            res.json({ data: reminders.map(reminder => this.formatRow(reminder)) });
+        });
+
+        router.get('/reminders/:reminderId', read, async (req, res) => {
+            res.json({ data: this.formatRow(await this.findReminder(req.params.reminderId)) });
+        });
+
+        router.post('/reminders', admin, async (req, res) => {
+            const body = req.body || {};
+            const errors = [];
+            if (!this.isNonEmptyString(body.birthday_id, 50)) {
+                errors.push({ field: 'birthday_id', message: 'Required' });
+            }
+            if (!moment(body.reminder_date, 'YYYY-MM-DD', true).isValid()) {
+                errors.push({ field: 'reminder_date', message: 'Required, as YYYY-MM-DD' });
+            }
+            const reminderType = body.reminder_type === undefined ? 'birthday' : body.reminder_type;
+            if (!REMINDER_TYPES.includes(reminderType)) {
+                errors.push({ field: 'reminder_type', message: `Must be ${REMINDER_TYPES.join(' or ')}` });
+            }
+            const daysBefore = body.days_before === undefined ? 0 : body.days_before;
+            if (!Number.isInteger(daysBefore) || daysBefore < 0 || daysBefore > 30) {
+                errors.push({ field: 'days_before', message: 'Must be a whole number from 0 to 30' });
+            }
+            this.assertValid(errors);
+
+            if (!(await birthdayRepository.getBirthdayById(body.birthday_id))) {
+                throw ApiError.notFound('Birthday not found');
+            }
+
+            const result = await reminderRepository.createReminder(body.birthday_id, body.reminder_date, reminderType, daysBefore);
+            if (result.changes === 0) {
+                throw ApiError.conflict('This birthday already has a reminder on that date');
+            }
+
+            const reminder = (await reminderRepository.getRemindersByBirthday(body.birthday_id))
+                .find(row => row.reminder_date === body.reminder_date);
+            res.status(201).json({ data: this.formatRow(await reminderRepository.getReminderById(reminder.id)) });
+        });
+
+        // Reminders can only be marked as sent, e.g. after sending one by hand
+        router.patch('/reminders/:reminderId', admin, async (req, res) => {
+            const reminder = await this.findReminder(req.params.reminderId);
+            if ((req.body || {}).sent !== true) {
+                throw ApiError.validation([{ field: 'sent', message: 'Required, must be true' }]);
+            }
+
+            await reminderRepository.markReminderSent(reminder.id);
+            res.json({ data: this.formatRow(await reminderRepository.getReminderById(reminder.id)) });
+        });
+
+        router.delete('/reminders/:reminderId', admin, async (req, res) => {
+            const reminder = await this.findReminder(req.params.reminderId);
+            await reminderRepository.deleteReminder(reminder.id);
+            res.status(204).end();
+        });
+
+        // Users
+        router.get('/users', read, async (req, res) => {
+            const users = await userRepository.getAllUsers();
+            res.json(this.paginate(users, req.query, user => this.formatRow(user)));
+        });
+
+        router.get('/users/:phoneNumber', read, async (req, res) => {
+            res.json({ data: this.formatRow(await this.findUser(req.params.phoneNumber)) });
+        });
+
+        router.post('/users', admin, async (req, res) => {
+            const body = req.body || {};
+            const errors = [];
+            const phoneNumber = this.validatePhoneNumber(body.phone_number, errors);
+            if (!this.isNonEmptyString(body.name, 100)) {
+                errors.push({ field: 'name', message: 'Required, up to 100 characters' });
+            }
+            this.validateOptionalBoolean(body, 'show_age', errors);
+            this.assertValid(errors);
+
+            if (await userRepository.userExists(phoneNumber)) {
+                throw ApiError.conflict('User already exists');
+            }
+
+            await database.transaction(async () => {
+                await userRepository.createOrUpdateUser(phoneNumber, body.name.trim());
+                if (body.show_age !== undefined) {
+                    await userRepository.updateShowAge(phoneNumber, body.show_age);
+                }
+            });
+
+            res.status(201).json({ data: this.formatRow(await userRepository.getUserByPhone(phoneNumber)) });
+        });
+
+        router.patch('/users/:phoneNumber', admin, async (req, res) => {
+            const user = await this.findUser(req.params.phoneNumber);
+            const body = req.body || {};
+            const errors = [];
+            if (body.name !== undefined && !this.isNonEmptyString(body.name, 100)) {
+                errors.push({ field: 'name', message: 'Must be 1 to 100 characters' });
+            }
+            this.validateOptionalBoolean(body, 'show_age', errors);
+            this.assertValid(errors);
+
+            await database.transaction(async () => {
+                if (body.name !== undefined) {
+                    await userRepository.updateUserName(user.phone_number, body.name.trim());
+                }
+                if (body.show_age !== undefined) {
+                    await userRepository.updateShowAge(user.phone_number, body.show_age);
+                }
+            });
+
+            res.json({ data: this.formatRow(await userRepository.getUserByPhone(user.phone_number)) });
+        });
+
+        // Also deletes the user's memberships and birthdays in every group
+        router.delete('/users/:phoneNumber', admin, async (req, res) => {
+            const user = await this.findUser(req.params.phoneNumber);
+            await userRepository.deleteUser(user.phone_number);
+            res.status(204).end();
+        });
+
+        router.use((req, res) => {
+            this.sendError(res, ApiError.notFound('Endpoint not found'));
+        });
+
+        return router;
+    }
+
+    /**
+     * Turn errors thrown by route handlers into JSON responses
+     */
+    handleError(error, req, res, next) {
+        if (res.headersSent) {
+            return next(error);
+        }
+
+        if (error instanceof ApiError) {
+            return this.sendError(res, error);
+        }
+
+        // Invalid JSON bodies from express.json()
+        if (error.type === 'entity.parse.failed') {
+            return this.sendError(res, new ApiError(400, 'invalid_json', 'Request body is not valid JSON'));
+        }
+
+        console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+        this.sendError(res, new ApiError(500, 'internal_error', 'Something went wrong'));
+    }
+
+    /**
+     * Send an error as { error, code, details }
+     */
+    sendError(res, error) {
+        const body = { error: error.message, code: error.code };
+        if (error.details) {
+            body.details = error.details;
+        }
+        res.status(error.status).json(body);
+    }
+
+    /**
+     * Throw a validation error if any fields failed
+     */
+    assertValid(errors) {
+        if (errors.length > 0) {
+            throw ApiError.validation(errors);
+        }
+    }
+
+    /**
+     * Return one page of rows with pagination info
+     * @returns {Object} - {data, pagination: {page, page_size, total, total_pages}}
+     */
+    paginate(rows, query, format) {
+        const page = query.page === undefined ? 1 : Number(query.page);
+        const pageSize = query.page_size === undefined ? DEFAULT_PAGE_SIZE : Number(query.page_size);
+        const errors = [];
+        if (!Number.isInteger(page) || page < 1) {
+            errors.push({ field: 'page', message: 'Must be a whole number from 1' });
+        }
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+            errors.push({ field: 'page_size', message: `Must be a whole number from 1 to ${MAX_PAGE_SIZE}` });
+        }
+        this.assertValid(errors);
+
+        const start = (page - 1) * pageSize;
+        return {
+            data: rows.slice(start, start + pageSize).map(format),
+            pagination: {
+                page,
+                page_size: pageSize,
+                total: rows.length,
+                total_pages: Math.ceil(rows.length / pageSize)
+            }
+        };
+    }
+
+    /**
+     * Name the API key behind a request, for added_by and the birthday change history
+     */
+    getActor(req) {
+        return `api:${req.apiKey.name}`;
+    }
+
+    /**
+     * Look up a row for a route, throwing a 404 if it doesn't exist
+     * Phone numbers in paths may include "+" or spaces; they're normalised like request bodies
+     */
+    async findGroup(groupId) {
+        const group = await groupRepository.getGroupById(groupId);
+        if (!group) {
+            throw ApiError.notFound('Group not found');
+        }
+        return group;
+    }
+
+    async findMember(groupId, phoneNumber) {
+        const group = await this.findGroup(groupId);
+        const member = await groupRepository.getGroupMember(birthdayImporter.normalisePhoneNumber(phoneNumber), group.group_id);
+        if (!member) {
+            throw ApiError.notFound('Member not found');
+        }
+        return member;
+    }
+
+    async findBirthday(groupId, phoneNumber) {
+        const group = await this.findGroup(groupId);
+        const birthday = await birthdayRepository.getBirthdayByUserAndGroup(birthdayImporter.normalisePhoneNumber(phoneNumber), group.group_id);
+        if (!birthday) {
+            throw ApiError.notFound('Birthday not found');
+        }
+        return birthday;
+    }
+
+    async findReminder(reminderId) {
+        const reminder = await reminderRepository.getReminderById(reminderId);
+        if (!reminder) {
+            throw ApiError.notFound('Reminder not found');
+        }
+        return reminder;
+    }
+
+    async findUser(phoneNumber) {
+        const user = await userRepository.getUserByPhone(birthdayImporter.normalisePhoneNumber(phoneNumber));
+        if (!user) {
+            throw ApiError.notFound('User not found');
+        }
+        return user;
+    }
+
+    isNonEmptyString(value, maxLength) {
+        return typeof value === 'string' && value.trim() !== '' && value.trim().length <= maxLength;
+    }
+
+    /**
+     * Validate and normalise a phone number (digits only, like bulk imports)
+     * @returns {string|null} - Normalised number or null if invalid
+     */
+    validatePhoneNumber(value, errors) {
+        const phoneNumber = birthdayImporter.normalisePhoneNumber(value);
+        if (typeof value !== 'string' || !birthdayImporter.isValidPhoneNumber(phoneNumber)) {
+            errors.push({ field: 'phone_number', message: 'Required, 7 to 15 digits' });
+            return null;
+        }
+        return phoneNumber;
+    }
+
+    /**
+     * Validate a birthday with the same rules as /addbirthday (DD/MM, DD-MM or DD.MM, optional year)
+     * @returns {Object|null} - dateUtils.validateDate result or null if invalid
+     */
+    validateBirthday(value, errors) {
+        const validation = dateUtils.validateDate(typeof value === 'string' ? value.trim() : '');
+        if (!validation.isValid) {
+            errors.push({ field: 'birthday', message: validation.error });
+            return null;
+        }
+        return validation;
+    }
+
+    validateOptionalName(value, errors) {
+        if (value !== undefined && !this.isNonEmptyString(value, 100)) {
+            errors.push({ field: 'name', message: 'Must be 1 to 100 characters' });
+        }
+    }
+
+    validateOptionalBoolean(body, field, errors) {
+        if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+            errors.push({ field, message: 'Must be true or false' });
+        }
+    }
+
+    /**
+     * Validate group settings with the same rules as /settings and /language
+     * Send time and timezone are stored together, so either one alone keeps the other's current value
+     * @returns {Object} - Settings to apply
+     */
+    validateGroupSettings(body, group, errors) {
+        const settings = {};
+
+        if (group && body.group_name !== undefined) {
+            if (this.isNonEmptyString(body.group_name, 200)) {
+                settings.groupName = body.group_name.trim();
+            } else {
+                errors.push({ field: 'group_name', message: 'Must be 1 to 200 characters' });
+            }
+        }
+
+        this.validateOptionalBoolean(body, 'bot_active', errors);
+        if (typeof body.bot_active === 'boolean') {
+            settings.botActive = body.bot_active;
+        }
+
+        if (body.send_time !== undefined || body.timezone !== undefined) {
+            const sendTime = body.send_time !== undefined ? dateUtils.parseSendTime(body.send_time) : dateUtils.getGroupSendTime(group);
+            const timezone = body.timezone !== undefined ? dateUtils.normaliseTimezone(body.timezone) : dateUtils.getGroupTimezone(group);
+            if (!sendTime) {
+                errors.push({ field: 'send_time', message: 'Must be a 24-hour time (HH:mm)' });
+            }
+            if (!timezone) {
+                errors.push({ field: 'timezone', message: 'Must be an IANA timezone, e.g. Europe/London' });
+            }
+            settings.schedule = { sendTime, timezone };
+        }
+
+        if (body.language !== undefined) {
+            const language = i18n.normaliseLanguage(body.language);
+            if (language) {
+                settings.language = language;
+            } else {
+                errors.push({ field: 'language', message: `Must be one of ${i18n.getLanguages().join(', ')}` });
+            }
+        }
+
+        if (body.leap_day_policy !== undefined) {
+            if (dateUtils.isValidLeapDayPolicy(body.leap_day_policy)) {
+                settings.leapDayPolicy = body.leap_day_policy;
+            } else {
+                errors.push({ field: 'leap_day_policy', message: `Must be one of ${dateUtils.leapDayPolicies.join(', ')}` });
+            }
+        }
+
+        if (body.reminder_offsets !== undefined) {
+            const offsets = body.reminder_offsets;
+            const isValid = Array.isArray(offsets) && offsets.length <= 5 &&
+                offsets.every(offset => Number.isInteger(offset) && offset >= 1 && offset <= 30);
+            if (isValid) {
+                settings.reminderOffsets = [...new Set(offsets)].sort((a, b) => b - a);
+            } else {
+                errors.push({ field: 'reminder_offsets', message: 'Must be up to 5 whole numbers of days from 1 to 30' });
+            }
+        }
+
+        return settings;
+    }
+
+    /**
+     * Save validated group settings
+     */
+    async applyGroupSettings(groupId, settings) {
+        if (settings.groupName !== undefined) {
+            await groupRepository.createOrUpdateGroup(groupId, settings.groupName);
+        }
+        if (settings.botActive !== undefined) {
+            await groupRepository.updateBotStatus(groupId, settings.botActive);
+        }
+        if (settings.schedule) {
+            await groupRepository.updateSchedule(groupId, settings.schedule.sendTime, settings.schedule.timezone);
+        }
+        if (settings.language) {
+            await groupRepository.updateLanguage(groupId, settings.language);
+        }
+        if (settings.leapDayPolicy) {
+            await groupRepository.updateLeapDayPolicy(groupId, settings.leapDayPolicy);
+        }
+        if (settings.reminderOffsets) {
+            await groupRepository.updateReminderOffsets(groupId, settings.reminderOffsets);
+        }
+    }
+
+    /**
+     * Return boolean columns as true/false
+     */
+    formatRow(row) {
+        const formatted = { ...row };
+        BOOLEAN_COLUMNS.forEach(column => {
+            if (column in formatted) {
+                formatted[column] = !!formatted[column];
+            }
+        });
+        return formatted;
+    }
+
+    formatGroup(group) {
+        return {
+            ...this.formatRow(group),
+            reminder_offsets: groupRepository.parseReminderOffsets(group.reminder_offsets)
+        };
+    }
+
+    /**
+     * Add the DD/MM form accepted on input next to the stored birth_date
+     */
+    formatBirthday(birthday) {
+        return {
+            ...this.formatRow(birthday),
+            birthday: moment(birthday.birth_date, 'YYYY-MM-DD').format('DD/MM')
+        };
+    }
+}
+
+// Export singleton instance
+const apiV1 = new ApiV1();
+module.exports = apiV1;
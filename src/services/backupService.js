@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const database = require('../database/database');
+
+// Backup files are named birthday_bot-<UTC timestamp>[-<label>].db
+const BACKUP_FILE_PATTERN = /^birthday_bot-\d{8}-\d{9}(-[a-z-]+)?\.db$/;
+
+class BackupService {
+    constructor() {
+        this.backupDir = path.resolve(process.env.BACKUP_DIR || 'backups');
+
+        // Number of backups to keep; older ones are deleted after each backup
+        const retention = parseInt(process.env.BACKUP_RETENTION, 10);
+        this.retention = isNaN(retention) ? 7 : Math.max(1, retention);
+    }
+
+    /**
+     * Check whether the storage backend can be backed up to files
+     */
+    isSupported() {
+        return database.supportsBackups();
+    }
+
+    /**
+     * Back up the live database and rotate old backups
+     * @param {string} label - Optional suffix, e.g. 'pre-restore'
+     * @param {boolean} rotate - Delete backups beyond the retention count afterwards
+     * @returns {Object} - {file, size, createdAt}
+     */
+    async createBackup(label = '', rotate = true) {
+        fs.mkdirSync(this.backupDir, { recursive: true });
+
+        const createdAt = moment.utc();
+        const fileName = `birthday_bot-${createdAt.format('YYYYMMDD-HHmmssSSS')}${label ? `-${label}` : ''}.db`;
+        const filePath = path.join(this.backupDir, fileName);
+
+        await database.backup(filePath);
+        const backup = { file: fileName, size: fs.statSync(filePath).size, createdAt: createdAt.toISOString() };
+        console.log(`💾 Database backed up to ${filePath}`);
+
+        if (rotate) {
+            this.rotateBackups();
+        }
+        return backup;
+    }
+
+    /**
+     * List backups, newest first
+     * @returns {Array} - [{file, size, createdAt}]
+     */
+    listBackups() {
+        if (!fs.existsSync(this.backupDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.backupDir)
+            .filter(fileName => BACKUP_FILE_PATTERN.test(fileName))
+            .sort()
+            .reverse()
+            .map(fileName => {
+                const stats = fs.statSync(path.join(this.backupDir, fileName));
+                return { file: fileName, size: stats.size, createdAt: stats.mtime.toISOString() };
+            });
+    }
+
+    /**
+     * Delete backups beyond the retention count
+     */
+    rotateBackups() {
+        const expired = this.listBackups().slice(this.retention);
+
+        expired.forEach(backup => {
+            fs.unlinkSync(path.join(this.backupDir, backup.file));
+            console.log(`Deleted old backup ${backup.file}`);
+        });
+    }
+
+    /**
+     * Restore a backup after checking it, keeping a copy of the current database first
+     * @param {string} fileName - Backup file name from listBackups
+     * @returns {Object|null} - {restored, file, verification, safetyBackup} or null if there's no such backup
+     */
+    async restoreBackup(fileName) {
+        // Only plain backup file names, so requests can't point outside the backup directory
+        if (!BACKUP_FILE_PATTERN.test(fileName || '')) {
+            return null;
+        }
+
+        const filePath = path.join(this.backupDir, fileName);
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+
+        const verification = await database.verifyBackup(filePath);
+        if (!verification.ok) {
+            console.warn(`⚠️ Refused to restore ${fileName}: ${verification.errors.join('; ')}`);
+            return { restored: false, file: fileName, verification, safetyBackup: null };
+        }
+
+        // Rotate only afterwards, so the backup being restored can't be deleted first
+        const safetyBackup = await this.createBackup('pre-restore', false);
+        await database.restore(filePath);
+        console.log(`♻️ Database restored from ${fileName}`);
+        this.rotateBackups();
+
+        return { restored: true, file: fileName, verification, safetyBackup };
+    }
+}
+
+// Export singleton instance
+const backupService = new BackupService();
+module.exports = backupService;
@@ -0,0 +1,206 @@
+const moment = require('moment');
+const { birthdayRepository, groupRepository } = require('../database/repositories');
+const dateUtils = require('../utils/dateUtils');
+
+const EXPORT_FORMATS = {
+    csv: { mimetype: 'text/csv', extension: 'csv' },
+    json: { mimetype: 'application/json', extension: 'json' },
+    ics: { mimetype: 'text/calendar', extension: 'ics' }
+};
+
+class BirthdayExporter {
+    /**
+     * Get supported export formats
+     */
+    getFormats() {
+        return Object.keys(EXPORT_FORMATS);
+    }
+
+    /**
+     * Export a group's birthdays
+     * @param {string} groupId - Group to export
+     * @param {string} format - csv, json or ics
+     * @param {Object} options - {allBirthYears: include every stored birth year; by default only
+     *     those of members who chose to share their age with /showage on}
+     * @returns {Object|null} - {content, mimetype, filename} or null if the group doesn't exist
+     */
+    async exportGroup(groupId, format, options = {}) {
+        const formatInfo = EXPORT_FORMATS[format];
+        if (!formatInfo) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        const group = await groupRepository.getGroupById(groupId);
+        if (!group) {
+            return null;
+        }
+
+        const birthdays = (await birthdayRepository.getBirthdaysByGroup(groupId)).map(birthday => ({
+            ...birthday,
+            birth_year: options.allBirthYears || birthday.show_age ? birthday.birth_year : null
+        }));
+
+        let content;
+        if (format === 'csv') {
+            content = this.toCsv(birthdays);
+        } else if (format === 'json') {
+            content = this.toJson(group, birthdays);
+        } else {
+            content = this.toICalendar(group, birthdays);
+        }
+
+        return {
+            content,
+            mimetype: formatInfo.mimetype,
+            filename: `${this.slugify(group.group_name)}-birthdays.${formatInfo.extension}`
+        };
+    }
+
+    /**
+     * Format a birthday as DD/MM, or DD/MM/YYYY when the birth year is known
+     */
+    formatBirthday(birthday) {
+        const date = moment(birthday.birth_date).format('DD/MM');
+        return birthday.birth_year ? `${date}/${birthday.birth_year}` : date;
+    }
+
+    /**
+     * Build CSV export (same columns the importer accepts)
+     */
+    toCsv(birthdays) {
+        const lines = ['name,phone,birthday'];
+
+        for (const birthday of birthdays) {
+            lines.push([
+                this.escapeCsv(birthday.name || ''),
+                this.escapeCsv(birthday.phone_number),
+                this.formatBirthday(birthday)
+            ].join(','));
+        }
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Build JSON export
+     */
+    toJson(group, birthdays) {
+        return JSON.stringify({
+            group: {
+                id: group.group_id,
+                name: group.group_name
+            },
+            exported_at: new Date().toISOString(),
+            birthdays: birthdays.map(birthday => ({
+                id: birthday.id,
+                name: birthday.name || null,
+                phone_number: birthday.phone_number,
+                birthday: this.formatBirthday(birthday),
+                birth_date: birthday.birth_date,
+                birth_year: birthday.birth_year || null,
+                added_by: birthday.added_by || null
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Build iCalendar feed with a yearly recurring all-day event per birthday
+     */
+    toICalendar(group, birthdays) {
+        const timestamp = moment.utc().format('YYYYMMDD[T]HHmmss[Z]');
+        const leapDayRule = this.getLeapDayRecurrence(dateUtils.getGroupLeapDayPolicy(group));
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Birthday Reminder Bot//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeICalText(`${group.group_name} Birthdays`)}`
+        ];
+
+        for (const birthday of birthdays) {
+            const date = moment(birthday.birth_date);
+            const name = birthday.name || birthday.phone_number;
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${birthday.id}@birthday-reminder-bot`,
+                `DTSTAMP:${timestamp}`,
+                `DTSTART;VALUE=DATE:${date.format('YYYYMMDD')}`,
+                `DTEND;VALUE=DATE:${date.clone().add(1, 'day').format('YYYYMMDD')}`,
+                date.format('MM-DD') === '02-29' ? leapDayRule : 'RRULE:FREQ=YEARLY',
+                `SUMMARY:${this.escapeICalText(`🎂 ${name}'s Birthday`)}`,
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            );
+        }
+
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.foldICalLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Get the recurrence rule for 29 February birthdays
+     * A plain yearly rule would skip non-leap years, so follow the group's leap day policy:
+     * the last day of February (feb28) or the 60th day of the year (mar1)
+     */
+    getLeapDayRecurrence(leapDayPolicy) {
+        return leapDayPolicy === 'mar1'
+            ? 'RRULE:FREQ=YEARLY;BYYEARDAY=60'
+            : 'RRULE:FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1';
+    }
+
+    /**
+     * Quote a CSV cell when needed
+     */
+    escapeCsv(value) {
+        const text = String(value);
+        return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Escape iCalendar TEXT values
+     */
+    escapeICalText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold iCalendar lines longer than 75 octets
+     */
+    foldICalLine(line) {
+        const parts = [];
+        let current = '';
+
+        for (const char of line) {
+            if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+                parts.push(current);
+                current = '';
+            }
+            current += char;
+        }
+
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Turn a group name into a safe file name
+     */
+    slugify(name) {
+        const slug = String(name || 'group')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+        return slug || 'group';
+    }
+}
+
+// Export singleton instance
+const birthdayExporter = new BirthdayExporter();
+module.exports = birthdayExporter;
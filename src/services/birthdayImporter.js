@@ -0,0 +1,286 @@
+const path = require('path');
+const database = require('../database/database');
+const { birthdayRepository, groupRepository, userRepository } = require('../database/repositories');
+const dateUtils = require('../utils/dateUtils');
+
+// Guard against huge uploads
+const MAX_IMPORT_ROWS = 1000;
+
+class BirthdayImporter {
+    /**
+     * Detect import format from a file name, mime type or the content itself
+     * @returns {string} - 'csv' or 'vcf'
+     */
+    detectFormat(content, filename = null, mimetype = null) {
+        const extension = filename ? path.extname(filename).toLowerCase() : '';
+
+        if (extension === '.vcf' || extension === '.vcard') {
+            return 'vcf';
+        }
+        if (extension === '.csv') {
+            return 'csv';
+        }
+        if (mimetype && /vcard/i.test(mimetype)) {
+            return 'vcf';
+        }
+        if (mimetype && /csv/i.test(mimetype)) {
+            return 'csv';
+        }
+
+        return /^\s*BEGIN:VCARD/i.test(content) ? 'vcf' : 'csv';
+    }
+
+    /**
+     * Parse import content into rows
+     * @returns {Array} - [{row, name, phoneNumber, date}]
+     */
+    parse(content, format) {
+        return format === 'vcf' ? this.parseVCard(content) : this.parseCsv(content);
+    }
+
+    /**
+     * Parse CSV content
+     * Expects name, phone and birthday columns; a header row is optional
+     */
+    parseCsv(content) {
+        const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+        const rows = [];
+        let columns = { name: 0, phone: 1, birthday: 2 };
+        let startIndex = 0;
+
+        // Use header row to locate columns if present
+        const firstLine = lines.findIndex(line => line.trim() !== '');
+        if (firstLine !== -1) {
+            const header = this.splitCsvLine(lines[firstLine]).map(cell => cell.toLowerCase());
+            const headerColumns = {
+                name: header.findIndex(cell => /name/.test(cell)),
+                phone: header.findIndex(cell => /phone|number|mobile|tel/.test(cell)),
+                birthday: header.findIndex(cell => /birth|date|dob/.test(cell))
+            };
+
+            if (headerColumns.phone !== -1 && headerColumns.birthday !== -1) {
+                columns = headerColumns;
+                startIndex = firstLine + 1;
+            }
+        }
+
+        for (let i = startIndex; i < lines.length; i++) {
+            if (lines[i].trim() === '') {
+                continue;
+            }
+
+            const cells = this.splitCsvLine(lines[i]);
+            rows.push({
+                row: i + 1,
+                name: columns.name !== -1 ? (cells[columns.name] || '') : '',
+                phoneNumber: cells[columns.phone] || '',
+                date: cells[columns.birthday] || ''
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Split a CSV line, honouring double-quoted cells
+     */
+    splitCsvLine(line) {
+        const cells = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (char === '"') {
+                if (inQuotes && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    inQuotes = !inQuotes;
+                }
+            } else if ((char === ',' || char === ';') && !inQuotes) {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        cells.push(current.trim());
+        return cells;
+    }
+
+    /**
+     * Parse vCard content
+     * Reads FN (or N), the first TEL and BDAY from each card
+     */
+    parseVCard(content) {
+        // Unfold continuation lines
+        const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const rows = [];
+        let card = null;
+        let cardNumber = 0;
+
+        for (const line of lines) {
+            const separator = line.indexOf(':');
+            if (separator === -1) {
+                continue;
+            }
+
+            const property = line.substring(0, separator).split(';')[0].toUpperCase();
+            const value = line.substring(separator + 1).trim();
+
+            if (property === 'BEGIN' && value.toUpperCase() === 'VCARD') {
+                cardNumber++;
+                card = { row: cardNumber, name: '', phoneNumber: '', date: '' };
+            } else if (!card) {
+                continue;
+            } else if (property === 'END') {
+                rows.push(card);
+                card = null;
+            } else if (property === 'FN') {
+                card.name = value;
+            } else if (property === 'N' && !card.name) {
+                const [lastName, firstName] = value.split(';');
+                card.name = [firstName, lastName].filter(Boolean).join(' ');
+            } else if (property === 'TEL' && !card.phoneNumber) {
+                card.phoneNumber = value;
+            } else if (property === 'BDAY') {
+                card.date = this.convertVCardDate(value);
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Convert a vCard BDAY value (YYYY-MM-DD, YYYYMMDD, --MM-DD or --MMDD) to DD/MM
+     */
+    convertVCardDate(value) {
+        const match = value.match(/^(?:\d{4}|--)-?(\d{2})-?(\d{2})/);
+        if (!match) {
+            return value;
+        }
+
+        return `${match[2]}/${match[1]}`;
+    }
+
+    /**
+     * Normalise a phone number to digits only
+     */
+    normalisePhoneNumber(phoneNumber) {
+        return String(phoneNumber || '').replace(/\D/g, '');
+    }
+
+    /**
+     * Check a normalised phone number has a plausible length (7-15 digits, E.164)
+     */
+    isValidPhoneNumber(phoneNumber) {
+        return phoneNumber.length >= 7 && phoneNumber.length <= 15;
+    }
+
+    /**
+     * Validate a parsed row
+     * @returns {Object} - {isValid: boolean, phoneNumber: string, birthDate: string, birthYear: number|null, error: string}
+     */
+    validateRow(row) {
+        const phoneNumber = this.normalisePhoneNumber(row.phoneNumber);
+        if (!this.isValidPhoneNumber(phoneNumber)) {
+            return { isValid: false, error: `Invalid phone number "${row.phoneNumber}"` };
+        }
+
+        const validation = dateUtils.validateDate(row.date);
+        if (!validation.isValid) {
+            return { isValid: false, error: `Invalid date "${row.date}". ${validation.error}` };
+        }
+
+        return {
+            isValid: true,
+            phoneNumber,
+            birthDate: validation.date.format('YYYY-MM-DD'),
+            birthYear: validation.year,
+            error: null
+        };
+    }
+
+    /**
+     * Import birthdays into a group
+     * @param {string} groupId - Target group
+     * @param {string} content - CSV or vCard text
+     * @param {Object} options - {format, filename, mimetype, addedBy}
+     * @returns {Object} - {format, total, imported, replaced, failed, errors: [{row, error}],
+     *     replacements: [{row, phoneNumber, name, previous: {birth_date, birth_year, added_by}}]}
+     * Imported rows include those that replaced an existing birthday; replacements lists them
+     */
+    async importBirthdays(groupId, content, options = {}) {
+        const format = options.format || this.detectFormat(content, options.filename, options.mimetype);
+        const rows = this.parse(content, format);
+        const result = { format, total: rows.length, imported: 0, replaced: 0, failed: 0, errors: [], replacements: [] };
+
+        if (rows.length > MAX_IMPORT_ROWS) {
+            throw new Error(`Too many rows to import (${rows.length}). The limit is ${MAX_IMPORT_ROWS}.`);
+        }
+
+        const seenNumbers = new Set();
+
+        for (const row of rows) {
+            const validation = this.validateRow(row);
+
+            if (validation.isValid && seenNumbers.has(validation.phoneNumber)) {
+                validation.isValid = false;
+                validation.error = `Duplicate phone number "${row.phoneNumber}"`;
+            }
+
+            if (!validation.isValid) {
+                result.failed++;
+                result.errors.push({ row: row.row, error: validation.error });
+                continue;
+            }
+
+            seenNumbers.add(validation.phoneNumber);
+
+            try {
+                const { previous, replaced } = await this.upsertRow(
+                    groupId, validation.phoneNumber, row.name, validation.birthDate, options.addedBy || null, validation.birthYear
+                );
+                result.imported++;
+
+                if (replaced) {
+                    result.replaced++;
+                    result.replacements.push({ row: row.row, phoneNumber: validation.phoneNumber, name: row.name, previous });
+                }
+            } catch (error) {
+                console.error(`Error importing row ${row.row}:`, error);
+                result.failed++;
+                result.errors.push({ row: row.row, error: 'Failed to save birthday' });
+            }
+        }
+
+        console.log(`Imported ${result.imported}/${result.total} birthdays into group ${groupId}`);
+        return result;
+    }
+
+    /**
+     * Save a single imported birthday
+     * @returns {Object} - {previous: the birthday it replaced (or null), replaced: whether its date or year changed}
+     */
+    async upsertRow(groupId, phoneNumber, name, birthDate, addedBy, birthYear = null) {
+        return await database.transaction(async () => {
+            await userRepository.createUserIfMissing(phoneNumber, name || phoneNumber);
+            await groupRepository.addMemberToGroup(phoneNumber, groupId, false);
+
+            const previous = await birthdayRepository.getStoredBirthday(phoneNumber, groupId);
+            await birthdayRepository.addOrUpdateBirthday(phoneNumber, birthDate, groupId, addedBy, birthYear, { keepBirthYear: true });
+            const saved = await birthdayRepository.getStoredBirthday(phoneNumber, groupId);
+
+            const replaced = !!previous &&
+                (previous.birth_date !== saved.birth_date || previous.birth_year !== saved.birth_year);
+            return { previous: previous || null, replaced };
+        });
+    }
+}
+
+// Export singleton instance
+const birthdayImporter = new BirthdayImporter();
+module.exports = birthdayImporter;
@@ -1,6 +1,15 @@
 const moment = require('moment');
-const { birthdayRepository, groupRepository } = require('../database/repositories');
+const database = require('../database/database');
+const { birthdayRepository, groupRepository, userRepository, templateRepository } = require('../database/repositories');
 const whatsappClient = require('./whatsappClient');
+const birthdayImporter = require('./birthdayImporter');
+const birthdayExporter = require('./birthdayExporter');
+const templateEngine = require('./templateEngine');
+const dateUtils = require('../utils/dateUtils');
+const i18n = require('../utils/i18n');
+
+// Birthdays per /upcoming page
+const UPCOMING_PAGE_SIZE = 20;
 
 class CommandParser {
     constructor() {
@@ -12,8 +21,25 @@ class CommandParser {
             '/birthday': this.handleAddBirthday.bind(this), // Alias
             '/mybirthday': this.handleMyBirthday.bind(this),
             '/upcoming': this.handleUpcoming.bind(this),
-            '/stats': this.handleStats.bind(this)
+            '/stats': this.handleStats.bind(this),
+            '/setbirthday': this.handleSetBirthday.bind(this),
+            '/pausebot': this.handlePauseBot.bind(this),
+            '/resumebot': this.handleResumeBot.bind(this),
+            '/import': this.handleImport.bind(this),
+            '/export': this.handleExport.bind(this),
+            '/settings': this.handleSettings.bind(this),
+            '/template': this.handleTemplate.bind(this),
+            '/language': this.handleLanguage.bind(this),
+            '/showage': this.handleShowAge.bind(this)
         };
+
+        // Commands restricted to WhatsApp group admins
+        this.adminCommands = new Set([
+            '/setbirthday',
+            '/pausebot',
+            '/resumebot',
+            '/import'
+        ]);
     }
 
     /**
@@ -39,29 +65,70 @@ class CommandParser {
         }
 
         try {
+            // Check admin permissions
+            if (this.requiresAdmin(command, message, args)) {
+                const isAdmin = await this.checkAdminStatus(chat, contact);
+                if (!isAdmin) {
+                    await this.sendAdminOnlyMessage(chat.id._serialized);
+                    return true;
+                }
+            }
+
             // Execute command
             await this.commands[command](message, chat, contact, args);
             return true;
         } catch (error) {
             console.error(`Error executing command ${command}:`, error);
-            await this.sendErrorMessage(chat.id._serialized, 'Sorry, there was an error processing your command. Please try again.');
+            await this.sendErrorMessage(chat.id._serialized, 'errors.command');
+            return true;
+        }
+    }
+
+    /**
+     * Check if a command needs group admin rights
+     * /removebirthday is open to everyone for their own birthday, but admin-only when targeting others
+     * /settings and /language can be viewed by everyone, but only admins can change them
+     * /template list and preview are open to everyone, add and remove are admin-only
+     */
+    requiresAdmin(command, message, args = []) {
+        if (this.adminCommands.has(command)) {
             return true;
         }
+
+        if (command === '/settings' || command === '/language') {
+            return args.length > 0;
+        }
+
+        if (command === '/template') {
+            return ['add', 'remove'].includes((args[0] || '').toLowerCase());
+        }
+
+        return command === '/removebirthday' && this.getMentionedIds(message).length > 0;
+    }
+
+    /**
+     * Sync admin flags from chat participants and check if contact is an admin
+     */
+    async checkAdminStatus(chat, contact) {
+        const groupId = chat.id._serialized;
+
+        await groupRepository.syncGroupAdmins(groupId, chat.participants || []);
+
+        return !!(await groupRepository.isAdminOfGroup(contact.number, groupId));
     }
 
     /**
      * Handle /addbirthday command
      */
     async handleAddBirthday(message, chat, contact, args) {
+        // Registering a birthday on behalf of a mentioned member
+        if (this.getMentionedIds(message).length > 0) {
+            await this.handleAddMemberBirthday(message, chat, contact, args);
+            return;
+        }
+
         if (args.length === 0) {
-            await this.sendMessage(chat.id._serialized, 
-                '📅 *Add Birthday Command*\n\n' +
-                'Usage: `/addbirthday DD/MM`\n\n' +
-                'Examples:\n' +
-                '• `/addbirthday 15/03`\n' +
-                '• `/addbirthday 01/12`\n\n' +
-                'Please provide your birth date in DD/MM format.'
-            );
+            await this.reply(chat.id._serialized, 'addBirthday.usage');
             return;
         }
 
@@ -72,31 +139,33 @@ class CommandParser {
         // Validate date format
         const validation = this.validateDate(dateStr);
         if (!validation.isValid) {
-            await this.sendMessage(chat.id._serialized,
-                '❌ *Invalid Date Format*\n\n' +
-                'Please use DD/MM format.\n\n' +
-                'Examples:\n' +
-                '• `/addbirthday 15/03`\n' +
-                '• `/addbirthday 01/12`'
-            );
+            await this.reply(chat.id._serialized, 'addBirthday.invalidDate');
             return;
         }
         
         const birthDate = validation.date.format('YYYY-MM-DD');
 
         try {
-            // Add birthday to database
-            await birthdayRepository.addOrUpdateBirthday(phoneNumber, birthDate, groupId);
+            // Add birthday to database; re-adding without a year removes a stored one
+            const previous = await birthdayRepository.getStoredBirthday(phoneNumber, groupId);
+            await birthdayRepository.addOrUpdateBirthday(phoneNumber, birthDate, groupId, phoneNumber, validation.year);
             
-            const formattedDate = moment(birthDate).format('DD MMMM');
-            await this.sendMessage(chat.id._serialized,
-                `🎉 *Birthday Added Successfully!*\n\n` +
-                `📅 Your birthday: ${formattedDate}\n\n` +
-                `I'll remind the group on your special day! 🎂`
-            );
+            const language = await this.getLanguage(groupId);
+            let reply = i18n.t(language, 'addBirthday.success', {
+                date: i18n.formatDate(birthDate, 'DD MMMM', language)
+            });
+
+            const user = await userRepository.getUserByPhone(phoneNumber);
+            if (validation.year && !(user && user.show_age)) {
+                reply += '\n\n' + i18n.t(language, 'addBirthday.yearPrivate');
+            } else if (!validation.year && previous && previous.birth_year) {
+                reply += '\n\n' + i18n.t(language, 'addBirthday.yearRemoved');
+            }
+
+            await this.sendMessage(chat.id._serialized, reply);
         } catch (error) {
             console.error('Error adding birthday:', error);
-            await this.sendErrorMessage(chat.id._serialized, 'Failed to add your birthday. Please try again.');
+            await this.sendErrorMessage(chat.id._serialized, 'addBirthday.failed');
         }
     }
 
@@ -104,6 +173,17 @@ class CommandParser {
      * Handle /removebirthday command
      */
     async handleRemoveBirthday(message, chat, contact, args) {
+        // Admins can remove birthdays for mentioned members
+        if (this.getMentionedIds(message).length > 0) {
+            try {
+                await this.handleRemoveMemberBirthdays(message, chat, contact);
+            } catch (error) {
+                console.error('Error removing member birthdays:', error);
+                await this.sendErrorMessage(chat.id._serialized, 'removeBirthday.memberFailed');
+            }
+            return;
+        }
+
         const phoneNumber = contact.number;
         const groupId = chat.id._serialized;
 
@@ -112,28 +192,540 @@ class CommandParser {
             const hasBirthday = await birthdayRepository.hasBirthdayInGroup(phoneNumber, groupId);
             
             if (!hasBirthday) {
-                await this.sendMessage(chat.id._serialized,
-                    '❌ *No Birthday Found*\n\n' +
-                    'You don\'t have a birthday registered in this group.\n\n' +
-                    'Use `/addbirthday DD/MM` to add your birthday.'
-                );
+                await this.reply(chat.id._serialized, 'removeBirthday.notFound');
                 return;
             }
 
             // Remove birthday
-            await birthdayRepository.removeBirthday(phoneNumber, groupId);
+            await birthdayRepository.removeBirthday(phoneNumber, groupId, phoneNumber);
             
-            await this.sendMessage(chat.id._serialized,
-                '✅ *Birthday Removed*\n\n' +
-                'Your birthday has been removed from this group.\n\n' +
-                'You can add it back anytime using `/addbirthday DD/MM`.'
-            );
+            await this.reply(chat.id._serialized, 'removeBirthday.success');
         } catch (error) {
             console.error('Error removing birthday:', error);
-            await this.sendErrorMessage(chat.id._serialized, 'Failed to remove your birthday. Please try again.');
+            await this.sendErrorMessage(chat.id._serialized, 'removeBirthday.failed');
+        }
+    }
+
+    /**
+     * Handle /setbirthday command (admin only)
+     */
+    async handleSetBirthday(message, chat, contact, args) {
+        const groupId = chat.id._serialized;
+        const members = await this.getMentionedMembers(message);
+        const dateArgs = this.stripMentions(args);
+
+        if (members.length !== 1 || dateArgs.length === 0) {
+            await this.reply(groupId, 'setBirthday.usage');
+            return;
+        }
+
+        const validation = this.validateDate(dateArgs[0]);
+        if (!validation.isValid) {
+            await this.reply(groupId, 'setBirthday.invalidDate');
+            return;
+        }
+
+        const birthDate = validation.date.format('YYYY-MM-DD');
+        const displayName = dateArgs.slice(1).join(' ').trim();
+
+        try {
+            const member = await this.saveMemberBirthday(members[0], birthDate, groupId, contact.number, displayName, validation.year);
+
+            const language = await this.getLanguage(groupId);
+            await this.sendMessage(groupId, i18n.t(language, 'setBirthday.success', {
+                name: member.name,
+                date: i18n.formatDate(birthDate, 'DD MMMM', language)
+            }));
+        } catch (error) {
+            console.error('Error setting birthday:', error);
+            await this.sendErrorMessage(groupId, 'setBirthday.failed');
         }
     }
 
+    /**
+     * Handle /addbirthday for a mentioned member
+     * Anyone can register a birthday for someone else, but only admins can
+     * change a birthday that was entered by another person
+     */
+    async handleAddMemberBirthday(message, chat, contact, args) {
+        const groupId = chat.id._serialized;
+        const members = await this.getMentionedMembers(message);
+        const dateArgs = this.stripMentions(args);
+
+        if (members.length !== 1 || dateArgs.length === 0) {
+            await this.reply(groupId, 'addBirthday.memberUsage');
+            return;
+        }
+
+        const validation = this.validateDate(dateArgs[0]);
+        if (!validation.isValid) {
+            await this.reply(groupId, 'addBirthday.memberInvalidDate');
+            return;
+        }
+
+        const birthDate = validation.date.format('YYYY-MM-DD');
+        const displayName = dateArgs.slice(1).join(' ').trim();
+
+        try {
+            const language = await this.getLanguage(groupId);
+            const existing = await birthdayRepository.getBirthdayByUserAndGroup(members[0].phoneNumber, groupId);
+            if (existing && existing.added_by !== contact.number) {
+                const isAdmin = await this.checkAdminStatus(chat, contact);
+                if (!isAdmin) {
+                    await this.sendMessage(groupId, i18n.t(language, 'addBirthday.alreadyRegistered', {
+                        name: existing.name || i18n.t(language, 'addBirthday.thisMember')
+                    }));
+                    return;
+                }
+            }
+
+            const member = await this.saveMemberBirthday(members[0], birthDate, groupId, contact.number, displayName, validation.year);
+
+            await this.sendMessage(groupId, i18n.t(language, 'addBirthday.memberSuccess', {
+                name: member.name,
+                date: i18n.formatDate(birthDate, 'DD MMMM', language),
+                addedBy: contact.pushname || contact.number
+            }));
+        } catch (error) {
+            console.error('Error adding member birthday:', error);
+            await this.sendErrorMessage(groupId, 'addBirthday.memberFailed');
+        }
+    }
+
+    /**
+     * Handle /removebirthday for mentioned members (admin only)
+     */
+    async handleRemoveMemberBirthdays(message, chat, contact) {
+        const groupId = chat.id._serialized;
+        const members = await this.getMentionedMembers(message);
+        const removed = [];
+        const notFound = [];
+
+        for (const member of members) {
+            const hasBirthday = await birthdayRepository.hasBirthdayInGroup(member.phoneNumber, groupId);
+            if (!hasBirthday) {
+                notFound.push(member.name);
+                continue;
+            }
+
+            await birthdayRepository.removeBirthday(member.phoneNumber, groupId, contact.number);
+            removed.push(member.name);
+        }
+
+        const language = await this.getLanguage(groupId);
+        let reply = i18n.t(language, 'removeBirthday.memberTitle') + '\n\n';
+        if (removed.length > 0) {
+            reply += i18n.t(language, 'removeBirthday.memberRemoved', { names: removed.join(', ') }) + '\n';
+        }
+        if (notFound.length > 0) {
+            reply += i18n.t(language, 'removeBirthday.memberNotFound', { names: notFound.join(', ') }) + '\n';
+        }
+
+        await this.sendMessage(groupId, reply.trim());
+    }
+
+    /**
+     * Handle /pausebot command (admin only)
+     */
+    async handlePauseBot(message, chat, contact, args) {
+        const groupId = chat.id._serialized;
+
+        await groupRepository.updateBotStatus(groupId, false);
+
+        await this.reply(groupId, 'bot.paused');
+    }
+
+    /**
+     * Handle /resumebot command (admin only)
+     */
+    async handleResumeBot(message, chat, contact, args) {
+        const groupId = chat.id._serialized;
+
+        await groupRepository.updateBotStatus(groupId, true);
+
+        await this.reply(groupId, 'bot.resumed');
+    }
+
+    /**
+     * Handle /import command (admin only)
+     * Accepts a CSV or vCard document attached to (or quoted by) the command message
+     */
+    async handleImport(message, chat, contact, args) {
+        const groupId = chat.id._serialized;
+        let mediaMessage = message.hasMedia ? message : null;
+
+        if (!mediaMessage && message.hasQuotedMsg) {
+            const quotedMessage = await message.getQuotedMsg();
+            if (quotedMessage && quotedMessage.hasMedia) {
+                mediaMessage = quotedMessage;
+            }
+        }
+
+        if (!mediaMessage) {
+            await this.reply(groupId, 'import.usage');
+            return;
+        }
+
+        try {
+            const media = await mediaMessage.downloadMedia();
+            if (!media || !media.data) {
+                await this.sendErrorMessage(groupId, 'import.downloadFailed');
+                return;
+            }
+
+            const content = Buffer.from(media.data, 'base64').toString('utf8');
+            const result = await birthdayImporter.importBirthdays(groupId, content, {
+                filename: media.filename,
+                mimetype: media.mimetype,
+                addedBy: contact.number
+            });
+
+            const language = await this.getLanguage(groupId);
+            let reply = i18n.t(language, 'import.complete', { imported: result.imported, failed: result.failed }) + '\n';
+
+            // Imports can replace birthdays that members entered themselves; say which
+            if (result.replacements.length > 0) {
+                reply += '\n' + i18n.t(language, 'import.replacedTitle', { count: result.replaced }) + '\n';
+                result.replacements.slice(0, 10).forEach(({ row, phoneNumber, name, previous }) => {
+                    reply += i18n.t(language, 'import.replacedRow', {
+                        row,
+                        name: name || phoneNumber,
+                        date: i18n.formatDate(previous.birth_date, 'DD MMMM', language)
+                    }) + '\n';
+                });
+                if (result.replacements.length > 10) {
+                    reply += i18n.t(language, 'import.moreErrors', { count: result.replacements.length - 10 }) + '\n';
+                }
+            }
+
+            if (result.errors.length > 0) {
+                reply += '\n' + i18n.t(language, 'import.errorsTitle') + '\n';
+                result.errors.slice(0, 10).forEach(({ row, error }) => {
+                    reply += i18n.t(language, 'import.errorRow', { row, error }) + '\n';
+                });
+                if (result.errors.length > 10) {
+                    reply += i18n.t(language, 'import.moreErrors', { count: result.errors.length - 10 }) + '\n';
+                }
+            }
+
+            await this.sendMessage(groupId, reply.trim());
+        } catch (error) {
+            console.error('Error importing birthdays:', error);
+            await this.sendErrorMessage(groupId, 'import.failed', { error: error.message });
+        }
+    }
+
+    /**
+     * Handle /export command
+     * Sends the group's birthdays as a CSV, JSON or iCalendar document
+     */
+    async handleExport(message, chat, contact, args) {
+        const groupId = chat.id._serialized;
+        const format = (args[0] || 'csv').toLowerCase();
+
+        if (!birthdayExporter.getFormats().includes(format)) {
+            await this.reply(groupId, 'export.usage');
+            return;
+        }
+
+        try {
+            const file = await birthdayExporter.exportGroup(groupId, format);
+            if (!file) {
+                await this.sendErrorMessage(groupId, 'export.groupNotRegistered');
+                return;
+            }
+
+            await whatsappClient.sendDocument(groupId, file.content, file.mimetype, file.filename,
+                await this.t(groupId, 'export.caption', { group: chat.name }));
+        } catch (error) {
+            console.error('Error exporting birthdays:', error);
+            await this.sendErrorMessage(groupId, 'export.failed');
+        }
+    }
+
+    /**
+     * Handle /settings command
+     * Without arguments shows the group settings; changing them is admin only
+     */
+    async handleSettings(message, chat, contact, args) {
+        const groupId = chat.id._serialized;
+        const setting = (args[0] || '').toLowerCase();
+
+        if (!setting) {
+            await this.sendSettings(chat);
+            return;
+        }
+
+        if (setting === 'reminders') {
+            await this.handleReminderSettings(chat, args.slice(1));
+            return;
+        }
+
+        if (setting === 'time') {
+            await this.handleTimeSettings(chat, args.slice(1));
+            return;
+        }
+
+        if (setting === 'leapday') {
+            await this.handleLeapDaySettings(chat, args.slice(1));
+            return;
+        }
+
+        await this.reply(groupId, 'settings.usage');
+    }
+
+    /**
+     * Show current group settings
+     */
+    async sendSettings(chat) {
+        const group = await groupRepository.getGroupById(chat.id._serialized);
+        const offsets = groupRepository.parseReminderOffsets(group && group.reminder_offsets);
+        const language = i18n.getGroupLanguage(group);
+
+        await this.sendMessage(chat.id._serialized, i18n.t(language, 'settings.overview', {
+            status: i18n.t(language, group && !group.bot_active ? 'settings.paused' : 'settings.active'),
+            sendTime: dateUtils.getGroupSendTime(group),
+            timezone: dateUtils.getGroupTimezone(group),
+            reminders: offsets.length > 0
+                ? offsets.map(offset => i18n.t(language, 'settings.dayBefore', { days: offset })).join(', ')
+                : i18n.t(language, 'settings.off'),
+            language: i18n.getLanguageName(language),
+            leapDay: i18n.t(language, `settings.leapDays.${dateUtils.getGroupLeapDayPolicy(group)}`)
+        }));
+    }
+
+    /**
+     * Update the daily send time and timezone
+     * The timezone is optional and keeps its current value when omitted
+     */
+    async handleTimeSettings(chat, args) {
+        const groupId = chat.id._serialized;
+        const sendTime = dateUtils.parseSendTime(args[0]);
+        const group = await groupRepository.getGroupById(groupId);
+        const timezone = dateUtils.normaliseTimezone(args[1] || dateUtils.getGroupTimezone(group));
+
+        if (!sendTime || !timezone) {
+            await this.reply(groupId, 'settings.invalidTime');
+            return;
+        }
+
+        await groupRepository.updateSchedule(groupId, sendTime, timezone);
+
+        await this.reply(groupId, 'settings.timeUpdated', { sendTime, timezone });
+    }
+
+    /**
+     * Update when 29 February birthdays are celebrated in non-leap years
+     */
+    async handleLeapDaySettings(chat, args) {
+        const groupId = chat.id._serialized;
+        const policy = (args[0] || '').toLowerCase();
+
+        if (!dateUtils.isValidLeapDayPolicy(policy)) {
+            await this.reply(groupId, 'settings.invalidLeapDay');
+            return;
+        }
+
+        await groupRepository.updateLeapDayPolicy(groupId, policy);
+
+        const language = await this.getLanguage(groupId);
+        await this.sendMessage(groupId, i18n.t(language, 'settings.leapDayUpdated', {
+            date: i18n.t(language, `settings.leapDays.${policy}`)
+        }));
+    }
+
+    /**
+     * Update advance reminder offsets
+     */
+    async handleReminderSettings(chat, args) {
+        const groupId = chat.id._serialized;
+
+        if (args.length === 1 && args[0].toLowerCase() === 'off') {
+            await groupRepository.updateReminderOffsets(groupId, []);
+            await this.reply(groupId, 'settings.remindersOff');
+            return;
+        }
+
+        const offsets = args.join(',').split(',')
+            .filter(arg => arg.trim() !== '')
+            .map(arg => Number(arg.trim()));
+        const isValid = offsets.length > 0 && offsets.length <= 5 &&
+            offsets.every(offset => Number.isInteger(offset) && offset >= 1 && offset <= 30);
+
+        if (!isValid) {
+            await this.reply(groupId, 'settings.invalidReminders');
+            return;
+        }
+
+        const uniqueOffsets = [...new Set(offsets)].sort((a, b) => b - a);
+        await groupRepository.updateReminderOffsets(groupId, uniqueOffsets);
+
+        const language = await this.getLanguage(groupId);
+        await this.sendMessage(groupId, i18n.t(language, 'settings.remindersUpdated', {
+            days: templateEngine.formatList(uniqueOffsets.map(offset => i18n.t(language, 'common.daysCount', { days: offset })), language)
+        }));
+    }
+
+    /**
+     * Handle /template command
+     */
+    async handleTemplate(message, chat, contact, args) {
+        const subcommand = (args[0] || '').toLowerCase();
+
+        if (subcommand === 'add') {
+            await this.handleAddTemplate(message, chat, contact);
+            return;
+        }
+
+        if (subcommand === 'list') {
+            await this.handleListTemplates(chat);
+            return;
+        }
+
+        if (subcommand === 'remove') {
+            await this.handleRemoveTemplate(chat, args.slice(1));
+            return;
+        }
+
+        if (subcommand === 'preview') {
+            await this.handlePreviewTemplate(chat, contact, args.slice(1));
+            return;
+        }
+
+        const language = await this.getLanguage(chat.id._serialized);
+        await this.sendMessage(chat.id._serialized, i18n.t(language, 'template.usage', {
+            types: templateEngine.types.join(', '),
+            placeholders: templateEngine.placeholders
+                .map(key => `• \`{${key}}\` - ${i18n.t(language, `template.placeholders.${key}`)}`)
+                .join('\n')
+        }));
+    }
+
+    /**
+     * Add a custom template
+     * Reads the text from the raw message so line breaks are kept
+     */
+    async handleAddTemplate(message, chat, contact) {
+        const groupId = chat.id._serialized;
+        const match = message.body.trim().match(/^\/template\s+add\s+(\w+)\s+([\s\S]+)$/i);
+        const templateType = match ? match[1].toLowerCase() : '';
+        const content = match ? match[2].trim() : '';
+
+        if (!templateEngine.isValidType(templateType) || !content) {
+            await this.reply(groupId, 'template.invalid', { types: templateEngine.types.join(', ') });
+            return;
+        }
+
+        if (content.length > templateEngine.maxTemplateLength) {
+            await this.reply(groupId, 'template.tooLong', { max: templateEngine.maxTemplateLength });
+            return;
+        }
+
+        const unknown = templateEngine.getUnknownPlaceholders(content);
+        if (unknown.length > 0) {
+            await this.reply(groupId, 'template.unknownPlaceholder', {
+                unknown: unknown.map(key => `\`{${key}}\``).join(', '),
+                available: templateEngine.placeholders.map(key => `\`{${key}}\``).join(', ')
+            });
+            return;
+        }
+
+        const count = await templateRepository.countTemplates(groupId);
+        if (count >= templateEngine.maxTemplatesPerGroup) {
+            await this.reply(groupId, 'template.tooMany', { max: templateEngine.maxTemplatesPerGroup });
+            return;
+        }
+
+        await templateRepository.addTemplate(groupId, templateType, content, contact.number);
+
+        const language = await this.getLanguage(groupId);
+        await this.sendMessage(groupId, i18n.t(language, 'template.added', {
+            type: i18n.t(language, `template.types.${templateType}`).toLowerCase()
+        }));
+    }
+
+    /**
+     * List the group's custom templates
+     */
+    async handleListTemplates(chat) {
+        const groupId = chat.id._serialized;
+        const templates = await templateRepository.getTemplatesByGroup(groupId);
+
+        if (templates.length === 0) {
+            await this.reply(groupId, 'template.none');
+            return;
+        }
+
+        const language = await this.getLanguage(groupId);
+        let listMessage = i18n.t(language, 'template.listTitle') + '\n\n';
+        templates.forEach((template, index) => {
+            listMessage += `${index + 1}. [${template.template_type}] ${template.content}\n\n`;
+        });
+        listMessage += i18n.t(language, 'template.listFooter');
+
+        await this.sendMessage(groupId, listMessage);
+    }
+
+    /**
+     * Remove a template by its list number
+     */
+    async handleRemoveTemplate(chat, args) {
+        const groupId = chat.id._serialized;
+        const templates = await templateRepository.getTemplatesByGroup(groupId);
+        const number = Number(args[0]);
+
+        if (!Number.isInteger(number) || number < 1 || number > templates.length) {
+            await this.reply(groupId, 'template.invalidNumber');
+            return;
+        }
+
+        const template = templates[number - 1];
+        await templateRepository.deleteTemplate(template.id);
+
+        await this.reply(groupId, 'template.removed', { type: template.template_type, number });
+    }
+
+    /**
+     * Preview a template by list number, or a random template of a type,
+     * using the sender as sample celebrant
+     */
+    async handlePreviewTemplate(chat, contact, args) {
+        const groupId = chat.id._serialized;
+        const selector = (args[0] || '').toLowerCase();
+        const language = await this.getLanguage(groupId);
+        const values = templateEngine.buildValues(
+            [{ name: contact.pushname || contact.number, phone_number: contact.number }],
+            chat.name,
+            { daysUntil: 7, daysAgo: 1 },
+            language
+        );
+
+        let preview = null;
+        if (templateEngine.isValidType(selector)) {
+            const rendered = await templateEngine.renderGroupTemplate(groupId, selector, values);
+            if (!rendered) {
+                await this.sendMessage(groupId, i18n.t(language, 'template.noneOfType', { type: selector }));
+                return;
+            }
+            preview = rendered.message;
+        } else {
+            const templates = await templateRepository.getTemplatesByGroup(groupId);
+            const number = Number(selector);
+            if (Number.isInteger(number) && number >= 1 && number <= templates.length) {
+                preview = templateEngine.render(templates[number - 1].content, values);
+            }
+        }
+
+        if (preview === null) {
+            await this.sendMessage(groupId, i18n.t(language, 'template.nothingToPreview', {
+                types: templateEngine.types.join(', ')
+            }));
+            return;
+        }
+
+        await this.sendMessage(groupId, i18n.t(language, 'template.preview', { preview }));
+    }
+
     /**
      * Handle /listbirthdays command
      */
@@ -141,14 +733,12 @@ class CommandParser {
         const groupId = chat.id._serialized;
 
         try {
+            const group = await groupRepository.getGroupById(groupId);
+            const language = i18n.getGroupLanguage(group);
             const birthdays = await birthdayRepository.getBirthdaysByGroup(groupId);
             
             if (birthdays.length === 0) {
-                await this.sendMessage(chat.id._serialized,
-                    '📅 *No Birthdays Yet*\n\n' +
-                    'No one has added their birthday to this group yet.\n\n' +
-                    'Use `/addbirthday DD/MM` to add yours!'
-                );
+                await this.sendMessage(chat.id._serialized, i18n.t(language, 'listBirthdays.empty'));
                 return;
             }
 
@@ -159,35 +749,30 @@ class CommandParser {
                 return dateA.format('MM-DD').localeCompare(dateB.format('MM-DD'));
             });
 
-            let message = '🎂 *Group Birthdays*\n\n';
+            let message = i18n.t(language, 'listBirthdays.title') + '\n\n';
             
             sortedBirthdays.forEach((birthday, index) => {
                 const date = moment(birthday.birth_date);
-                const name = birthday.name || 'Unknown';
-                const formattedDate = date.format('DD MMM');
+                const name = birthday.name || i18n.t(language, 'common.unknown');
+                const formattedDate = i18n.formatDate(date, 'DD MMM', language);
                 
                 // Calculate next birthday
-                const nextBirthday = this.getNextBirthdayDate(date);
-                const daysUntil = nextBirthday.diff(moment(), 'days');
+                const daysUntil = this.getDaysUntilBirthday(birthday.birth_date, group);
                 
                 let dayText = '';
-                if (daysUntil === 0) {
-                    dayText = ' 🎉 *TODAY!*';
-                } else if (daysUntil === 1) {
-                    dayText = ' 🔜 *Tomorrow*';
-                } else if (daysUntil <= 7) {
-                    dayText = ` 🔜 *${daysUntil} days*`;
+                if (daysUntil <= 7) {
+                    dayText = ' ' + this.formatDaysUntil(daysUntil, language);
                 }
                 
-                message += `${index + 1}. ${name} - ${formattedDate}${dayText}\n`;
+                message += i18n.t(language, 'listBirthdays.row', { index: index + 1, name, date: formattedDate }) + `${dayText}\n`;
             });
             
-            message += '\n💡 Use `/upcoming` to see upcoming birthdays only.';
+            message += '\n' + i18n.t(language, 'listBirthdays.footer');
             
             await this.sendMessage(chat.id._serialized, message);
         } catch (error) {
             console.error('Error listing birthdays:', error);
-            await this.sendErrorMessage(chat.id._serialized, 'Failed to get birthday list. Please try again.');
+            await this.sendErrorMessage(chat.id._serialized, 'listBirthdays.failed');
         }
     }
 
@@ -199,36 +784,44 @@ class CommandParser {
         const groupId = chat.id._serialized;
 
         try {
+            const group = await groupRepository.getGroupById(groupId);
+            const language = i18n.getGroupLanguage(group);
             const birthday = await birthdayRepository.getBirthdayByUserAndGroup(phoneNumber, groupId);
             
             if (!birthday) {
-                await this.sendMessage(chat.id._serialized,
-                    '❌ *No Birthday Found*\n\n' +
-                    'You haven\'t added your birthday to this group yet.\n\n' +
-                    'Use `/addbirthday DD/MM` to add it!'
-                );
+                await this.sendMessage(chat.id._serialized, i18n.t(language, 'myBirthday.notFound'));
                 return;
             }
 
             const date = moment(birthday.birth_date);
-            const formattedDate = date.format('DD MMMM');
-            const nextBirthday = this.getNextBirthdayDate(date);
-            const daysUntil = nextBirthday.diff(moment(), 'days');
+            const formattedDate = i18n.formatDate(date, 'DD MMMM', language);
+            const nextBirthday = this.getNextBirthdayDate(birthday.birth_date, group);
+            const daysUntil = this.getDaysUntilBirthday(birthday.birth_date, group);
             
-            let message = `🎂 *Your Birthday*\n\n📅 ${formattedDate}\n\n`;
+            let message = i18n.t(language, 'myBirthday.title', { date: formattedDate }) + '\n\n';
+
+            if (birthday.added_by && birthday.added_by !== phoneNumber) {
+                message += i18n.t(language, 'myBirthday.addedBy', { name: birthday.added_by_name || birthday.added_by }) + '\n\n';
+            }
+
+            if (birthday.birth_year) {
+                message += (birthday.show_age
+                    ? i18n.t(language, 'myBirthday.age', { age: dateUtils.getAge(birthday.birth_year, nextBirthday.year()) })
+                    : i18n.t(language, 'myBirthday.ageHidden')) + '\n\n';
+            }
             
             if (daysUntil === 0) {
-                message += '🎉 *Happy Birthday! It\'s your special day!* 🎉';
+                message += i18n.t(language, 'myBirthday.today');
             } else if (daysUntil === 1) {
-                message += '🔜 *Tomorrow is your birthday!* 🎂';
+                message += i18n.t(language, 'myBirthday.tomorrow');
             } else {
-                message += `⏰ ${daysUntil} days until your next birthday!`;
+                message += i18n.t(language, 'myBirthday.daysUntil', { days: daysUntil });
             }
             
             await this.sendMessage(chat.id._serialized, message);
         } catch (error) {
             console.error('Error getting user birthday:', error);
-            await this.sendErrorMessage(chat.id._serialized, 'Failed to get your birthday info. Please try again.');
+            await this.sendErrorMessage(chat.id._serialized, 'myBirthday.failed');
         }
     }
 
@@ -238,53 +831,53 @@ class CommandParser {
     async handleUpcoming(message, chat, contact, args) {
         const groupId = chat.id._serialized;
         const days = args[0] ? parseInt(args[0]) : 30;
+        const page = args[1] ? parseInt(args[1]) : 1;
 
         if (isNaN(days) || days < 1 || days > 365) {
-            await this.sendMessage(chat.id._serialized,
-                '❌ *Invalid Days*\n\n' +
-                'Please provide a number between 1 and 365.\n\n' +
-                'Usage: `/upcoming [days]`\n' +
-                'Example: `/upcoming 7` (next 7 days)'
-            );
+            await this.reply(chat.id._serialized, 'upcoming.invalidDays');
             return;
         }
 
         try {
-            const birthdays = await birthdayRepository.getUpcomingBirthdays(groupId, days);
+            const language = await this.getLanguage(groupId);
+            const { total, birthdays } = await birthdayRepository.getUpcomingBirthdays(groupId, days, {
+                page: isNaN(page) ? 1 : page,
+                pageSize: UPCOMING_PAGE_SIZE
+            });
             
-            if (birthdays.length === 0) {
-                await this.sendMessage(chat.id._serialized,
-                    `📅 *No Upcoming Birthdays*\n\n` +
-                    `No birthdays in the next ${days} days.`
-                );
+            if (total === 0) {
+                await this.sendMessage(chat.id._serialized, i18n.t(language, 'upcoming.empty', { days }));
+                return;
+            }
+
+            const pages = Math.ceil(total / UPCOMING_PAGE_SIZE);
+            if (isNaN(page) || page < 1 || page > pages) {
+                await this.sendMessage(chat.id._serialized, i18n.t(language, 'upcoming.invalidPage', { pages, days }));
                 return;
             }
 
-            let message = `🔜 *Upcoming Birthdays (${days} days)*\n\n`;
+            let message = i18n.t(language, 'upcoming.title', { days }) + '\n\n';
+            const offset = (page - 1) * UPCOMING_PAGE_SIZE;
             
             birthdays.forEach((birthday, index) => {
                 const date = moment(birthday.birth_date);
-                const name = birthday.name || 'Unknown';
-                const nextBirthday = this.getNextBirthdayDate(date);
-                const daysUntil = nextBirthday.diff(moment(), 'days');
-                const formattedDate = date.format('DD MMM');
-                
-                let dayText = '';
-                if (daysUntil === 0) {
-                    dayText = ' 🎉 *TODAY!*';
-                } else if (daysUntil === 1) {
-                    dayText = ' 🔜 *Tomorrow*';
-                } else {
-                    dayText = ` 🔜 *${daysUntil} days*`;
-                }
+                const name = birthday.name || i18n.t(language, 'common.unknown');
+                const formattedDate = i18n.formatDate(date, 'DD MMM', language);
+                const dayText = this.formatDaysUntil(birthday.days_until, language);
                 
-                message += `${index + 1}. ${name} - ${formattedDate}${dayText}\n`;
+                message += i18n.t(language, 'listBirthdays.row', { index: offset + index + 1, name, date: formattedDate }) + ` ${dayText}\n`;
             });
+
+            if (pages > 1) {
+                message += '\n' + (page < pages
+                    ? i18n.t(language, 'upcoming.nextPage', { page, pages, days, next: page + 1 })
+                    : i18n.t(language, 'upcoming.page', { page, pages }));
+            }
             
             await this.sendMessage(chat.id._serialized, message);
         } catch (error) {
             console.error('Error getting upcoming birthdays:', error);
-            await this.sendErrorMessage(chat.id._serialized, 'Failed to get upcoming birthdays. Please try again.');
+            await this.sendErrorMessage(chat.id._serialized, 'upcoming.failed');
         }
     }
 
@@ -297,25 +890,26 @@ class CommandParser {
         try {
             const stats = await birthdayRepository.getBirthdayStats(groupId);
             const groupInfo = await groupRepository.getGroupById(groupId);
+            const language = i18n.getGroupLanguage(groupInfo);
             
-            let message = `📊 *Birthday Statistics*\n\n`;
-            message += `👥 Group: ${groupInfo?.group_name || 'Unknown'}\n`;
-            message += `🎂 Total Birthdays: ${stats.total_birthdays}\n`;
-            message += `📅 This Month: ${stats.this_month}\n`;
-            message += `🎉 Today: ${stats.today}\n\n`;
+            let message = i18n.t(language, 'stats.title') + '\n\n';
+            message += i18n.t(language, 'stats.group', { group: groupInfo?.group_name || i18n.t(language, 'common.unknown') }) + '\n';
+            message += i18n.t(language, 'stats.total', { count: stats.total_birthdays }) + '\n';
+            message += i18n.t(language, 'stats.thisMonth', { count: stats.this_month }) + '\n';
+            message += i18n.t(language, 'stats.today', { count: stats.today }) + '\n\n';
             
             if (stats.today > 0) {
-                message += '🎊 *Happy Birthday to today\'s celebrants!* 🎊';
+                message += i18n.t(language, 'stats.celebrateToday');
             } else if (stats.this_month > 0) {
-                message += '🔜 *Birthdays coming up this month!*';
+                message += i18n.t(language, 'stats.comingUp');
             } else {
-                message += '💡 *Use `/addbirthday DD/MM` to add your birthday!*';
+                message += i18n.t(language, 'stats.addYours');
             }
             
             await this.sendMessage(chat.id._serialized, message);
         } catch (error) {
             console.error('Error getting birthday stats:', error);
-            await this.sendErrorMessage(chat.id._serialized, 'Failed to get birthday statistics. Please try again.');
+            await this.sendErrorMessage(chat.id._serialized, 'stats.failed');
         }
     }
 
@@ -323,26 +917,68 @@ class CommandParser {
      * Handle /help command
      */
     async handleHelp(message, chat, contact, args) {
-        const helpMessage = 
-            '🤖 *Birthday Reminder Bot Help*\n\n' +
-            '*Available Commands:*\n\n' +
-            '📅 `/addbirthday DD/MM` - Add your birthday\n' +
-            '❌ `/removebirthday` - Remove your birthday\n' +
-            '📋 `/listbirthdays` - Show all birthdays\n' +
-            '👤 `/mybirthday` - Show your birthday info\n' +
-            '🔜 `/upcoming [days]` - Show upcoming birthdays\n' +
-            '📊 `/stats` - Show birthday statistics\n' +
-            '❓ `/help` - Show this help message\n\n' +
-            '*Examples:*\n' +
-            '• `/addbirthday 15/03`\n' +
-            '• `/upcoming 7` (next 7 days)\n\n' +
-            '*Features:*\n' +
-            '🎂 Automatic birthday reminders at 12 AM\n' +
-            '🏷️ Tags birthday person in group\n' +
-            '📱 Works in WhatsApp groups only\n\n' +
-            '💡 *Tip:* All dates should be in DD/MM format!';
-        
-        await this.sendMessage(chat.id._serialized, helpMessage);
+        await this.reply(chat.id._serialized, 'help');
+    }
+
+    /**
+     * Handle /showage command
+     * Members choose for themselves whether their age appears in announcements
+     */
+    async handleShowAge(message, chat, contact, args) {
+        const groupId = chat.id._serialized;
+        const setting = (args[0] || '').toLowerCase();
+
+        try {
+            const language = await this.getLanguage(groupId);
+            let user = await userRepository.getUserByPhone(contact.number);
+
+            if (setting !== 'on' && setting !== 'off') {
+                await this.sendMessage(groupId, i18n.t(language, 'showAge.status', {
+                    status: i18n.t(language, user && user.show_age ? 'showAge.shown' : 'showAge.hidden')
+                }));
+                return;
+            }
+
+            if (!user) {
+                await userRepository.createOrUpdateUser(contact.number, contact.pushname || contact.number);
+            }
+            await userRepository.updateShowAge(contact.number, setting === 'on');
+
+            await this.sendMessage(groupId, i18n.t(language, `showAge.${setting}`));
+        } catch (error) {
+            console.error('Error updating age display:', error);
+            await this.sendErrorMessage(groupId, 'showAge.failed');
+        }
+    }
+
+    /**
+     * Handle /language command
+     */
+    async handleLanguage(message, chat, contact, args) {
+        const groupId = chat.id._serialized;
+        const languages = i18n.getLanguages()
+            .map(code => `\`${code}\` - ${i18n.getLanguageName(code)}`)
+            .join(', ');
+
+        if (args.length === 0) {
+            const language = await this.getLanguage(groupId);
+            await this.sendMessage(groupId, i18n.t(language, 'language.current', {
+                language: i18n.getLanguageName(language),
+                languages
+            }));
+            return;
+        }
+
+        const language = i18n.normaliseLanguage(args[0]);
+        if (!language) {
+            await this.reply(groupId, 'language.invalid', { languages });
+            return;
+        }
+
+        await groupRepository.updateLanguage(groupId, language);
+
+        // Confirm in the new language
+        await this.sendMessage(groupId, i18n.t(language, 'language.updated'));
     }
 
     /**
@@ -351,52 +987,124 @@ class CommandParser {
      * @returns {Object} - {isValid: boolean, date: moment object, error: string}
      */
     validateDate(dateStr) {
-        const formats = ['DD/MM', 'DD-MM', 'DD.MM'];
-        let date = null;
-        let isValidFormat = false;
-
-        // Try each format
-        for (const format of formats) {
-            date = moment(dateStr, format, true);
-            if (date.isValid()) {
-                isValidFormat = true;
-                break;
-            }
+        return dateUtils.validateDate(dateStr);
+    }
+
+    /**
+     * Get next birthday date for a given birth date in a group
+     * Uses the group's timezone and leap day policy
+     */
+    getNextBirthdayDate(birthDate, group = null) {
+        return dateUtils.getNextBirthday(birthDate, dateUtils.getGroupNow(group), dateUtils.getGroupLeapDayPolicy(group));
+    }
+
+    /**
+     * Get the number of days until a birthday is next celebrated in a group (0 = today)
+     */
+    getDaysUntilBirthday(birthDate, group = null) {
+        return dateUtils.getDaysUntilBirthday(birthDate, dateUtils.getGroupNow(group), dateUtils.getGroupLeapDayPolicy(group));
+    }
+
+    /**
+     * Describe how far away a birthday is ("TODAY!", "Tomorrow", "5 days")
+     */
+    formatDaysUntil(daysUntil, language) {
+        if (daysUntil === 0) {
+            return i18n.t(language, 'common.today');
         }
+        if (daysUntil === 1) {
+            return i18n.t(language, 'common.tomorrow');
+        }
+        return i18n.t(language, 'common.inDays', { days: daysUntil });
+    }
+
+    /**
+     * Get serialized contact IDs mentioned in a message
+     */
+    getMentionedIds(message) {
+        return (message.mentionedIds || []).map(contactId =>
+            typeof contactId === 'string' ? contactId : contactId._serialized
+        );
+    }
+
+    /**
+     * Resolve mentioned contacts into member details
+     */
+    async getMentionedMembers(message) {
+        const members = [];
 
-        if (!isValidFormat) {
-            return {
-                isValid: false,
-                date: null,
-                error: 'Invalid date format. Please use DD/MM, DD-MM, or DD.MM'
-            };
+        for (const contactId of this.getMentionedIds(message)) {
+            const contact = await whatsappClient.getContactById(contactId);
+            const phoneNumber = contact.number || contactId.split('@')[0];
+
+            members.push({
+                contactId,
+                phoneNumber,
+                name: contact.pushname || contact.name || phoneNumber
+            });
         }
 
-        // Set year to current year for storage
-        const currentYear = moment().year();
-        date.year(currentYear);
+        return members;
+    }
 
-        return {
-            isValid: true,
-            date: date,
-            error: null
-        };
+    /**
+     * Remove @mention tokens from command arguments
+     */
+    stripMentions(args) {
+        return args.filter(arg => !arg.startsWith('@'));
     }
 
     /**
-     * Get next birthday date for a given birth date
+     * Save a birthday on behalf of a member, recording who entered it (see birthday_changes)
+     * A display name overrides the member's WhatsApp name
      */
-    getNextBirthdayDate(birthDate) {
-        const now = moment();
-        const thisYear = now.year();
-        const nextBirthday = moment(birthDate).year(thisYear);
-        
-        // If birthday has passed this year, use next year
-        if (nextBirthday.isBefore(now, 'day')) {
-            nextBirthday.add(1, 'year');
-        }
-        
-        return nextBirthday;
+    async saveMemberBirthday(member, birthDate, groupId, addedBy, displayName = '', birthYear = null) {
+        member = await database.transaction(async () => {
+            if (displayName) {
+                await userRepository.createOrUpdateUser(member.phoneNumber, displayName);
+                member = { ...member, name: displayName };
+            }
+
+            const saved = await this.ensureMember(member, groupId);
+            await birthdayRepository.addOrUpdateBirthday(saved.phoneNumber, birthDate, groupId, addedBy, birthYear, { keepBirthYear: true });
+            return saved;
+        });
+
+        return member;
+    }
+
+    /**
+     * Make sure a member exists as a user and group member
+     * Returns the member with their stored name
+     */
+    async ensureMember(member, groupId) {
+        await userRepository.createUserIfMissing(member.phoneNumber, member.name);
+        await groupRepository.addMemberToGroup(member.phoneNumber, groupId, false);
+
+        const user = await userRepository.getUserByPhone(member.phoneNumber);
+        return { ...member, name: user.name };
+    }
+
+    /**
+     * Get the language a group has chosen
+     */
+    async getLanguage(chatId) {
+        const group = await groupRepository.getGroupById(chatId);
+        return i18n.getGroupLanguage(group);
+    }
+
+    /**
+     * Translate a catalogue key into a group's language
+     */
+    async t(chatId, key, values = {}) {
+        return i18n.t(await this.getLanguage(chatId), key, values);
+    }
+
+    /**
+     * Send a catalogue message in the group's language
+     */
+    async reply(chatId, key, values = {}) {
+        await this.sendMessage(chatId, await this.t(chatId, key, values));
     }
 
     /**
@@ -408,21 +1116,26 @@ class CommandParser {
 
     /**
      * Send error message
+     * @param {string} errorKey - Catalogue key of the error text
      */
-    async sendErrorMessage(chatId, errorMsg) {
-        const message = `❌ *Error*\n\n${errorMsg}\n\nUse \`/help\` for available commands.`;
+    async sendErrorMessage(chatId, errorKey, values = {}) {
+        const language = await this.getLanguage(chatId);
+        const message = i18n.t(language, 'errors.wrapper', { error: i18n.t(language, errorKey, values) });
         await this.sendMessage(chatId, message);
     }
 
+    /**
+     * Send admin-only message
+     */
+    async sendAdminOnlyMessage(chatId) {
+        await this.reply(chatId, 'errors.adminOnly');
+    }
+
     /**
      * Send unknown command message
      */
     async sendUnknownCommandMessage(chatId) {
-        const message = 
-            '❓ *Unknown Command*\n\n' +
-            'I don\'t recognize that command.\n\n' +
-            'Use `/help` to see all available commands.';
-        await this.sendMessage(chatId, message);
+        await this.reply(chatId, 'errors.unknownCommand');
     }
 }
 
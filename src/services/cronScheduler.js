@@ -1,12 +1,26 @@
 const cron = require('node-cron');
 const moment = require('moment');
-const { birthdayRepository, reminderRepository } = require('../database/repositories');
+const { groupRepository, reminderRepository, messageQueueRepository, auditLogRepository } = require('../database/repositories');
 const whatsappClient = require('./whatsappClient');
+const backupService = require('./backupService');
+const templateEngine = require('./templateEngine');
+const i18n = require('../utils/i18n');
+const dateUtils = require('../utils/dateUtils');
 
 class CronScheduler {
     constructor() {
         this.jobs = new Map();
         this.isRunning = false;
+        this.isPipelineRunning = false;
+        this.pipelineRun = null;
+        this.isDraining = false;
+        
+        // Days after a birthday during which missed reminders are still sent (as belated wishes)
+        const graceDays = parseInt(process.env.REMINDER_GRACE_DAYS, 10);
+        this.graceDays = isNaN(graceDays) ? 3 : Math.max(0, graceDays);
+
+        // Cron expression for database backups ('off' disables them)
+        this.backupSchedule = process.env.BACKUP_SCHEDULE || '0 3 * * *';
     }
 
     /**
@@ -20,14 +34,14 @@ class CronScheduler {
 
         console.log('Starting cron scheduler...');
         
-        // Schedule birthday check at 12:00 AM every day
+        // Schedule the reminder pipeline (runs each group at its local send time)
         this.scheduleBirthdayCheck();
         
         // Schedule cleanup job at 2:00 AM every day
         this.scheduleCleanupJob();
         
-        // Schedule reminder creation at 11:59 PM every day
-        this.scheduleReminderCreation();
+        // Schedule database backups (3:00 AM daily by default)
+        this.scheduleBackupJob();
         
         this.isRunning = true;
         console.log('Cron scheduler started successfully');
@@ -56,155 +70,516 @@ class CronScheduler {
     }
 
     /**
-     * Schedule birthday check job - runs at 12:00 AM every day
+     * Schedule birthday check job - runs the reminder pipeline every minute
      */
     scheduleBirthdayCheck() {
-        const job = cron.schedule('0 0 * * *', async () => {
-            console.log('Running daily birthday check at:', new Date().toISOString());
-            await this.checkTodaysBirthdays();
+        const job = cron.schedule('* * * * *', async () => {
+            await this.runReminderPipeline();
         }, {
             scheduled: false,
-            timezone: 'Africa/Lagos' // Adjust timezone as needed
+            timezone: dateUtils.defaultTimezone
         });
 
         this.jobs.set('birthdayCheck', job);
         job.start();
-        console.log('Scheduled birthday check job for 12:00 AM daily');
+        console.log('Scheduled birthday check job for each group\'s local send time');
     }
 
     /**
-     * Schedule reminder creation job - runs at 11:59 PM every day
+     * Schedule cleanup job - runs at 2:00 AM every day
      */
-    scheduleReminderCreation() {
-        const job = cron.schedule('59 23 * * *', async () => {
-            console.log('Creating reminders for tomorrow at:', new Date().toISOString());
-            await this.createTomorrowReminders();
+    scheduleCleanupJob() {
+        const job = cron.schedule('0 2 * * *', async () => {
+            console.log('Running cleanup job at:', new Date().toISOString());
+            await this.cleanupOldReminders();
         }, {
             scheduled: false,
-            timezone: 'Africa/Lagos'
+            timezone: dateUtils.defaultTimezone
         });
 
-        this.jobs.set('reminderCreation', job);
+        this.jobs.set('cleanup', job);
         job.start();
-        console.log('Scheduled reminder creation job for 11:59 PM daily');
+        console.log('Scheduled cleanup job for 2:00 AM daily');
     }
 
     /**
-     * Schedule cleanup job - runs at 2:00 AM every day
+     * Schedule backup job - copies the SQLite database on BACKUP_SCHEDULE
      */
-    scheduleCleanupJob() {
-        const job = cron.schedule('0 2 * * *', async () => {
-            console.log('Running cleanup job at:', new Date().toISOString());
-            await this.cleanupOldReminders();
+    scheduleBackupJob() {
+        if (this.backupSchedule === 'off') {
+            console.log('Database backups are disabled (BACKUP_SCHEDULE=off)');
+            return;
+        }
+
+        if (!backupService.isSupported()) {
+            console.log('Skipping scheduled backups: only SQLite databases are backed up by the bot');
+            return;
+        }
+
+        if (!cron.validate(this.backupSchedule)) {
+            console.error(`Invalid BACKUP_SCHEDULE "${this.backupSchedule}", backups are not scheduled`);
+            return;
+        }
+
+        const job = cron.schedule(this.backupSchedule, async () => {
+            await this.runBackup();
         }, {
             scheduled: false,
-            timezone: 'Africa/Lagos'
+            timezone: dateUtils.defaultTimezone
         });
 
-        this.jobs.set('cleanup', job);
+        this.jobs.set('backup', job);
         job.start();
-        console.log('Scheduled cleanup job for 2:00 AM daily');
+        console.log(`Scheduled database backup job (${this.backupSchedule})`);
     }
 
     /**
-     * Check and send birthday reminders for today
+     * Back up the database, rotating old backups
+     */
+    async runBackup() {
+        try {
+            return await backupService.createBackup();
+        } catch (error) {
+            console.error('Error backing up database:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Reminder pipeline: for every group whose local send time has passed,
+     * materialise today's reminders and deliver the pending ones.
+     * Both steps are idempotent, so running every minute never announces a
+     * birthday twice and picks up anything a previous run couldn't send.
+     * @param {boolean} ignoreSendTime - Run every active group now (manual trigger)
+     */
+    async runReminderPipeline(ignoreSendTime = false) {
+        if (this.isPipelineRunning) {
+            console.log('Reminder pipeline is already running');
+            return;
+        }
+
+        await this.withPipelineLock(async () => {
+            const groups = await groupRepository.getActiveGroups();
+
+            for (const group of groups) {
+                const localNow = dateUtils.getGroupNow(group);
+
+                if (!ignoreSendTime && localNow.format('HH:mm') < dateUtils.getGroupSendTime(group)) {
+                    continue;
+                }
+
+                const localDate = localNow.format('YYYY-MM-DD');
+                await this.catchUpGroup(group, localDate);
+                await this.materialiseReminders(group, localDate);
+                await groupRepository.updateLastReminderDate(group.group_id, localDate);
+                await this.deliverReminders(group, localDate);
+            }
+
+            await this.drainMessageQueue();
+        });
+    }
+
+    /**
+     * Run fn as a pipeline run: runs never overlap, and one started while
+     * another is in progress waits for it
+     */
+    async withPipelineLock(fn) {
+        while (this.pipelineRun) {
+            await this.pipelineRun;
+        }
+
+        this.isPipelineRunning = true;
+        this.pipelineRun = (async () => {
+            try {
+                await fn();
+            } catch (error) {
+                console.error('Error running reminder pipeline:', error);
+            }
+        })();
+
+        try {
+            await this.pipelineRun;
+        } finally {
+            this.pipelineRun = null;
+            this.isPipelineRunning = false;
+        }
+    }
+
+    /**
+     * Check and send birthday reminders for today in every active group
      */
     async checkTodaysBirthdays() {
+        console.log('Checking today\'s birthdays...');
+        await this.runReminderPipeline(true);
+        console.log('Completed processing all birthday reminders');
+    }
+
+    /**
+     * Deliver reminders missed while the bot or WhatsApp was offline
+     * Called on startup and when the WhatsApp client becomes ready; unlike the
+     * pipeline it catches up every active group straight away, whatever its
+     * send time, and waits for a pipeline run in progress instead of skipping
+     */
+    async catchUpMissedReminders() {
+        console.log(`Checking for birthday reminders missed in the last ${this.graceDays} days...`);
+
+        await this.withPipelineLock(async () => {
+            const groups = await groupRepository.getActiveGroups();
+
+            for (const group of groups) {
+                await this.catchUpGroup(group, dateUtils.getGroupNow(group).format('YYYY-MM-DD'));
+            }
+
+            await this.drainMessageQueue();
+        });
+    }
+
+    /**
+     * Catch up on a group's missed days within the grace window: create the
+     * birthday reminders for days the pipeline never ran, then send any unsent
+     * ones as belated wishes
+     */
+    async catchUpGroup(group, localDate) {
+        if (this.graceDays === 0) {
+            return;
+        }
+
         try {
-            console.log('Checking today\'s birthdays...');
-            
-            // Get all pending reminders for today
-            const pendingReminders = await reminderRepository.getPendingReminders();
+            const today = moment(localDate, 'YYYY-MM-DD');
+            const windowStart = today.clone().subtract(this.graceDays, 'days');
+            const yesterday = today.clone().subtract(1, 'day');
+
+            // Days since the last run; groups that never ran have nothing to catch up
+            if (group.last_reminder_date) {
+                const lastRun = moment(group.last_reminder_date, 'YYYY-MM-DD');
+                // max() may return windowStart itself; copy it so the loop doesn't move the window
+                const date = moment.max(windowStart, lastRun.add(1, 'day')).clone();
+
+                for (; date.isSameOrBefore(yesterday, 'day'); date.add(1, 'day')) {
+                    await reminderRepository.createTodaysReminders(date.format('YYYY-MM-DD'), group.group_id, {
+                        includeAdvance: false
+                    });
+                }
+            }
+
+            const missedReminders = await reminderRepository.getMissedReminders(
+                group.group_id,
+                windowStart.format('YYYY-MM-DD'),
+                yesterday.format('YYYY-MM-DD')
+            );
+
+            if (missedReminders.length === 0) {
+                return;
+            }
+
+            if (!whatsappClient.isClientReady()) {
+                console.log(`WhatsApp client not ready, ${missedReminders.length} missed reminders for ${group.group_name} stay pending`);
+                return;
+            }
+
+            console.log(`Found ${missedReminders.length} missed birthday reminders for ${group.group_name}`);
+
+            // One belated message per missed day
+            for (const reminders of this.groupReminders(missedReminders, reminder => reminder.reminder_date)) {
+                const delayDays = today.diff(moment(reminders[0].reminder_date, 'YYYY-MM-DD'), 'days');
+                await this.processBirthdayReminders(reminders, delayDays);
+            }
+        } catch (error) {
+            console.error(`Error catching up reminders for group ${group.group_id}:`, error);
+        }
+    }
+
+    /**
+     * Create today's reminders (same-day and advance) for a group
+     */
+    async materialiseReminders(group, localDate) {
+        try {
+            const created = await reminderRepository.createTodaysReminders(localDate, group.group_id);
+            if (created.length > 0) {
+                console.log(`Created ${created.length} birthday reminders for ${group.group_name} on ${localDate}`);
+            }
+            return created.length;
+        } catch (error) {
+            console.error(`Error creating reminders for group ${group.group_id}:`, error);
+            return 0;
+        }
+    }
+
+    /**
+     * Send a group's pending reminders for its local date
+     */
+    async deliverReminders(group, localDate) {
+        try {
+            const pendingReminders = await reminderRepository.getPendingReminders(localDate, group.group_id);
             
             if (pendingReminders.length === 0) {
-                console.log('No pending birthday reminders for today');
                 return;
             }
 
-            console.log(`Found ${pendingReminders.length} pending birthday reminders`);
-
-            // Process each reminder
-            for (const reminder of pendingReminders) {
-                await this.processBirthdayReminder(reminder);
-                
-                // Add small delay between messages to avoid rate limiting
-                await this.delay(1000);
+            if (!whatsappClient.isClientReady()) {
+                console.log(`WhatsApp client not ready, ${pendingReminders.length} reminders for ${group.group_name} stay pending`);
+                return;
             }
 
-            console.log('Completed processing all birthday reminders');
+            console.log(`Found ${pendingReminders.length} pending birthday reminders for ${group.group_name}`);
+
+            // Celebrants sharing a birthday (or advance notice) get one combined message
+            const batches = this.groupReminders(pendingReminders, reminder => `${reminder.reminder_type}:${reminder.days_before}`);
+            for (const reminders of batches) {
+                await this.processBirthdayReminders(reminders);
+            }
         } catch (error) {
-            console.error('Error checking today\'s birthdays:', error);
+            console.error(`Error delivering reminders for group ${group.group_id}:`, error);
+        }
+    }
+
+    /**
+     * Split reminders into batches that share a key, keeping their order
+     */
+    groupReminders(reminders, getKey) {
+        const batches = new Map();
+
+        for (const reminder of reminders) {
+            const key = getKey(reminder);
+            if (!batches.has(key)) {
+                batches.set(key, []);
+            }
+            batches.get(key).push(reminder);
         }
+
+        return Array.from(batches.values());
     }
 
     /**
-     * Process individual birthday reminder
+     * Process a batch of reminders for the same group and occasion
+     * One message tagging every celebrant is queued and each reminder linked
+     * to it; the reminders are only marked as sent once the queue delivered
+     * the message. A delay in days sends belated wishes and is recorded on
+     * the reminders.
      */
-    async processBirthdayReminder(reminder) {
+    async processBirthdayReminders(reminders, delayDays = 0) {
         try {
-            const { id, group_id, phone_number, name, birth_date } = reminder;
+            const { group_id, reminder_type } = reminders[0];
+            const names = reminders.map(reminder => reminder.name || reminder.phone_number).join(', ');
             
-            console.log(`Processing birthday reminder for ${name} (${phone_number}) in group ${group_id}`);
+            console.log(`Processing ${reminder_type || 'birthday'} reminder for ${names} in group ${group_id}`);
             
-            // Create birthday message (without age for privacy)
-            const message = this.createBirthdayMessage(name, phone_number);
+            const { message, mentions } = await this.buildReminderMessage(reminders, delayDays);
             
-            // Send message to group
-            await whatsappClient.sendMessage(group_id, message);
+            // Queue message for the group
+            const messageId = await messageQueueRepository.enqueueMessage(group_id, message, mentions);
+            for (const reminder of reminders) {
+                await reminderRepository.markReminderQueued(reminder.id, messageId, delayDays);
+            }
+            
+            console.log(`Birthday reminder for ${names} queued as message ${messageId}`);
+            return true;
+        } catch (error) {
+            console.error('Error processing birthday reminders:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Build the message for a batch of reminders
+     * Uses one of the group's custom templates when it has any, otherwise the
+     * built-in wording. Ages are only added for members who opted in
+     * @returns {Object} - {message, mentions: phone numbers to tag}
+     */
+    async buildReminderMessage(reminders, delayDays = 0) {
+        const { group_id, group_name, reminder_type, days_before } = reminders[0];
+        const language = i18n.resolveLanguage(reminders[0].language);
+        const phoneNumbers = reminders.map(reminder => reminder.phone_number);
+        
+        let templateType = 'birthday';
+        if (delayDays > 0) {
+            templateType = 'belated';
+        } else if (reminder_type === 'advance') {
+            templateType = 'advance';
+        }
+        
+        const values = templateEngine.buildValues(reminders, group_name, {
+            daysUntil: templateType === 'advance' ? days_before : 0,
+            daysAgo: delayDays
+        }, language);
+        const custom = await templateEngine.renderGroupTemplate(group_id, templateType, values);
+        let message;
+        let mentions = phoneNumbers;
+        
+        if (custom) {
+            message = custom.message;
+            mentions = custom.usesMentions ? phoneNumbers : [];
+        } else if (templateType === 'belated') {
+            message = this.createBelatedBirthdayMessage(reminders, delayDays, language);
+        } else if (templateType === 'advance') {
+            // Advance notices don't tag the celebrants so they can stay a surprise
+            message = this.createAdvanceReminderMessage(reminders, days_before, language);
+            mentions = [];
+        } else {
+            message = this.createBirthdayMessage(reminders, language);
+        }
+        
+        if (templateType !== 'advance') {
+            const ageMessage = this.createAgeMessage(reminders, templateType === 'belated', language);
+            if (ageMessage) {
+                message += `\n\n${ageMessage}`;
+            }
+        }
+        
+        return { message, mentions };
+    }
+
+    /**
+     * Create age lines for celebrants who shared their birth year and opted in
+     * with /showage, with extra wording for milestone ages
+     * @returns {string|null} - Age lines or null when nobody opted in
+     */
+    createAgeMessage(reminders, belated, language = null) {
+        const lines = [];
+        
+        for (const reminder of reminders) {
+            if (!reminder.show_age) {
+                continue;
+            }
             
-            // Mark reminder as sent
-            await reminderRepository.markReminderAsSent(id);
+            const age = dateUtils.getAge(reminder.birth_year, moment(reminder.reminder_date, 'YYYY-MM-DD').year());
+            if (!age || age < 1) {
+                continue;
+            }
             
-            console.log(`Birthday reminder sent successfully for ${name}`);
+            let key = dateUtils.isMilestoneAge(age) ? 'milestone' : 'turns';
+            if (belated) {
+                key = key === 'milestone' ? 'milestoneBelated' : 'turned';
+            }
+            lines.push(i18n.t(language, `messages.age.${key}`, {
+                name: reminder.name || reminder.phone_number,
+                age
+            }));
+        }
+        
+        return lines.length > 0 ? lines.join('\n') : null;
+    }
+
+    /**
+     * Send due messages from the outbound queue
+     * Failed sends are retried with exponential backoff until they run out of
+     * attempts and are dead-lettered
+     */
+    async drainMessageQueue() {
+        if (this.isDraining || !whatsappClient.isClientReady()) {
+            return;
+        }
+
+        this.isDraining = true;
+        try {
+            const messages = await messageQueueRepository.getDueMessages();
+
+            for (const message of messages) {
+                // Stop early if the client disconnected mid-drain
+                if (!whatsappClient.isClientReady()) {
+                    console.log('WhatsApp client disconnected, remaining queued messages stay pending');
+                    break;
+                }
+
+                try {
+                    const mentions = messageQueueRepository.parseMentions(message);
+                    if (mentions.length > 0) {
+                        // Resolve contact IDs at send time so WhatsApp notifies the tagged members
+                        const contactIds = [];
+                        for (const phoneNumber of mentions) {
+                            contactIds.push(await whatsappClient.getContactIdForNumber(phoneNumber));
+                        }
+                        await whatsappClient.sendMessageWithMentions(message.chat_id, message.body, contactIds);
+                    } else {
+                        await whatsappClient.sendMessage(message.chat_id, message.body);
+                    }
+                    await messageQueueRepository.markMessageSent(message.id);
+                    await reminderRepository.markRemindersSentByMessage(message.id);
+                } catch (error) {
+                    const status = await messageQueueRepository.recordFailedAttempt(message, error.message);
+                    if (status === 'dead') {
+                        console.error(`❌ Message ${message.id} to ${message.chat_id} failed ${message.attempts + 1} times, giving up`);
+                        await reminderRepository.markRemindersFailedByMessage(message.id);
+                    } else {
+                        console.log(`Message ${message.id} to ${message.chat_id} failed, will retry later`);
+                    }
+                }
+                
+                // Add small delay between messages to avoid rate limiting
+                await this.delay(1000);
+            }
         } catch (error) {
-            console.error(`Error processing birthday reminder for ${reminder.name}:`, error);
+            console.error('Error draining message queue:', error);
+        } finally {
+            this.isDraining = false;
         }
     }
 
     /**
      * Create birthday message with user tagging (no age for privacy)
+     * @param {Array} celebrants - Reminders (or {name, phone_number}) sharing the birthday
+     * @param {string} language - Group language
      */
-    createBirthdayMessage(name, phoneNumber) {
-        const messages = [
-            `🎉🎂 *HAPPY BIRTHDAY* 🎂🎉\n\n@${phoneNumber} is celebrating their special day today!\n\n🎊 Wishing you a fantastic day filled with happiness and joy! 🎊`,
-            `🎈🎉 *BIRTHDAY CELEBRATION* 🎉🎈\n\n@${phoneNumber} has a birthday today!\n\n🎂 May your special day be filled with wonderful moments and sweet memories! 🎂`,
-            `🎊🎁 *SPECIAL DAY ALERT* 🎁🎊\n\n@${phoneNumber} is celebrating today!\n\n🌟 Hope your birthday is as amazing as you are! 🌟`,
-            `🎉🎵 *BIRTHDAY WISHES* 🎵🎉\n\n@${phoneNumber} celebrates their birthday today!\n\n🎂 Have a wonderful birthday filled with love and laughter! 🎂`
-        ];
+    createBirthdayMessage(celebrants, language = null) {
+        const messages = i18n.get(language, `messages.birthday.${this.pluralKey(celebrants)}`);
         
         // Select random message
         const randomIndex = Math.floor(Math.random() * messages.length);
-        return messages[randomIndex];
+        return i18n.interpolate(messages[randomIndex], {
+            mention: templateEngine.formatMentions(celebrants, language)
+        });
     }
 
+    /**
+     * Create belated birthday message for reminders that were missed
+     */
+    createBelatedBirthdayMessage(celebrants, delayDays, language = null) {
+        const when = delayDays === 1
+            ? i18n.t(language, 'messages.belated.yesterday')
+            : i18n.t(language, 'messages.belated.daysAgo', { daysAgo: delayDays });
+        
+        return i18n.t(language, `messages.belated.${this.pluralKey(celebrants)}`, {
+            mention: templateEngine.formatMentions(celebrants, language),
+            when
+        });
+    }
 
+    /**
+     * Create advance reminder message for upcoming birthdays
+     */
+    createAdvanceReminderMessage(celebrants, daysBefore, language = null) {
+        const when = daysBefore === 1 ? 'tomorrow' : 'later';
+        
+        return i18n.t(language, `messages.advance.${when}.${this.pluralKey(celebrants)}`, {
+            name: templateEngine.formatList(celebrants.map(celebrant => celebrant.name || celebrant.phone_number), language),
+            daysUntil: daysBefore
+        });
+    }
 
     /**
-     * Create reminders for tomorrow's birthdays
+     * Catalogue plural key for a number of celebrants
      */
-    async createTomorrowReminders() {
-        try {
-            console.log('Creating reminders for tomorrow\'s birthdays...');
-            
-            const tomorrow = moment().add(1, 'day').format('MM-DD');
-            const remindersCreated = await reminderRepository.createRemindersForDate(tomorrow);
-            
-            console.log(`Created ${remindersCreated} reminders for tomorrow (${tomorrow})`);
-        } catch (error) {
-            console.error('Error creating tomorrow\'s reminders:', error);
-        }
+    pluralKey(celebrants) {
+        return celebrants.length > 1 ? 'other' : 'one';
     }
 
     /**
-     * Clean up old reminders (older than 7 days)
+     * Clean up old reminders (older than 7 days, or the catch-up grace window if longer)
+     * and delivered queue messages older than 30 days
      */
     async cleanupOldReminders() {
         try {
             console.log('Cleaning up old reminders...');
             
-            const deletedCount = await reminderRepository.deleteOldReminders(7);
+            const result = await reminderRepository.deleteOldReminders(Math.max(7, this.graceDays + 1));
+            
+            console.log(`Cleaned up ${result.changes} old reminders`);
             
-            console.log(`Cleaned up ${deletedCount} old reminders`);
+            const messages = await messageQueueRepository.deleteOldMessages();
+            console.log(`Cleaned up ${messages.changes} old queued messages`);
+
+            const auditEntries = await auditLogRepository.deleteOldEntries();
+            console.log(`Cleaned up ${auditEntries.changes} old audit log entries`);
         } catch (error) {
             console.error('Error cleaning up old reminders:', error);
         }
@@ -220,10 +595,16 @@ class CronScheduler {
 
     /**
      * Manual trigger for reminder creation (for testing)
+     * Creates today's reminders for every active group without sending them
      */
     async triggerReminderCreation() {
         console.log('Manually triggering reminder creation...');
-        await this.createTomorrowReminders();
+        
+        const groups = await groupRepository.getActiveGroups();
+        for (const group of groups) {
+            const localDate = dateUtils.getGroupNow(group).format('YYYY-MM-DD');
+            await this.materialiseReminders(group, localDate);
+        }
     }
 
     /**
@@ -0,0 +1,114 @@
+const EventEmitter = require('events');
+const QRCode = require('qrcode');
+
+// WhatsApp rotates the login code about every 20 seconds; anything older has been replaced or abandoned
+const QR_CODE_TTL_MS = 60 * 1000;
+// Pairing codes are renewed every 3 minutes
+const PAIRING_CODE_TTL_MS = 4 * 60 * 1000;
+
+const RENDER_OPTIONS = { margin: 2, width: 300 };
+
+/**
+ * Holds the current WhatsApp login QR code and renders it locally,
+ * so the login code never has to be pasted into a third-party site.
+ * Also holds the pairing code when logging in with WHATSAPP_PAIRING_NUMBER
+ * Emits 'qr' or 'code' when a new code arrives and 'authenticated' once it has been used
+ */
+class QRCodeService extends EventEmitter {
+    constructor() {
+        super();
+        this.code = null;
+        this.updatedAt = null;
+        this.pairingCode = null;
+        this.pairingCodeUpdatedAt = null;
+        // One listener per open /qr/events stream
+        this.setMaxListeners(0);
+    }
+
+    /**
+     * Store a new code from the client's 'qr' event
+     */
+    setCode(code) {
+        this.code = code;
+        this.updatedAt = new Date();
+        this.emit('qr', code);
+    }
+
+    /**
+     * Store a new pairing code from the client's 'code' event
+     */
+    setPairingCode(code) {
+        this.pairingCode = code;
+        this.pairingCodeUpdatedAt = new Date();
+        this.emit('code', code);
+    }
+
+    /**
+     * Forget the codes once the client has authenticated
+     */
+    expire() {
+        this.code = null;
+        this.updatedAt = new Date();
+        this.pairingCode = null;
+        this.pairingCodeUpdatedAt = this.updatedAt;
+        this.emit('authenticated');
+    }
+
+    /**
+     * Get the current code, or null if there isn't one or it's stale
+     */
+    getCode() {
+        if (this.code && Date.now() - this.updatedAt.getTime() > QR_CODE_TTL_MS) {
+            this.code = null;
+        }
+        return this.code;
+    }
+
+    hasCode() {
+        return !!this.getCode();
+    }
+
+    /**
+     * Get the current pairing code, or null if there isn't one or it's stale
+     */
+    getPairingCode() {
+        if (this.pairingCode && Date.now() - this.pairingCodeUpdatedAt.getTime() > PAIRING_CODE_TTL_MS) {
+            this.pairingCode = null;
+        }
+        return this.pairingCode;
+    }
+
+    hasPairingCode() {
+        return !!this.getPairingCode();
+    }
+
+    /**
+     * Render the current code
+     * @param {string} format - 'png' or 'svg'
+     * @returns {Object|null} - {contentType, body} or null if there's no code
+     */
+    async render(format) {
+        const code = this.getCode();
+        if (!code) {
+            return null;
+        }
+
+        if (format === 'svg') {
+            return { contentType: 'image/svg+xml', body: await QRCode.toString(code, { ...RENDER_OPTIONS, type: 'svg' }) };
+        }
+
+        return { contentType: 'image/png', body: await QRCode.toBuffer(code, { ...RENDER_OPTIONS, type: 'png' }) };
+    }
+
+    /**
+     * Render the current code as a PNG data URL, for event streams
+     */
+    async toDataUrl() {
+        const code = this.getCode();
+        return code ? QRCode.toDataURL(code, RENDER_OPTIONS) : null;
+    }
+}
+
+// Export singleton instance
+const qrCodeService = new QRCodeService();
+module.exports = qrCodeService;
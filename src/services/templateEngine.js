@@ -0,0 +1,111 @@
+const { templateRepository } = require('../database/repositories');
+const i18n = require('../utils/i18n');
+
+// Template types groups can customise (descriptions live in the locale catalogues)
+const TEMPLATE_TYPES = ['birthday', 'advance', 'belated', 'welcome'];
+
+// Supported placeholders
+const PLACEHOLDERS = ['name', 'mention', 'group', 'daysUntil', 'daysAgo'];
+
+// Keep templates within a sensible size
+const MAX_TEMPLATE_LENGTH = 1000;
+const MAX_TEMPLATES_PER_GROUP = 20;
+
+class TemplateEngine {
+    constructor() {
+        this.types = TEMPLATE_TYPES;
+        this.placeholders = PLACEHOLDERS;
+        this.maxTemplateLength = MAX_TEMPLATE_LENGTH;
+        this.maxTemplatesPerGroup = MAX_TEMPLATES_PER_GROUP;
+    }
+
+    /**
+     * Check if a template type exists
+     */
+    isValidType(templateType) {
+        return TEMPLATE_TYPES.includes(templateType);
+    }
+
+    /**
+     * Find placeholders in a template that aren't supported
+     * @returns {Array} - Unknown placeholder names
+     */
+    getUnknownPlaceholders(content) {
+        const unknown = [];
+
+        for (const match of content.matchAll(/\{(\w+)\}/g)) {
+            if (!PLACEHOLDERS.includes(match[1]) && !unknown.includes(match[1])) {
+                unknown.push(match[1]);
+            }
+        }
+
+        return unknown;
+    }
+
+    /**
+     * Replace placeholders with values; unknown placeholders are left as-is
+     */
+    render(content, values) {
+        return i18n.interpolate(content, values);
+    }
+
+    /**
+     * Check if a template tags people
+     */
+    usesMentions(content) {
+        return content.includes('{mention}');
+    }
+
+    /**
+     * Build placeholder values for a list of people ({name, phone_number})
+     */
+    buildValues(people, groupName, extra = {}, language = null) {
+        return {
+            name: this.formatList(people.map(person => person.name || person.phone_number), language),
+            mention: this.formatMentions(people, language),
+            group: groupName || '',
+            daysUntil: 0,
+            daysAgo: 0,
+            ...extra
+        };
+    }
+
+    /**
+     * Render a random custom template of a type for a group
+     * @returns {Object|null} - {message, usesMentions} or null when the group has none
+     */
+    async renderGroupTemplate(groupId, templateType, values) {
+        const templates = await templateRepository.getTemplatesByGroup(groupId, templateType);
+        if (templates.length === 0) {
+            return null;
+        }
+
+        const template = templates[Math.floor(Math.random() * templates.length)];
+        return {
+            message: this.render(template.content, values),
+            usesMentions: this.usesMentions(template.content)
+        };
+    }
+
+    /**
+     * Format people as WhatsApp mentions ("@123, @456 and @789")
+     */
+    formatMentions(people, language = null) {
+        return this.formatList(people.map(person => `@${person.phone_number}`), language);
+    }
+
+    /**
+     * Join items as "a, b and c" in the given language
+     */
+    formatList(items, language = null) {
+        if (items.length <= 1) {
+            return items.join('');
+        }
+
+        return `${items.slice(0, -1).join(', ')} ${i18n.t(language, 'common.and')} ${items[items.length - 1]}`;
+    }
+}
+
+// Export singleton instance
+const templateEngine = new TemplateEngine();
+module.exports = templateEngine;
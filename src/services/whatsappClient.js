@@ -1,14 +1,28 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
+const database = require('../database/database');
 const { groupRepository, userRepository } = require('../database/repositories');
 
+// Give up on a pairing code (and show the QR code instead) if WhatsApp hasn't produced one by then
+const PAIRING_CODE_TIMEOUT_MS = 60 * 1000;
+
 class WhatsAppClient {
     constructor() {
         this.client = null;
         this.isReady = false;
         this.messageHandlers = [];
         this.qrCodeHandler = null;
+        this.pairingCodeHandler = null;
         this.authenticatedHandler = null;
+        this.readyHandler = null;
+        this.groupJoinHandler = null;
+
+        // Log in with a pairing code sent to this number (international format, digits only) instead of a QR code
+        this.pairingNumber = String(process.env.WHATSAPP_PAIRING_NUMBER || '').replace(/\D/g, '') || null;
+        this.loginMethod = this.pairingNumber ? 'pairing' : 'qr';
+        this.pairingRequested = false;
+        this.pairingError = null;
+        this.lastQRCode = null;
     }
 
     /**
@@ -45,34 +59,34 @@ class WhatsAppClient {
      */
     setupEventHandlers() {
         // QR Code generation
+        // Also the first sign that WhatsApp needs a login, so pairing codes are requested from here
         this.client.on('qr', (qr) => {
-            const isProduction = process.env.NODE_ENV === 'production';
-            
-            // Call external QR code handler if set
-            if (this.qrCodeHandler) {
-                this.qrCodeHandler(qr);
+            this.lastQRCode = qr;
+
+            if (this.loginMethod === 'pairing') {
+                if (!this.pairingRequested) {
+                    this.pairingRequested = true;
+                    this.requestPairingCode();
+                }
+                return;
             }
-            
-            if (isProduction) {
-                // In production (like Render), don't display QR in terminal as it gets broken
-                console.log('\n=== WhatsApp Authentication Required ===');
-                console.log('🔐 WhatsApp QR Code generated for authentication.');
-                console.log('📱 Since this is a production environment, the QR code cannot be displayed in the terminal.');
-                console.log('\n💡 Authentication Options:');
-                console.log('1. Use a local development environment to scan the QR code first');
-                console.log('2. Access the QR code via the web interface at /qr endpoint');
-                console.log('3. The bot will use saved authentication if previously connected');
-                console.log('\n🔗 QR Code Data (for manual processing):');
-                console.log(qr);
-                console.log('\n📋 You can use online QR code generators to convert the above data to a scannable QR code.');
-                console.log('🌐 Or visit your deployment URL + /qr to get the QR code data via API.');
-                console.log('==========================================\n');
-            } else {
-                // In development, show QR code normally
-                console.log('\n=== WhatsApp QR Code ===');
-                console.log('Scan this QR code with your WhatsApp mobile app:');
-                qrcode.generate(qr, { small: true });
-                console.log('========================\n');
+
+            this.showQRCode(qr);
+        });
+
+        // Pairing code generated (renewed every few minutes until it's used)
+        this.client.on('code', (code) => {
+            if (this.loginMethod !== 'pairing') {
+                return;
+            }
+
+            console.log('\n=== WhatsApp Pairing Code ===');
+            console.log(`🔑 Pairing code for +${this.pairingNumber}: ${this.formatPairingCode(code)}`);
+            console.log('📱 On that phone, open WhatsApp > Linked devices > Link a device > Link with phone number instead, and enter the code.');
+            console.log('=============================\n');
+
+            if (this.pairingCodeHandler) {
+                this.pairingCodeHandler(code);
             }
         });
 
@@ -84,6 +98,15 @@ class WhatsAppClient {
             // Get client info
             const clientInfo = this.client.info;
             console.log(`Connected as: ${clientInfo.pushname} (${clientInfo.wid.user})`);
+            
+            // Call external ready handler if set
+            if (this.readyHandler) {
+                try {
+                    await this.readyHandler();
+                } catch (error) {
+                    console.error('Error in ready handler:', error);
+                }
+            }
         });
 
         // Authentication success
@@ -137,6 +160,137 @@ class WhatsAppClient {
         });
     }
 
+    /**
+     * Show a login QR code in the terminal and pass it to the QR code handler
+     */
+    showQRCode(qr) {
+        const isProduction = process.env.NODE_ENV === 'production';
+        
+        // Call external QR code handler if set
+        if (this.qrCodeHandler) {
+            this.qrCodeHandler(qr);
+        }
+        
+        if (isProduction) {
+            // In production (like Render), don't display QR in terminal as it gets broken
+            console.log('\n=== WhatsApp Authentication Required ===');
+            console.log('🔐 WhatsApp QR Code generated for authentication.');
+            console.log('📱 Since this is a production environment, the QR code cannot be displayed in the terminal.');
+            console.log('\n💡 Authentication Options:');
+            console.log('1. Use a local development environment to scan the QR code first');
+            console.log('2. Open your deployment URL + /dashboard and sign in with an admin API key');
+            console.log('3. Or fetch /qr.png or /qr.svg with an admin API key (/qr/events streams new codes)');
+            console.log('4. Set WHATSAPP_PAIRING_NUMBER to log in with a pairing code instead');
+            console.log('5. The bot will use saved authentication if previously connected');
+            console.log('==========================================\n');
+        } else {
+            // In development, show QR code normally
+            console.log('\n=== WhatsApp QR Code ===');
+            console.log('Scan this QR code with your WhatsApp mobile app:');
+            qrcode.generate(qr, { small: true });
+            console.log('========================\n');
+        }
+    }
+
+    /**
+     * Ask WhatsApp for a pairing code for WHATSAPP_PAIRING_NUMBER, falling back to QR login if that fails
+     * Codes arrive through the 'code' event
+     */
+    async requestPairingCode() {
+        try {
+            console.log(`🔑 Requesting a WhatsApp pairing code for +${this.pairingNumber}...`);
+            await this.exposePairingCodeCallback();
+
+            let timer;
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('Timed out waiting for a pairing code')), PAIRING_CODE_TIMEOUT_MS);
+            });
+            const request = this.client.requestPairingCode(this.pairingNumber);
+
+            // After a timeout the request keeps running in the page and may still start renewing codes
+            request.catch(() => {}).then(() => {
+                if (this.loginMethod !== 'pairing') {
+                    return this.stopPairingCodeRenewal();
+                }
+            });
+
+            try {
+                await Promise.race([request, timeout]);
+            } finally {
+                clearTimeout(timer);
+            }
+        } catch (error) {
+            console.error('❌ Could not get a WhatsApp pairing code, falling back to QR login:', error.message);
+            await this.fallBackToQRCode(error.message);
+        }
+    }
+
+    /**
+     * requestPairingCode reports codes through this page callback, which whatsapp-web.js only
+     * registers when it's created with pairWithPhoneNumber; that option has no way to fall back to QR
+     */
+    async exposePairingCodeCallback() {
+        const page = this.client.pupPage;
+        const exists = await page.evaluate(() => !!window.onCodeReceivedEvent);
+        if (!exists) {
+            await page.exposeFunction('onCodeReceivedEvent', async (code) => {
+                // A renewal after falling back to QR login: stop it so the phone isn't prompted again
+                if (this.loginMethod !== 'pairing') {
+                    await this.stopPairingCodeRenewal();
+                    return code;
+                }
+
+                this.client.emit('code', code);
+                return code;
+            });
+        }
+    }
+
+    /**
+     * Stop renewing pairing codes and show the latest QR code instead
+     */
+    async fallBackToQRCode(reason) {
+        this.loginMethod = 'qr';
+        this.pairingError = reason;
+
+        await this.stopPairingCodeRenewal();
+
+        if (this.lastQRCode) {
+            this.showQRCode(this.lastQRCode);
+        }
+    }
+
+    /**
+     * Clear the page timer that renews pairing codes (and prompts the phone each time)
+     */
+    async stopPairingCodeRenewal() {
+        try {
+            await this.client.pupPage.evaluate(() => clearInterval(window.codeInterval));
+        } catch (error) {
+            // The page may already be gone; nothing left to stop
+        }
+    }
+
+    /**
+     * Format a pairing code the way WhatsApp shows it (ABCD-EFGH)
+     */
+    formatPairingCode(code) {
+        return String(code).replace(/^(.{4})(.{4})$/, '$1-$2');
+    }
+
+    /**
+     * Get how the client logs in
+     * @returns {Object} - {method, configuredMethod, pairingNumber, pairingError}
+     */
+    getLoginInfo() {
+        return {
+            method: this.loginMethod,
+            configuredMethod: this.pairingNumber ? 'pairing' : 'qr',
+            pairingNumber: this.pairingNumber,
+            pairingError: this.pairingError
+        };
+    }
+
     /**
      * Handle incoming messages
      */
@@ -178,17 +332,12 @@ class WhatsAppClient {
             return;
         }
 
-        // Store/update user info
-        await userRepository.createOrUpdateUser(phoneNumber, name);
-        
-        // Store/update group info
-        await groupRepository.createOrUpdateGroup(chat.id._serialized, chat.name);
-        
-        // Add user to group if not already a member
-        const isMember = await groupRepository.isMemberOfGroup(phoneNumber, chat.id._serialized);
-        if (!isMember) {
+        // Store/update user, group and membership together
+        await database.transaction(async () => {
+            await userRepository.createOrUpdateUser(phoneNumber, name);
+            await groupRepository.createOrUpdateGroup(chat.id._serialized, chat.name);
             await groupRepository.addMemberToGroup(phoneNumber, chat.id._serialized, false);
-        }
+        });
 
         // Process message through handlers
         for (const handler of this.messageHandlers) {
@@ -221,8 +370,15 @@ class WhatsAppClient {
                 continue;
             }
             
-            await userRepository.createOrUpdateUser(phoneNumber, name);
-            await groupRepository.addMemberToGroup(phoneNumber, chat.id._serialized, false);
+            await database.transaction(async () => {
+                await userRepository.createOrUpdateUser(phoneNumber, name);
+                await groupRepository.addMemberToGroup(phoneNumber, chat.id._serialized, false);
+            });
+            
+            // Call external group join handler if set (not for the bot itself)
+            if (this.groupJoinHandler && !contact.isMe) {
+                await this.groupJoinHandler(chat, contact);
+            }
         }
     }
 
@@ -281,6 +437,30 @@ class WhatsAppClient {
         }
     }
 
+    /**
+     * Send a file as a document
+     * @param {string} chatId - Chat to send to
+     * @param {string|Buffer} content - File content
+     * @param {string} mimetype - File mime type
+     * @param {string} filename - File name shown in WhatsApp
+     * @param {string} caption - Optional caption
+     */
+    async sendDocument(chatId, content, mimetype, filename, caption = '') {
+        if (!this.isReady) {
+            throw new Error('WhatsApp client is not ready');
+        }
+        
+        try {
+            const data = Buffer.from(content).toString('base64');
+            const media = new MessageMedia(mimetype, data, filename);
+            await this.client.sendMessage(chatId, media, { sendMediaAsDocument: true, caption });
+            console.log(`Document ${filename} sent to ${chatId}`);
+        } catch (error) {
+            console.error(`Failed to send document to ${chatId}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Get chat by ID
      */
@@ -292,6 +472,38 @@ class WhatsAppClient {
         return await this.client.getChatById(chatId);
     }
 
+    /**
+     * Get contact by ID
+     */
+    async getContactById(contactId) {
+        if (!this.isReady) {
+            throw new Error('WhatsApp client is not ready');
+        }
+        
+        return await this.client.getContactById(contactId);
+    }
+
+    /**
+     * Resolve a phone number to its WhatsApp contact ID for mentions
+     * Falls back to the standard c.us ID if the number can't be looked up
+     */
+    async getContactIdForNumber(phoneNumber) {
+        if (!this.isReady) {
+            throw new Error('WhatsApp client is not ready');
+        }
+        
+        try {
+            const numberId = await this.client.getNumberId(phoneNumber);
+            if (numberId) {
+                return numberId._serialized;
+            }
+        } catch (error) {
+            console.warn(`Could not resolve contact ID for ${phoneNumber}:`, error.message);
+        }
+        
+        return `${phoneNumber}@c.us`;
+    }
+
     /**
      * Add message handler
      */
@@ -340,6 +552,27 @@ class WhatsAppClient {
         this.authenticatedHandler = handler;
     }
 
+    /**
+     * Set pairing code handler, called with each new code while logging in with WHATSAPP_PAIRING_NUMBER
+     */
+    setPairingCodeHandler(handler) {
+        this.pairingCodeHandler = handler;
+    }
+
+    /**
+     * Set ready handler
+     */
+    setReadyHandler(handler) {
+        this.readyHandler = handler;
+    }
+
+    /**
+     * Set group join handler, called with (chat, contact) for each new member
+     */
+    setGroupJoinHandler(handler) {
+        this.groupJoinHandler = handler;
+    }
+
     /**
      * Destroy client
      */
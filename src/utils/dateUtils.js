@@ -0,0 +1,219 @@
+const moment = require('moment-timezone');
+
+// Timezone and send time used for groups that haven't configured their own
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Lagos';
+const DEFAULT_SEND_TIME = '00:00';
+
+// Oldest birth year accepted
+const MIN_BIRTH_YEAR = 1900;
+
+// Birthdays are stored in a leap year so 29 February is a valid date
+const STORAGE_YEAR = 2000;
+
+// When 29 February birthdays are celebrated in non-leap years
+const LEAP_DAY_POLICIES = ['feb28', 'mar1'];
+const DEFAULT_LEAP_DAY_POLICY = 'feb28';
+
+class DateUtils {
+    constructor() {
+        this.birthdayFormats = ['DD/MM', 'DD-MM', 'DD.MM'];
+        this.birthdayWithYearFormats = ['DD/MM/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY'];
+        this.defaultTimezone = DEFAULT_TIMEZONE;
+        this.defaultSendTime = DEFAULT_SEND_TIME;
+        this.leapDayPolicies = LEAP_DAY_POLICIES;
+        this.defaultLeapDayPolicy = DEFAULT_LEAP_DAY_POLICY;
+    }
+
+    /**
+     * Validates date format and creates a birthday date
+     * The birth year is optional and returned separately
+     * @param {string} dateStr - Date string to validate (DD/MM or DD/MM/YYYY format)
+     * @returns {Object} - {isValid: boolean, date: moment object, year: number|null, error: string}
+     */
+    validateDate(dateStr) {
+        let date = null;
+        let year = null;
+        let isValidFormat = false;
+
+        // Try each format without a year, parsed in a leap year so 29/02 is accepted
+        for (const format of this.birthdayFormats) {
+            const separator = format.charAt(2);
+            date = moment(`${dateStr}${separator}${STORAGE_YEAR}`, `${format}${separator}YYYY`, true);
+            if (date.isValid()) {
+                isValidFormat = true;
+                break;
+            }
+        }
+
+        // Then with a year
+        if (!isValidFormat) {
+            for (const format of this.birthdayWithYearFormats) {
+                date = moment(dateStr, format, true);
+                if (date.isValid()) {
+                    isValidFormat = true;
+                    year = date.year();
+                    break;
+                }
+            }
+        }
+
+        if (!isValidFormat) {
+            return {
+                isValid: false,
+                date: null,
+                year: null,
+                error: 'Invalid date format. Please use DD/MM, DD-MM, or DD.MM (optionally followed by /YYYY)'
+            };
+        }
+
+        if (year !== null && (year < MIN_BIRTH_YEAR || date.isAfter(moment(), 'day'))) {
+            return {
+                isValid: false,
+                date: null,
+                year: null,
+                error: `Birth year must be between ${MIN_BIRTH_YEAR} and today`
+            };
+        }
+
+        // Only the day and month are stored in birth_date
+        date.year(STORAGE_YEAR);
+
+        return {
+            isValid: true,
+            date: date,
+            year: year,
+            error: null
+        };
+    }
+
+    /**
+     * Check if a leap day policy is supported
+     */
+    isValidLeapDayPolicy(policy) {
+        return LEAP_DAY_POLICIES.includes(policy);
+    }
+
+    /**
+     * Get a group's leap day policy, falling back to the default
+     */
+    getGroupLeapDayPolicy(group) {
+        return group && this.isValidLeapDayPolicy(group.leap_day_policy) ? group.leap_day_policy : DEFAULT_LEAP_DAY_POLICY;
+    }
+
+    /**
+     * Get the date a birthday is celebrated in a given year
+     * 29 February birthdays move to 28 February or 1 March in non-leap years
+     * @param {string} birthDate - Stored birth date (YYYY-MM-DD)
+     * @returns {moment} - Celebration date (UTC midnight, date only)
+     */
+    getBirthdayInYear(birthDate, year, leapDayPolicy = DEFAULT_LEAP_DAY_POLICY) {
+        const date = moment.utc(birthDate, 'YYYY-MM-DD');
+        let month = date.month();
+        let day = date.date();
+
+        if (month === 1 && day === 29 && !moment.utc([year]).isLeapYear()) {
+            [month, day] = leapDayPolicy === 'mar1' ? [2, 1] : [1, 28];
+        }
+
+        return moment.utc([year, month, day]);
+    }
+
+    /**
+     * Get the next celebration of a birthday on or after a day
+     * @param {moment} today - The current day (in the group's timezone)
+     */
+    getNextBirthday(birthDate, today, leapDayPolicy = DEFAULT_LEAP_DAY_POLICY) {
+        const from = moment.utc(today.format('YYYY-MM-DD'), 'YYYY-MM-DD');
+        const next = this.getBirthdayInYear(birthDate, from.year(), leapDayPolicy);
+
+        // If birthday has passed this year, use next year
+        return next.isBefore(from)
+            ? this.getBirthdayInYear(birthDate, from.year() + 1, leapDayPolicy)
+            : next;
+    }
+
+    /**
+     * Get the number of whole days until the next celebration of a birthday (0 = today)
+     */
+    getDaysUntilBirthday(birthDate, today, leapDayPolicy = DEFAULT_LEAP_DAY_POLICY) {
+        const from = moment.utc(today.format('YYYY-MM-DD'), 'YYYY-MM-DD');
+        return this.getNextBirthday(birthDate, today, leapDayPolicy).diff(from, 'days');
+    }
+
+    /**
+     * Get the stored MM-DD values celebrated on a day
+     * In non-leap years 29 February birthdays are added to the policy's day
+     * @returns {Array} - e.g. ['02-28', '02-29']
+     */
+    getBirthdayKeys(date, leapDayPolicy = DEFAULT_LEAP_DAY_POLICY) {
+        const key = date.format('MM-DD');
+        const leapDayKey = leapDayPolicy === 'mar1' ? '03-01' : '02-28';
+
+        return !date.isLeapYear() && key === leapDayKey ? [key, '02-29'] : [key];
+    }
+
+    /**
+     * Get the age someone turns on their birthday in a given year
+     * @returns {number|null} - Age or null when the birth year is unknown
+     */
+    getAge(birthYear, year) {
+        return birthYear ? year - birthYear : null;
+    }
+
+    /**
+     * Check if an age is worth a special celebration (18, 21 and every decade from 30)
+     */
+    isMilestoneAge(age) {
+        return age === 18 || age === 21 || (age >= 30 && age % 10 === 0);
+    }
+
+    /**
+     * Check if a string is a known IANA timezone (e.g. Europe/London)
+     */
+    isValidTimezone(timezone) {
+        return !!(timezone && moment.tz.zone(timezone));
+    }
+
+    /**
+     * Get the canonical name of a timezone (e.g. europe/london -> Europe/London)
+     * @returns {string|null} - Canonical name or null if unknown
+     */
+    normaliseTimezone(timezone) {
+        const zone = timezone ? moment.tz.zone(timezone) : null;
+        return zone ? zone.name : null;
+    }
+
+    /**
+     * Validate a send time in 24-hour HH:mm format
+     * @returns {string|null} - Normalised time or null if invalid
+     */
+    parseSendTime(timeStr) {
+        const time = moment(timeStr, ['HH:mm', 'H:mm'], true);
+        return time.isValid() ? time.format('HH:mm') : null;
+    }
+
+    /**
+     * Get a group's timezone, falling back to the default
+     */
+    getGroupTimezone(group) {
+        return group && this.isValidTimezone(group.timezone) ? group.timezone : this.defaultTimezone;
+    }
+
+    /**
+     * Get a group's daily send time, falling back to the default
+     */
+    getGroupSendTime(group) {
+        return (group && this.parseSendTime(group.send_time)) || this.defaultSendTime;
+    }
+
+    /**
+     * Get the current moment in a group's timezone
+     */
+    getGroupNow(group) {
+        return moment.tz(this.getGroupTimezone(group));
+    }
+}
+
+// Export singleton instance
+const dateUtils = new DateUtils();
+module.exports = dateUtils;
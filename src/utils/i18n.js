@@ -0,0 +1,113 @@
+const moment = require('moment');
+
+// Load moment month/day names for every supported locale,
+// then restore English as the global default
+require('moment/locale/fr');
+require('moment/locale/yo');
+moment.locale('en');
+
+const LOCALES = {
+    en: require('../locales/en'),
+    fr: require('../locales/fr'),
+    yo: require('../locales/yo')
+};
+
+const FALLBACK_LANGUAGE = 'en';
+
+class I18n {
+    constructor() {
+        this.defaultLanguage = this.normaliseLanguage(process.env.DEFAULT_LANGUAGE) || FALLBACK_LANGUAGE;
+    }
+
+    /**
+     * Get supported language codes
+     */
+    getLanguages() {
+        return Object.keys(LOCALES);
+    }
+
+    /**
+     * Get a language's display name
+     */
+    getLanguageName(language) {
+        return LOCALES[this.resolveLanguage(language)].name;
+    }
+
+    /**
+     * Normalise a language code (e.g. "FR" or "fr-CA" to "fr")
+     * @returns {string|null} - Supported language code or null
+     */
+    normaliseLanguage(language) {
+        if (!language) {
+            return null;
+        }
+
+        const code = String(language).trim().toLowerCase().split(/[-_]/)[0];
+        return LOCALES[code] ? code : null;
+    }
+
+    /**
+     * Resolve a language code, falling back to the default language
+     */
+    resolveLanguage(language) {
+        return this.normaliseLanguage(language) || this.defaultLanguage;
+    }
+
+    /**
+     * Get a group's language
+     */
+    getGroupLanguage(group) {
+        return this.resolveLanguage(group && group.language);
+    }
+
+    /**
+     * Look up a catalogue entry, falling back to English when a key is missing
+     * @returns {*} - String, array or object from the catalogue
+     */
+    get(language, key) {
+        const value = this.lookup(LOCALES[this.resolveLanguage(language)], key);
+        return value !== undefined ? value : this.lookup(LOCALES[FALLBACK_LANGUAGE], key);
+    }
+
+    /**
+     * Translate a key and fill in {placeholders}
+     */
+    t(language, key, values = {}) {
+        const value = this.get(language, key);
+        if (typeof value !== 'string') {
+            return key;
+        }
+
+        return this.interpolate(value, values);
+    }
+
+    /**
+     * Fill in {placeholders}; unknown placeholders are left as-is
+     */
+    interpolate(text, values = {}) {
+        return text.replace(/\{(\w+)\}/g, (placeholder, key) => {
+            return values[key] !== undefined && values[key] !== null ? String(values[key]) : placeholder;
+        });
+    }
+
+    /**
+     * Format a date with localised month and day names
+     */
+    formatDate(date, format, language) {
+        const locale = LOCALES[this.resolveLanguage(language)].momentLocale;
+        return moment(date).locale(locale).format(format);
+    }
+
+    /**
+     * Walk a dotted key through a catalogue
+     */
+    lookup(catalogue, key) {
+        return key.split('.').reduce((value, part) => {
+            return value !== undefined && value !== null ? value[part] : undefined;
+        }, catalogue);
+    }
+}
+
+// Export singleton instance
+const i18n = new I18n();
+module.exports = i18n;
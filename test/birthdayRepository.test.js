@@ -0,0 +1,35 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('../src/database/database');
+const { userRepository, groupRepository, birthdayRepository } = require('../src/database/repositories');
+
+describe('birthdayRepository (SQLite)', () => {
+    before(async () => {
+        database.dbPath = ':memory:';
+        await database.init();
+        await userRepository.createOrUpdateUser('2348011111111', 'Ada');
+        await groupRepository.createOrUpdateGroup('g1@g.us', 'Family');
+    });
+
+    after(async () => {
+        await database.close();
+    });
+
+    it('removes the birth year when a birthday is added again without one', async () => {
+        await birthdayRepository.addOrUpdateBirthday('2348011111111', '2000-03-15', 'g1@g.us', '2348011111111', 1990);
+        await birthdayRepository.addOrUpdateBirthday('2348011111111', '2000-03-15', 'g1@g.us', '2348011111111');
+
+        const stored = await birthdayRepository.getStoredBirthday('2348011111111', 'g1@g.us');
+        assert.equal(stored.birth_year, null);
+    });
+
+    it('keeps the birth year when asked to, e.g. for imports', async () => {
+        await birthdayRepository.addOrUpdateBirthday('2348011111111', '2000-03-15', 'g1@g.us', '2348011111111', 1990);
+        await birthdayRepository.addOrUpdateBirthday('2348011111111', '2000-03-16', 'g1@g.us', null, null, { keepBirthYear: true });
+
+        const stored = await birthdayRepository.getStoredBirthday('2348011111111', 'g1@g.us');
+        assert.equal(stored.birth_date, '2000-03-16');
+        assert.equal(stored.birth_year, 1990);
+        assert.equal(stored.added_by, '2348011111111');
+    });
+});
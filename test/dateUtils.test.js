@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment-timezone');
+const dateUtils = require('../src/utils/dateUtils');
+
+// Stored birth dates use the year 2000 (see validateDate)
+const LEAP_DAY = '2000-02-29';
+const day = (date) => moment.utc(date, 'YYYY-MM-DD');
+
+describe('validateDate', () => {
+    it('accepts 29/02 without a year', () => {
+        const result = dateUtils.validateDate('29/02');
+        assert.equal(result.isValid, true);
+        assert.equal(result.date.format('YYYY-MM-DD'), LEAP_DAY);
+        assert.equal(result.year, null);
+    });
+
+    it('accepts 29/02 in a leap year', () => {
+        const result = dateUtils.validateDate('29/02/1992');
+        assert.equal(result.isValid, true);
+        assert.equal(result.year, 1992);
+    });
+
+    it('rejects 29/02 in a non-leap year', () => {
+        assert.equal(dateUtils.validateDate('29/02/2023').isValid, false);
+    });
+});
+
+describe('29 February birthdays', () => {
+    // [day, feb28 keys, mar1 keys]
+    const keyCases = [
+        ['2023-02-28', ['02-28', '02-29'], ['02-28']],
+        ['2023-03-01', ['03-01'], ['03-01', '02-29']],
+        ['2024-02-28', ['02-28'], ['02-28']],
+        ['2024-02-29', ['02-29'], ['02-29']],
+        ['2024-03-01', ['03-01'], ['03-01']],
+        ['2025-02-28', ['02-28', '02-29'], ['02-28']],
+        ['2025-03-01', ['03-01'], ['03-01', '02-29']],
+        // 2100 is not a leap year (divisible by 100 but not 400)
+        ['2100-02-28', ['02-28', '02-29'], ['02-28']],
+        ['2100-03-01', ['03-01'], ['03-01', '02-29']]
+    ];
+
+    for (const [date, feb28, mar1] of keyCases) {
+        it(`uses the right date keys on ${date}`, () => {
+            assert.deepEqual(dateUtils.getBirthdayKeys(day(date), 'feb28'), feb28);
+            assert.deepEqual(dateUtils.getBirthdayKeys(day(date), 'mar1'), mar1);
+        });
+    }
+
+    // [today, next birthday with feb28, next birthday with mar1]
+    const nextCases = [
+        ['2023-02-28', '2023-02-28', '2023-03-01'],
+        ['2023-03-01', '2024-02-29', '2023-03-01'],
+        ['2024-02-28', '2024-02-29', '2024-02-29'],
+        ['2024-03-01', '2025-02-28', '2025-03-01'],
+        ['2025-02-28', '2025-02-28', '2025-03-01'],
+        ['2025-03-01', '2026-02-28', '2025-03-01'],
+        ['2100-02-28', '2100-02-28', '2100-03-01'],
+        ['2100-03-01', '2101-02-28', '2100-03-01']
+    ];
+
+    for (const [today, feb28, mar1] of nextCases) {
+        it(`finds the next birthday from ${today}`, () => {
+            assert.equal(dateUtils.getNextBirthday(LEAP_DAY, day(today), 'feb28').format('YYYY-MM-DD'), feb28);
+            assert.equal(dateUtils.getNextBirthday(LEAP_DAY, day(today), 'mar1').format('YYYY-MM-DD'), mar1);
+        });
+    }
+
+    it('is celebrated on 29 February in leap years under both policies', () => {
+        for (const year of [2024, 2028, 2000]) {
+            assert.equal(dateUtils.getBirthdayInYear(LEAP_DAY, year, 'feb28').format('YYYY-MM-DD'), `${year}-02-29`);
+            assert.equal(dateUtils.getBirthdayInYear(LEAP_DAY, year, 'mar1').format('YYYY-MM-DD'), `${year}-02-29`);
+        }
+    });
+
+    it('counts the days until the next birthday', () => {
+        assert.equal(dateUtils.getDaysUntilBirthday(LEAP_DAY, day('2023-02-28'), 'feb28'), 0);
+        assert.equal(dateUtils.getDaysUntilBirthday(LEAP_DAY, day('2023-02-28'), 'mar1'), 1);
+    });
+});
+
+describe('other birthdays', () => {
+    it('are not affected by the leap day policy', () => {
+        assert.equal(dateUtils.getNextBirthday('2000-03-01', day('2023-02-28'), 'mar1').format('YYYY-MM-DD'), '2023-03-01');
+        assert.equal(dateUtils.getNextBirthday('2000-02-28', day('2024-02-29'), 'feb28').format('YYYY-MM-DD'), '2025-02-28');
+    });
+});
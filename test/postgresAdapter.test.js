@@ -0,0 +1,143 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Client } = require('pg');
+const PostgresAdapter = require('../src/database/adapters/postgresAdapter');
+
+describe('convertPlaceholders', () => {
+    const adapter = new PostgresAdapter();
+
+    it('numbers placeholders in order', () => {
+        assert.equal(
+            adapter.convertPlaceholders('SELECT * FROM birthdays WHERE phone_number = ? AND group_id = ?'),
+            'SELECT * FROM birthdays WHERE phone_number = $1 AND group_id = $2'
+        );
+    });
+
+    it('leaves question marks in quoted strings alone', () => {
+        assert.equal(
+            adapter.convertPlaceholders("SELECT 'what?' AS a, ? AS b, 'it''s ?' AS c, ? AS d"),
+            "SELECT 'what?' AS a, $1 AS b, 'it''s ?' AS c, $2 AS d"
+        );
+    });
+
+    it('returns SQL without placeholders unchanged', () => {
+        assert.equal(adapter.convertPlaceholders("SELECT to_char(birth_date, 'MM-DD')"), "SELECT to_char(birth_date, 'MM-DD')");
+    });
+});
+
+// Needs a PostgreSQL server, e.g. docker run -e POSTGRES_PASSWORD=secret -p 5432:5432 postgres
+// The tests create (and drop) their own database next to the one in DATABASE_URL
+describe('PostgreSQL backend', { skip: !process.env.DATABASE_URL && 'DATABASE_URL is not set' }, () => {
+    const adminUrl = process.env.DATABASE_URL;
+    const testDatabase = `birthday_bot_test_${process.pid}`;
+    let database;
+    let repositories;
+    let dateUtils;
+
+    const admin = async (sql) => {
+        const client = new Client({ connectionString: adminUrl });
+        await client.connect();
+        try {
+            await client.query(sql);
+        } finally {
+            await client.end();
+        }
+    };
+
+    before(async () => {
+        await admin(`CREATE DATABASE ${testDatabase}`);
+
+        const url = new URL(adminUrl);
+        url.pathname = `/${testDatabase}`;
+        process.env.DB_CLIENT = 'postgres';
+        process.env.DATABASE_URL = url.toString();
+
+        database = require('../src/database/database');
+        repositories = require('../src/database/repositories');
+        dateUtils = require('../src/utils/dateUtils');
+    });
+
+    after(async () => {
+        if (database && database.adapter) {
+            await database.close();
+        }
+        await admin(`DROP DATABASE IF EXISTS ${testDatabase}`);
+    });
+
+    it('applies every migration once when instances start together', async () => {
+        const Database = database.constructor;
+        const instances = [new Database(), new Database()];
+        await Promise.all(instances.map(instance => instance.init()));
+        await Promise.all(instances.map(instance => instance.close()));
+
+        await database.init();
+        const applied = await database.getAppliedMigrations();
+        const files = database.getMigrationFiles();
+        assert.deepEqual(applied.map(row => row.version), files.map(file => file.version));
+    });
+
+    it('returns dates, counts and timestamps like SQLite', async () => {
+        const row = await database.get(`
+            SELECT CAST('2000-02-29' AS DATE) AS birth_date,
+                   COUNT(*) AS total,
+                   CAST('2024-05-01 10:20:30.123' AS TIMESTAMP) AS created_at
+        `);
+        assert.equal(row.birth_date, '2000-02-29');
+        assert.equal(row.total, 1);
+        assert.equal(row.created_at, '2024-05-01 10:20:30');
+    });
+
+    it('upserts birthdays, keeping the year when asked to and who added them when not given', async () => {
+        const { userRepository, groupRepository, birthdayRepository } = repositories;
+        await userRepository.createOrUpdateUser('2348011111111', 'Ada');
+        await groupRepository.createOrUpdateGroup('g1@g.us', 'Family');
+
+        await birthdayRepository.addOrUpdateBirthday('2348011111111', '2000-03-15', 'g1@g.us', '2348022222222', 1990);
+        await birthdayRepository.addOrUpdateBirthday('2348011111111', '2000-03-16', 'g1@g.us', null, null, { keepBirthYear: true });
+
+        const birthdays = await birthdayRepository.getBirthdaysByGroup('g1@g.us');
+        assert.equal(birthdays.length, 1);
+        assert.equal(birthdays[0].birth_date, '2000-03-16');
+        assert.equal(birthdays[0].birth_year, 1990);
+        assert.equal(birthdays[0].added_by, '2348022222222');
+    });
+
+    it('ignores a second reminder for the same birthday and date', async () => {
+        const { birthdayRepository, reminderRepository } = repositories;
+        const birthday = await birthdayRepository.getBirthdayByUserAndGroup('2348011111111', 'g1@g.us');
+
+        assert.equal((await reminderRepository.createReminder(birthday.id, '2025-03-16')).changes, 1);
+        assert.equal((await reminderRepository.createReminder(birthday.id, '2025-03-16')).changes, 0);
+        assert.equal((await reminderRepository.getRemindersByBirthday(birthday.id)).length, 1);
+    });
+
+    it('lists templates added in one transaction in the order they were added', async () => {
+        const { templateRepository } = repositories;
+        const contents = ['first', 'second', 'third', 'fourth', 'fifth'];
+        await database.transaction(async () => {
+            for (const content of contents) {
+                await templateRepository.addTemplate('g1@g.us', 'birthday', content);
+            }
+        });
+
+        const templates = await templateRepository.getTemplatesByGroup('g1@g.us');
+        assert.deepEqual(templates.map(template => template.content), contents);
+    });
+
+    it('lists upcoming birthdays in the group timezone', async () => {
+        const { userRepository, groupRepository, birthdayRepository } = repositories;
+        const group = await groupRepository.getGroupById('g1@g.us');
+        const today = dateUtils.getGroupNow(group);
+        const storedDate = (date) => date.clone().year(2000).format('YYYY-MM-DD');
+
+        await userRepository.createOrUpdateUser('2348033333333', 'Bola');
+        await userRepository.createOrUpdateUser('2348044444444', 'Chidi');
+        await birthdayRepository.addOrUpdateBirthday('2348033333333', storedDate(today), 'g1@g.us');
+        await birthdayRepository.addOrUpdateBirthday('2348044444444', storedDate(today.clone().add(2, 'days')), 'g1@g.us');
+
+        // Ada's birthday (16 March) may or may not fall in the next week
+        const { birthdays } = await birthdayRepository.getUpcomingBirthdays('g1@g.us', 7);
+        const upcoming = birthdays.filter(birthday => birthday.phone_number !== '2348011111111');
+        assert.deepEqual(upcoming.map(birthday => [birthday.name, birthday.days_until]), [['Bola', 0], ['Chidi', 2]]);
+    });
+});